@@ -8,7 +8,19 @@ const pinoHttp = require('pino-http');
 const authRoutes = require('./src/routes/auth.routes');
 const productRoutes = require('./src/routes/product.routes');
 const skuRoutes = require('./src/routes/sku.routes');
+const locationRoutes = require('./src/routes/location.routes');
+const transferRoutes = require('./src/routes/transfer.routes');
+const stockTakeRoutes = require('./src/routes/stockTake.routes');
+const stockHistoryRoutes = require('./src/routes/stockHistory.routes');
+const supplierRoutes = require('./src/routes/supplier.routes');
+const purchaseOrderRoutes = require('./src/routes/purchaseOrder.routes');
 const orderRoutes = require('./src/routes/order.routes');
+const returnRoutes = require('./src/routes/return.routes');
+const shiftRoutes = require('./src/routes/shift.routes');
+const customerRoutes = require('./src/routes/customer.routes');
+const quoteRoutes = require('./src/routes/quote.routes');
+const giftCardRoutes = require('./src/routes/giftCard.routes');
+const couponRoutes = require('./src/routes/coupon.routes');
 const analyticsRoutes = require('./src/routes/analytics.routes');
 const reportRoutes = require('./src/routes/report.routes');
 const settingsRoutes = require('./src/routes/settings.routes');
@@ -102,7 +114,19 @@ app.use('/api', apiLimiter);
 app.use('/api/auth', authLimiter, authRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/skus', skuRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use('/api/stock-takes', stockTakeRoutes);
+app.use('/api/stock-history', stockHistoryRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/shifts', shiftRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/quotes', quoteRoutes);
+app.use('/api/gift-cards', giftCardRoutes);
+app.use('/api/coupons', couponRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/settings', settingsRoutes);
@@ -3,6 +3,10 @@ require('dotenv').config();
 const mongoose = require('mongoose');
 const app = require('./app');
 const logger = require('./src/utils/logger');
+const skuService = require('./src/services/sku.service');
+const { startPendingOrderExpiryJob } = require('./src/jobs/pendingOrderExpiry.job');
+const { startLoyaltyExpiryJob } = require('./src/jobs/loyaltyExpiry.job');
+const { startStockReconciliationJob } = require('./src/jobs/stockReconciliation.job');
 
 const PORT = process.env.PORT || 5000;
 const MONGODB_URI = process.env.MONGODB_URI;
@@ -16,6 +20,15 @@ const startServer = async () => {
 		await mongoose.connect(MONGODB_URI);
 		logger.info('Connected to MongoDB');
 
+		const { backfilled } = await skuService.backfillStockLevels();
+		if (backfilled > 0) {
+			logger.info({ backfilled }, 'Recorded existing SKU stock at the default location');
+		}
+
+		startPendingOrderExpiryJob();
+		startLoyaltyExpiryJob();
+		startStockReconciliationJob();
+
 		app.listen(PORT, () => {
 			logger.info({ port: PORT }, 'Server listening');
 		});
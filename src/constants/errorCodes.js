@@ -1,10 +1,43 @@
 module.exports = {
 	SKU_NOT_FOUND: 'SKU_NOT_FOUND',
 	PRODUCT_NOT_FOUND: 'PRODUCT_NOT_FOUND',
+	LOCATION_NOT_FOUND: 'LOCATION_NOT_FOUND',
+	TRANSFER_NOT_FOUND: 'TRANSFER_NOT_FOUND',
+	INVALID_TRANSFER_STATE: 'INVALID_TRANSFER_STATE',
+	STOCK_TAKE_NOT_FOUND: 'STOCK_TAKE_NOT_FOUND',
+	INVALID_STOCK_TAKE_STATE: 'INVALID_STOCK_TAKE_STATE',
+	SUPPLIER_NOT_FOUND: 'SUPPLIER_NOT_FOUND',
+	PURCHASE_ORDER_NOT_FOUND: 'PURCHASE_ORDER_NOT_FOUND',
+	INVALID_PURCHASE_ORDER_STATE: 'INVALID_PURCHASE_ORDER_STATE',
 	ORDER_NOT_FOUND: 'ORDER_NOT_FOUND',
+	ORDER_ALREADY_CANCELLED: 'ORDER_ALREADY_CANCELLED',
+	INVALID_ORDER_STATE: 'INVALID_ORDER_STATE',
+	ORDER_EXPIRED: 'ORDER_EXPIRED',
+	RETURN_NOT_FOUND: 'RETURN_NOT_FOUND',
+	RETURN_QUANTITY_EXCEEDED: 'RETURN_QUANTITY_EXCEEDED',
 	NOT_AUTHORIZED: 'NOT_AUTHORIZED',
 	INVALID_INPUT: 'INVALID_INPUT',
 	INSUFFICIENT_STOCK: 'INSUFFICIENT_STOCK',
+	COUPON_NOT_FOUND: 'COUPON_NOT_FOUND',
+	INVALID_COUPON: 'INVALID_COUPON',
+	DISCOUNT_LIMIT_EXCEEDED: 'DISCOUNT_LIMIT_EXCEEDED',
+	PRICE_OVERRIDE_APPROVAL_REQUIRED: 'PRICE_OVERRIDE_APPROVAL_REQUIRED',
+	INVALID_APPROVAL: 'INVALID_APPROVAL',
+	INVALID_PAYMENT: 'INVALID_PAYMENT',
+	PAYMENT_INSUFFICIENT: 'PAYMENT_INSUFFICIENT',
+	CUSTOMER_NOT_FOUND: 'CUSTOMER_NOT_FOUND',
+	LOYALTY_DISABLED: 'LOYALTY_DISABLED',
+	INSUFFICIENT_POINTS: 'INSUFFICIENT_POINTS',
+	GIFT_CARD_NOT_FOUND: 'GIFT_CARD_NOT_FOUND',
+	GIFT_CARD_INACTIVE: 'GIFT_CARD_INACTIVE',
+	INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE',
+	QUOTE_NOT_FOUND: 'QUOTE_NOT_FOUND',
+	QUOTE_NOT_CONVERTIBLE: 'QUOTE_NOT_CONVERTIBLE',
+	SHIFT_NOT_FOUND: 'SHIFT_NOT_FOUND',
+	SHIFT_ALREADY_OPEN: 'SHIFT_ALREADY_OPEN',
+	SHIFT_CLOSED: 'SHIFT_CLOSED',
+	IDEMPOTENCY_KEY_REUSED: 'IDEMPOTENCY_KEY_REUSED',
+	IDEMPOTENCY_REQUEST_IN_PROGRESS: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
 	DUPLICATE_BARCODE: 'DUPLICATE_BARCODE',
 	ROUTE_NOT_FOUND: 'ROUTE_NOT_FOUND',
 	SERVER_ERROR: 'SERVER_ERROR',
@@ -1,4 +1,5 @@
 const skuService = require('../services/sku.service');
+const reorderService = require('../services/reorder.service');
 const { success } = require('../utils/response');
 const logger = require('../utils/logger');
 
@@ -8,13 +9,16 @@ const formatAlert = (doc) => ({
 	productName: doc.productName,
 	sku: doc.sku,
 	stock: doc.stock,
+	available: doc.available,
 	minStock: doc.minStock,
 	reorderThreshold: doc.reorderThreshold,
+	locationId: doc.locationId?.toString?.() || doc.locationId || undefined,
 });
 
 const getLowStockAlerts = async (req, res, next) => {
 	try {
-		const results = await skuService.findLowStock();
+		const locationId = typeof req.query.locationId === 'string' ? req.query.locationId.trim() : undefined;
+		const results = await skuService.findLowStock({ locationId });
 		return res.json(success({ alerts: results.map(formatAlert) }, 'Low stock alerts fetched'));
 	} catch (error) {
 		logger.error({ err: error }, 'Failed to fetch low stock alerts');
@@ -22,6 +26,39 @@ const getLowStockAlerts = async (req, res, next) => {
 	}
 };
 
+const readReorderOptions = (source = {}) => ({
+	locationId: typeof source.locationId === 'string' && source.locationId.trim() ? source.locationId.trim() : undefined,
+	lookbackDays: source.lookbackDays,
+	coverDays: source.coverDays,
+});
+
+const getReorderSuggestions = async (req, res, next) => {
+	try {
+		const suggestions = await reorderService.getReorderSuggestions(readReorderOptions(req.query));
+		return res.json(success(suggestions, 'Reorder suggestions fetched'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to fetch reorder suggestions');
+		return next(error);
+	}
+};
+
+const createReorderPurchaseOrders = async (req, res, next) => {
+	try {
+		const userId = req.session?.user?.id;
+		const body = req.body || {};
+		const result = await reorderService.createReorderPurchaseOrders(
+			{ ...readReorderOptions(body), supplierIds: body.supplierIds },
+			userId
+		);
+		return res.status(201).json(success(result, 'Draft purchase orders created from reorder suggestions'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to create purchase orders from reorder suggestions');
+		return next(error);
+	}
+};
+
 module.exports = {
 	getLowStockAlerts,
+	getReorderSuggestions,
+	createReorderPurchaseOrders,
 };
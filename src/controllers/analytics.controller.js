@@ -137,9 +137,69 @@ const getCategoryBreakdown = async (req, res, next) => {
 	}
 };
 
+const getPaymentBreakdown = async (req, res, next) => {
+	try {
+		const { from, to } = resolveDateRange(req.query || {});
+		const data = await orderService.getPaymentBreakdown({ from, to });
+		return res.json(
+			success(
+				{
+					range: { from: from.toISOString(), to: to.toISOString() },
+					...data,
+				},
+				'Payment breakdown fetched successfully'
+			)
+		);
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to fetch payment breakdown');
+		return next(error);
+	}
+};
+
+const getPriceOverrideSummary = async (req, res, next) => {
+	try {
+		const { from, to } = resolveDateRange(req.query || {});
+		const data = await orderService.getPriceOverrideSummary({ from, to });
+		return res.json(
+			success(
+				{
+					range: { from: from.toISOString(), to: to.toISOString() },
+					...data,
+				},
+				'Price override summary fetched successfully'
+			)
+		);
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to fetch price override summary');
+		return next(error);
+	}
+};
+
+const getProfitSummary = async (req, res, next) => {
+	try {
+		const { from, to } = resolveDateRange(req.query || {});
+		const data = await orderService.getProfitSummary({ from, to });
+		return res.json(
+			success(
+				{
+					range: { from: from.toISOString(), to: to.toISOString() },
+					...data,
+				},
+				'Profit summary fetched successfully'
+			)
+		);
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to fetch profit summary');
+		return next(error);
+	}
+};
+
 module.exports = {
 	getSalesSummary,
 	getTopSelling,
 	getDailySalesTrend,
 	getCategoryBreakdown,
+	getPaymentBreakdown,
+	getPriceOverrideSummary,
+	getProfitSummary,
 };
@@ -0,0 +1,88 @@
+const couponService = require('../services/coupon.service');
+const { success } = require('../utils/response');
+const { createHttpError } = require('../utils/httpError');
+const errorCodes = require('../constants/errorCodes');
+const logger = require('../utils/logger');
+
+const toPositiveInt = (value, fallback) => {
+	const parsed = Number(value);
+	if (!Number.isInteger(parsed) || parsed <= 0) {
+		return fallback;
+	}
+	return parsed;
+};
+
+const createCoupon = async (req, res, next) => {
+	try {
+		const userId = req.session?.user?.id;
+		const coupon = await couponService.createCoupon(req.body || {}, userId);
+		return res.status(201).json(success({ coupon }, 'Coupon created successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to create coupon');
+		return next(error);
+	}
+};
+
+const listCoupons = async (req, res, next) => {
+	try {
+		const page = toPositiveInt(req.query.page, 1);
+		const limit = toPositiveInt(req.query.limit, 20);
+		const q = typeof req.query.q === 'string' ? req.query.q.trim() : undefined;
+		const isActive = typeof req.query.isActive === 'string'
+			? req.query.isActive === 'true'
+			: undefined;
+
+		const result = await couponService.listCoupons({ page, limit, q, isActive });
+		return res.json(success(result, 'Coupons fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to list coupons');
+		return next(error);
+	}
+};
+
+const getCouponById = async (req, res, next) => {
+	try {
+		const coupon = await couponService.getCouponById(req.params.id);
+		if (!coupon) {
+			throw createHttpError('Coupon not found', 404, errorCodes.COUPON_NOT_FOUND);
+		}
+		return res.json(success({ coupon }, 'Coupon fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to fetch coupon');
+		return next(error);
+	}
+};
+
+const updateCoupon = async (req, res, next) => {
+	try {
+		const coupon = await couponService.updateCoupon(req.params.id, req.body || {});
+		if (!coupon) {
+			throw createHttpError('Coupon not found', 404, errorCodes.COUPON_NOT_FOUND);
+		}
+		return res.json(success({ coupon }, 'Coupon updated successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to update coupon');
+		return next(error);
+	}
+};
+
+const deleteCoupon = async (req, res, next) => {
+	try {
+		const coupon = await couponService.deactivateCoupon(req.params.id);
+		if (!coupon) {
+			throw createHttpError('Coupon not found', 404, errorCodes.COUPON_NOT_FOUND);
+		}
+		return res.json(success({ coupon }, 'Coupon deactivated successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to deactivate coupon');
+		return next(error);
+	}
+};
+
+module.exports = {
+	createCoupon,
+	listCoupons,
+	getCouponById,
+	updateCoupon,
+	deleteCoupon,
+};
@@ -0,0 +1,132 @@
+const customerService = require('../services/customer.service');
+const loyaltyService = require('../services/loyalty.service');
+const { success } = require('../utils/response');
+const { createHttpError } = require('../utils/httpError');
+const errorCodes = require('../constants/errorCodes');
+const logger = require('../utils/logger');
+
+const toPositiveInt = (value, fallback) => {
+	const parsed = Number(value);
+	if (!Number.isInteger(parsed) || parsed <= 0) {
+		return fallback;
+	}
+	return parsed;
+};
+
+const createCustomer = async (req, res, next) => {
+	try {
+		const userId = req.session?.user?.id;
+		const customer = await customerService.createCustomer(req.body || {}, userId);
+		return res.status(201).json(success({ customer }, 'Customer created successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to create customer');
+		return next(error);
+	}
+};
+
+const listCustomers = async (req, res, next) => {
+	try {
+		const page = toPositiveInt(req.query.page, 1);
+		const limit = toPositiveInt(req.query.limit, 20);
+		const q = typeof req.query.q === 'string' ? req.query.q.trim() : undefined;
+		const isActive = typeof req.query.isActive === 'string'
+			? req.query.isActive === 'true'
+			: undefined;
+
+		const result = await customerService.listCustomers({ page, limit, q, isActive });
+		return res.json(success(result, 'Customers fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to list customers');
+		return next(error);
+	}
+};
+
+const lookupCustomerByPhone = async (req, res, next) => {
+	try {
+		const customer = await customerService.findCustomerByPhone(req.query.phone);
+		if (!customer) {
+			throw createHttpError('Customer not found', 404, errorCodes.CUSTOMER_NOT_FOUND);
+		}
+		return res.json(success({ customer }, 'Customer fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to look up customer');
+		return next(error);
+	}
+};
+
+const getCustomerById = async (req, res, next) => {
+	try {
+		const customer = await customerService.getCustomerById(req.params.id);
+		if (!customer) {
+			throw createHttpError('Customer not found', 404, errorCodes.CUSTOMER_NOT_FOUND);
+		}
+		return res.json(success({ customer }, 'Customer fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to fetch customer');
+		return next(error);
+	}
+};
+
+const getCustomerOrders = async (req, res, next) => {
+	try {
+		const page = toPositiveInt(req.query.page, 1);
+		const limit = toPositiveInt(req.query.limit, 20);
+		const status = typeof req.query.status === 'string' ? req.query.status.trim() : undefined;
+
+		const result = await customerService.getCustomerOrders(req.params.id, { page, limit, status });
+		return res.json(success(result, 'Customer orders fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to fetch customer orders');
+		return next(error);
+	}
+};
+
+const getLoyaltyLedger = async (req, res, next) => {
+	try {
+		const page = toPositiveInt(req.query.page, 1);
+		const limit = toPositiveInt(req.query.limit, 20);
+
+		const result = await loyaltyService.getLedger(req.params.id, { page, limit });
+		return res.json(success(result, 'Loyalty ledger fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to fetch loyalty ledger');
+		return next(error);
+	}
+};
+
+const updateCustomer = async (req, res, next) => {
+	try {
+		const customer = await customerService.updateCustomer(req.params.id, req.body || {});
+		if (!customer) {
+			throw createHttpError('Customer not found', 404, errorCodes.CUSTOMER_NOT_FOUND);
+		}
+		return res.json(success({ customer }, 'Customer updated successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to update customer');
+		return next(error);
+	}
+};
+
+const deleteCustomer = async (req, res, next) => {
+	try {
+		const customer = await customerService.deactivateCustomer(req.params.id);
+		if (!customer) {
+			throw createHttpError('Customer not found', 404, errorCodes.CUSTOMER_NOT_FOUND);
+		}
+		return res.json(success({ customer }, 'Customer deactivated successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to deactivate customer');
+		return next(error);
+	}
+};
+
+module.exports = {
+	createCustomer,
+	listCustomers,
+	lookupCustomerByPhone,
+	getCustomerById,
+	getCustomerOrders,
+	getLoyaltyLedger,
+	updateCustomer,
+	deleteCustomer,
+};
@@ -0,0 +1,85 @@
+const giftCardService = require('../services/giftCard.service');
+const { success } = require('../utils/response');
+const { createHttpError } = require('../utils/httpError');
+const errorCodes = require('../constants/errorCodes');
+const logger = require('../utils/logger');
+
+const toPositiveInt = (value, fallback) => {
+	const parsed = Number(value);
+	if (!Number.isInteger(parsed) || parsed <= 0) {
+		return fallback;
+	}
+	return parsed;
+};
+
+const issueGiftCard = async (req, res, next) => {
+	try {
+		const userId = req.session?.user?.id;
+		const giftCard = await giftCardService.issueGiftCard(req.body || {}, userId);
+		return res.status(201).json(success({ giftCard }, 'Gift card issued successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to issue gift card');
+		return next(error);
+	}
+};
+
+const listGiftCards = async (req, res, next) => {
+	try {
+		const page = toPositiveInt(req.query.page, 1);
+		const limit = toPositiveInt(req.query.limit, 20);
+		const type = typeof req.query.type === 'string' ? req.query.type.trim() : undefined;
+		const status = typeof req.query.status === 'string' ? req.query.status.trim() : undefined;
+		const customerId = typeof req.query.customerId === 'string' ? req.query.customerId.trim() : undefined;
+
+		const result = await giftCardService.listGiftCards({ page, limit, type, status, customerId });
+		return res.json(success(result, 'Gift cards fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to list gift cards');
+		return next(error);
+	}
+};
+
+const checkBalance = async (req, res, next) => {
+	try {
+		const balance = await giftCardService.checkBalance(req.params.code);
+		if (!balance) {
+			throw createHttpError('Gift card not found', 404, errorCodes.GIFT_CARD_NOT_FOUND);
+		}
+		return res.json(success({ giftCard: balance }, 'Gift card balance fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to check gift card balance');
+		return next(error);
+	}
+};
+
+const getGiftCardById = async (req, res, next) => {
+	try {
+		const giftCard = await giftCardService.getGiftCardById(req.params.id);
+		if (!giftCard) {
+			throw createHttpError('Gift card not found', 404, errorCodes.GIFT_CARD_NOT_FOUND);
+		}
+		return res.json(success({ giftCard }, 'Gift card fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to fetch gift card');
+		return next(error);
+	}
+};
+
+const voidGiftCard = async (req, res, next) => {
+	try {
+		const userId = req.session?.user?.id;
+		const giftCard = await giftCardService.voidGiftCard(req.params.id, req.body || {}, userId);
+		return res.json(success({ giftCard }, 'Gift card voided successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to void gift card');
+		return next(error);
+	}
+};
+
+module.exports = {
+	issueGiftCard,
+	listGiftCards,
+	checkBalance,
+	getGiftCardById,
+	voidGiftCard,
+};
@@ -0,0 +1,63 @@
+const locationService = require('../services/location.service');
+const { success } = require('../utils/response');
+const { createHttpError } = require('../utils/httpError');
+const errorCodes = require('../constants/errorCodes');
+const logger = require('../utils/logger');
+
+const createLocation = async (req, res, next) => {
+	try {
+		const location = await locationService.createLocation(req.body || {});
+		return res.status(201).json(success({ location }, 'Location created successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to create location');
+		return next(error);
+	}
+};
+
+const listLocations = async (req, res, next) => {
+	try {
+		const isActive = typeof req.query.isActive === 'string'
+			? req.query.isActive === 'true'
+			: undefined;
+		const type = typeof req.query.type === 'string' ? req.query.type.trim() : undefined;
+
+		const locations = await locationService.listLocations({ isActive, type });
+		return res.json(success({ locations }, 'Locations fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to list locations');
+		return next(error);
+	}
+};
+
+const getLocationById = async (req, res, next) => {
+	try {
+		const location = await locationService.getLocationById(req.params.id);
+		if (!location) {
+			throw createHttpError('Location not found', 404, errorCodes.LOCATION_NOT_FOUND);
+		}
+		return res.json(success({ location }, 'Location fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to fetch location');
+		return next(error);
+	}
+};
+
+const updateLocation = async (req, res, next) => {
+	try {
+		const location = await locationService.updateLocation(req.params.id, req.body || {});
+		if (!location) {
+			throw createHttpError('Location not found', 404, errorCodes.LOCATION_NOT_FOUND);
+		}
+		return res.json(success({ location }, 'Location updated successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to update location');
+		return next(error);
+	}
+};
+
+module.exports = {
+	createLocation,
+	listLocations,
+	getLocationById,
+	updateLocation,
+};
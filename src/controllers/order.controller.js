@@ -1,4 +1,5 @@
 const orderService = require('../services/order.service');
+const receiptService = require('../services/receipt.service');
 const { success } = require('../utils/response');
 const { createHttpError } = require('../utils/httpError');
 const errorCodes = require('../constants/errorCodes');
@@ -12,10 +13,29 @@ const toPositiveInt = (value, fallback) => {
 	return parsed;
 };
 
+const RECEIPT_FORMATS = new Set(['text', 'escpos']);
+
+// Staff members can only see orders they rang up themselves.
+const loadVisibleOrder = async (id, requester) => {
+	const order = await orderService.getOrderById(id);
+	if (!order) {
+		throw createHttpError('Order not found', 404, errorCodes.ORDER_NOT_FOUND);
+	}
+
+	if (requester?.role === 'staff') {
+		const createdBy = order.createdBy?.toString?.() || order.createdBy;
+		if (!createdBy || createdBy !== requester.id) {
+			throw createHttpError('Forbidden', 403, errorCodes.NOT_AUTHORIZED);
+		}
+	}
+	return order;
+};
+
 const createOrder = async (req, res, next) => {
 	try {
 		const userId = req.session?.user?.id;
-		const order = await orderService.createOrder(req.body, userId);
+		const role = req.session?.user?.role;
+		const order = await orderService.createOrder(req.body, userId, { role });
 		return res.status(201).json(success({ order }, 'Order created successfully'));
 	} catch (error) {
 		logger.error({ err: error }, 'Failed to create order');
@@ -23,6 +43,18 @@ const createOrder = async (req, res, next) => {
 	}
 };
 
+const syncOrders = async (req, res, next) => {
+	try {
+		const userId = req.session?.user?.id;
+		const role = req.session?.user?.role;
+		const result = await orderService.syncOrders(req.body?.orders, userId, { role });
+		return res.json(success(result, 'Orders synced'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to sync orders');
+		return next(error);
+	}
+};
+
 const listOrders = async (req, res, next) => {
 	try {
 		const page = toPositiveInt(req.query.page, 1);
@@ -59,27 +91,86 @@ const listOrders = async (req, res, next) => {
 const getOrderById = async (req, res, next) => {
 	try {
 		const { id } = req.params;
-		const order = await orderService.getOrderById(id);
-		if (!order) {
-			throw createHttpError('Order not found', 404, errorCodes.ORDER_NOT_FOUND);
+		const order = await loadVisibleOrder(id, req.session?.user);
+		return res.json(success({ order }, 'Order fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to fetch order');
+		return next(error);
+	}
+};
+
+const getOrderReceipt = async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		const format = typeof req.query.format === 'string' ? req.query.format.trim().toLowerCase() : 'text';
+		if (!RECEIPT_FORMATS.has(format)) {
+			throw createHttpError('format must be either text or escpos', 400, errorCodes.INVALID_INPUT);
 		}
 
-		const requester = req.session?.user;
-		if (requester?.role === 'staff') {
-			const createdBy = order.createdBy?.toString?.() || order.createdBy;
-			if (!createdBy || createdBy !== requester.id) {
-				throw createHttpError('Forbidden', 403, errorCodes.NOT_AUTHORIZED);
-			}
+		const order = await loadVisibleOrder(id, req.session?.user);
+		const document = await receiptService.buildOrderDocument(order);
+
+		if (format === 'escpos') {
+			res.set('Content-Disposition', `attachment; filename="${order.orderNumber}.bin"`);
+			return res.type('application/octet-stream').send(receiptService.renderReceiptEscPos(document));
 		}
-		return res.json(success({ order }, 'Order fetched successfully'));
+		return res.type('text/plain').send(receiptService.renderReceiptText(document));
 	} catch (error) {
-		logger.error({ err: error }, 'Failed to fetch order');
+		logger.error({ err: error }, 'Failed to render receipt');
+		return next(error);
+	}
+};
+
+const getOrderInvoicePdf = async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		const order = await loadVisibleOrder(id, req.session?.user);
+		const document = await receiptService.buildOrderDocument(order);
+		const pdf = await receiptService.renderInvoicePdf(document);
+
+		res.set('Content-Disposition', `inline; filename="${order.orderNumber}.pdf"`);
+		return res.type('application/pdf').send(pdf);
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to render invoice');
+		return next(error);
+	}
+};
+
+const completeOrder = async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		const userId = req.session?.user?.id;
+		const order = await orderService.completeOrder(id, userId, {
+			payments: req.body?.payments,
+			register: req.body?.register,
+		});
+		return res.json(success({ order }, 'Order completed successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to complete order');
+		return next(error);
+	}
+};
+
+const cancelOrder = async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		const userId = req.session?.user?.id;
+		const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : undefined;
+		const order = await orderService.cancelOrder(id, userId, { reason, register: req.body?.register });
+		return res.json(success({ order }, 'Order cancelled successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to cancel order');
 		return next(error);
 	}
 };
 
 module.exports = {
 	createOrder,
+	syncOrders,
 	listOrders,
 	getOrderById,
+	getOrderReceipt,
+	getOrderInvoicePdf,
+	completeOrder,
+	cancelOrder,
 };
@@ -25,6 +25,9 @@ const createProduct = async (req, res, next) => {
 			basePrice: req.body?.basePrice,
 			minStock: req.body?.minStock,
 			initialStock: req.body?.initialStock,
+			unitCost: req.body?.unitCost,
+			taxClass: typeof req.body?.taxClass === 'string' ? req.body.taxClass.trim() : undefined,
+			supplierId: req.body?.supplierId,
 		};
 
 		if (typeof payload.basePrice !== 'number' || payload.basePrice < 0) {
@@ -74,6 +77,7 @@ const getProducts = async (req, res, next) => {
 		const isActive = typeof req.query.isActive === 'string'
 			? req.query.isActive === 'true'
 			: undefined;
+		const supplierId = typeof req.query.supplierId === 'string' ? req.query.supplierId.trim() : undefined;
 
 		const result = await productService.getProducts({
 			page,
@@ -81,6 +85,7 @@ const getProducts = async (req, res, next) => {
 			name: q,
 			category,
 			isActive,
+			supplierId,
 		});
 
 		const products = Array.isArray(result.data) ? result.data : [];
@@ -138,6 +143,8 @@ const updateProduct = async (req, res, next) => {
 			images: Array.isArray(req.body?.images) ? req.body.images.filter(Boolean) : undefined,
 			basePrice: req.body?.basePrice,
 			minStock: req.body?.minStock,
+			taxClass: typeof req.body?.taxClass === 'string' ? req.body.taxClass.trim() : undefined,
+			supplierId: req.body?.supplierId,
 		};
 
 		if (typeof payload.basePrice !== 'undefined' && (typeof payload.basePrice !== 'number' || payload.basePrice < 0)) {
@@ -0,0 +1,116 @@
+const purchaseOrderService = require('../services/purchaseOrder.service');
+const { success } = require('../utils/response');
+const { createHttpError } = require('../utils/httpError');
+const errorCodes = require('../constants/errorCodes');
+const logger = require('../utils/logger');
+
+const toPositiveInt = (value, fallback) => {
+	const parsed = Number(value);
+	if (!Number.isInteger(parsed) || parsed <= 0) {
+		return fallback;
+	}
+	return parsed;
+};
+
+const createPurchaseOrder = async (req, res, next) => {
+	try {
+		const userId = req.session?.user?.id;
+		const purchaseOrder = await purchaseOrderService.createPurchaseOrder(req.body || {}, userId);
+		return res.status(201).json(success({ purchaseOrder }, 'Purchase order created successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to create purchase order');
+		return next(error);
+	}
+};
+
+const listPurchaseOrders = async (req, res, next) => {
+	try {
+		const page = toPositiveInt(req.query.page, 1);
+		const limit = toPositiveInt(req.query.limit, 20);
+		const status = typeof req.query.status === 'string' ? req.query.status.trim() : undefined;
+		const supplierId = typeof req.query.supplierId === 'string' ? req.query.supplierId.trim() : undefined;
+
+		const result = await purchaseOrderService.listPurchaseOrders({ page, limit, status, supplierId });
+		return res.json(success(result, 'Purchase orders fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to list purchase orders');
+		return next(error);
+	}
+};
+
+const getPurchaseOrderById = async (req, res, next) => {
+	try {
+		const purchaseOrder = await purchaseOrderService.getPurchaseOrderById(req.params.id);
+		if (!purchaseOrder) {
+			throw createHttpError('Purchase order not found', 404, errorCodes.PURCHASE_ORDER_NOT_FOUND);
+		}
+		return res.json(success({ purchaseOrder }, 'Purchase order fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to fetch purchase order');
+		return next(error);
+	}
+};
+
+const updatePurchaseOrder = async (req, res, next) => {
+	try {
+		const purchaseOrder = await purchaseOrderService.updatePurchaseOrder(req.params.id, req.body || {});
+		return res.json(success({ purchaseOrder }, 'Purchase order updated successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to update purchase order');
+		return next(error);
+	}
+};
+
+const sendPurchaseOrder = async (req, res, next) => {
+	try {
+		const purchaseOrder = await purchaseOrderService.sendPurchaseOrder(req.params.id);
+		return res.json(success({ purchaseOrder }, 'Purchase order sent successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to send purchase order');
+		return next(error);
+	}
+};
+
+const receivePurchaseOrder = async (req, res, next) => {
+	try {
+		const userId = req.session?.user?.id;
+		const purchaseOrder = await purchaseOrderService.receivePurchaseOrder(req.params.id, req.body || {}, userId);
+		return res.json(success({ purchaseOrder }, 'Purchase order received successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to receive purchase order');
+		return next(error);
+	}
+};
+
+const closePurchaseOrder = async (req, res, next) => {
+	try {
+		const userId = req.session?.user?.id;
+		const purchaseOrder = await purchaseOrderService.closePurchaseOrder(req.params.id, req.body || {}, userId);
+		return res.json(success({ purchaseOrder }, 'Purchase order closed successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to close purchase order');
+		return next(error);
+	}
+};
+
+const cancelPurchaseOrder = async (req, res, next) => {
+	try {
+		const userId = req.session?.user?.id;
+		const purchaseOrder = await purchaseOrderService.cancelPurchaseOrder(req.params.id, userId);
+		return res.json(success({ purchaseOrder }, 'Purchase order cancelled successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to cancel purchase order');
+		return next(error);
+	}
+};
+
+module.exports = {
+	createPurchaseOrder,
+	listPurchaseOrders,
+	getPurchaseOrderById,
+	updatePurchaseOrder,
+	sendPurchaseOrder,
+	receivePurchaseOrder,
+	closePurchaseOrder,
+	cancelPurchaseOrder,
+};
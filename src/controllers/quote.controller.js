@@ -0,0 +1,89 @@
+const quoteService = require('../services/quote.service');
+const { success } = require('../utils/response');
+const logger = require('../utils/logger');
+
+const toPositiveInt = (value, fallback) => {
+	const parsed = Number(value);
+	if (!Number.isInteger(parsed) || parsed <= 0) {
+		return fallback;
+	}
+	return parsed;
+};
+
+const createQuote = async (req, res, next) => {
+	try {
+		const userId = req.session?.user?.id;
+		const role = req.session?.user?.role;
+		const quote = await quoteService.createQuote(req.body || {}, userId, { role });
+		return res.status(201).json(success({ quote }, 'Quote created successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to create quote');
+		return next(error);
+	}
+};
+
+const listQuotes = async (req, res, next) => {
+	try {
+		const page = toPositiveInt(req.query.page, 1);
+		const limit = toPositiveInt(req.query.limit, 20);
+		const status = typeof req.query.status === 'string' ? req.query.status.trim() : undefined;
+		const customerId = typeof req.query.customerId === 'string' ? req.query.customerId.trim() : undefined;
+
+		const result = await quoteService.listQuotes({ page, limit, status, customerId });
+		return res.json(success(result, 'Quotes fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to list quotes');
+		return next(error);
+	}
+};
+
+const getQuoteById = async (req, res, next) => {
+	try {
+		const quote = await quoteService.getQuoteById(req.params.id);
+		return res.json(success({ quote }, 'Quote fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to fetch quote');
+		return next(error);
+	}
+};
+
+const updateQuote = async (req, res, next) => {
+	try {
+		const role = req.session?.user?.role;
+		const quote = await quoteService.updateQuote(req.params.id, req.body || {}, { role });
+		return res.json(success({ quote }, 'Quote updated successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to update quote');
+		return next(error);
+	}
+};
+
+const sendQuote = async (req, res, next) => {
+	try {
+		const quote = await quoteService.markQuoteSent(req.params.id);
+		return res.json(success({ quote }, 'Quote marked as sent'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to mark quote as sent');
+		return next(error);
+	}
+};
+
+const convertQuote = async (req, res, next) => {
+	try {
+		const userId = req.session?.user?.id;
+		const order = await quoteService.convertQuote(req.params.id, req.body || {}, userId);
+		return res.status(201).json(success({ order }, 'Quote converted to order successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to convert quote');
+		return next(error);
+	}
+};
+
+module.exports = {
+	createQuote,
+	listQuotes,
+	getQuoteById,
+	updateQuote,
+	sendQuote,
+	convertQuote,
+};
@@ -89,6 +89,19 @@ const getTopSellingProducts = async (req, res, next) => {
 	}
 };
 
+const getInventoryValuation = async (req, res, next) => {
+	try {
+		const asOfDate = parseDateParam(req.query.asOf, 'asOf');
+		const asOf = asOfDate ? endOfDay(asOfDate) : new Date();
+		const valuation = await reportService.getInventoryValuation({ asOf });
+		return res.json(success(valuation, 'Inventory valuation fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to fetch inventory valuation');
+		return next(error);
+	}
+};
+
 module.exports = {
 	getTopSellingProducts,
+	getInventoryValuation,
 };
@@ -0,0 +1,58 @@
+const returnService = require('../services/return.service');
+const { success } = require('../utils/response');
+const { createHttpError } = require('../utils/httpError');
+const errorCodes = require('../constants/errorCodes');
+const logger = require('../utils/logger');
+
+const toPositiveInt = (value, fallback) => {
+	const parsed = Number(value);
+	if (!Number.isInteger(parsed) || parsed <= 0) {
+		return fallback;
+	}
+	return parsed;
+};
+
+const createReturn = async (req, res, next) => {
+	try {
+		const userId = req.session?.user?.id;
+		const returnDoc = await returnService.createReturn(req.body, userId);
+		return res.status(201).json(success({ return: returnDoc }, 'Return recorded successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to create return');
+		return next(error);
+	}
+};
+
+const listReturns = async (req, res, next) => {
+	try {
+		const page = toPositiveInt(req.query.page, 1);
+		const limit = toPositiveInt(req.query.limit, 20);
+		const orderId = typeof req.query.orderId === 'string' ? req.query.orderId.trim() : undefined;
+
+		const result = await returnService.listReturns({ page, limit, orderId });
+		return res.json(success(result, 'Returns fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to list returns');
+		return next(error);
+	}
+};
+
+const getReturnById = async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		const returnDoc = await returnService.getReturnById(id);
+		if (!returnDoc) {
+			throw createHttpError('Return not found', 404, errorCodes.RETURN_NOT_FOUND);
+		}
+		return res.json(success({ return: returnDoc }, 'Return fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to fetch return');
+		return next(error);
+	}
+};
+
+module.exports = {
+	createReturn,
+	listReturns,
+	getReturnById,
+};
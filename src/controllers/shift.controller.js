@@ -0,0 +1,114 @@
+const shiftService = require('../services/shift.service');
+const { success } = require('../utils/response');
+const { createHttpError } = require('../utils/httpError');
+const errorCodes = require('../constants/errorCodes');
+const logger = require('../utils/logger');
+
+const SHIFT_STATUSES = new Set(['open', 'closed']);
+
+const toPositiveInt = (value, fallback) => {
+	const parsed = Number(value);
+	if (!Number.isInteger(parsed) || parsed <= 0) {
+		return fallback;
+	}
+	return parsed;
+};
+
+const openShift = async (req, res, next) => {
+	try {
+		const userId = req.session?.user?.id;
+		const shift = await shiftService.openShift(req.body, userId);
+		return res.status(201).json(success({ shift }, 'Shift opened successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to open shift');
+		return next(error);
+	}
+};
+
+const getCurrentShift = async (req, res, next) => {
+	try {
+		const register = typeof req.query.register === 'string' ? req.query.register : undefined;
+		const shift = await shiftService.getOpenShift(register);
+		if (!shift) {
+			throw createHttpError('No open shift on this register', 404, errorCodes.SHIFT_NOT_FOUND);
+		}
+		return res.json(success({ shift }, 'Shift fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to fetch current shift');
+		return next(error);
+	}
+};
+
+const listShifts = async (req, res, next) => {
+	try {
+		const page = toPositiveInt(req.query.page, 1);
+		const limit = toPositiveInt(req.query.limit, 20);
+		const status = SHIFT_STATUSES.has(req.query.status) ? req.query.status : undefined;
+		const register = typeof req.query.register === 'string' ? req.query.register : undefined;
+
+		const result = await shiftService.listShifts({ page, limit, status, register });
+		return res.json(success(result, 'Shifts fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to list shifts');
+		return next(error);
+	}
+};
+
+const getShiftById = async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		const shift = await shiftService.getShiftById(id);
+		if (!shift) {
+			throw createHttpError('Shift not found', 404, errorCodes.SHIFT_NOT_FOUND);
+		}
+		return res.json(success({ shift }, 'Shift fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to fetch shift');
+		return next(error);
+	}
+};
+
+const recordCashMovement = async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		const userId = req.session?.user?.id;
+		const shift = await shiftService.recordCashMovement(id, req.body, userId);
+		return res.status(201).json(success({ shift }, 'Cash movement recorded successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to record cash movement');
+		return next(error);
+	}
+};
+
+const closeShift = async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		const userId = req.session?.user?.id;
+		const report = await shiftService.closeShift(id, req.body, userId);
+		return res.json(success({ report }, 'Shift closed successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to close shift');
+		return next(error);
+	}
+};
+
+const getZReport = async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		const report = await shiftService.getZReport(id);
+		return res.json(success({ report }, 'Z report generated successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to generate Z report');
+		return next(error);
+	}
+};
+
+module.exports = {
+	openShift,
+	getCurrentShift,
+	listShifts,
+	getShiftById,
+	recordCashMovement,
+	closeShift,
+	getZReport,
+};
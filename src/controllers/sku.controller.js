@@ -1,4 +1,5 @@
 const skuService = require('../services/sku.service');
+const costingService = require('../services/costing.service');
 const { success } = require('../utils/response');
 const { createHttpError } = require('../utils/httpError');
 const errorCodes = require('../constants/errorCodes');
@@ -25,6 +26,8 @@ const createSku = async (req, res, next) => {
 			reorderThreshold: req.body?.reorderThreshold,
 			barcode: req.body?.barcode,
 			stock: req.body?.stock,
+			unitCost: req.body?.unitCost,
+			locationId: req.body?.locationId,
 		};
 
 		const sku = await skuService.createSku(payload);
@@ -101,9 +104,13 @@ const updateSku = async (req, res, next) => {
 			reorderThreshold: req.body?.reorderThreshold,
 			barcode: req.body?.barcode,
 			stock: req.body?.stock,
+			reason: req.body?.reason,
+			locationId: req.body?.locationId,
+			unitCost: req.body?.unitCost,
 		};
 
-		const sku = await skuService.updateSku(id, payload);
+		const userId = req.session?.user?.id;
+		const sku = await skuService.updateSku(id, payload, userId);
 		if (!sku) {
 			throw createHttpError('SKU not found', 404, errorCodes.SKU_NOT_FOUND);
 		}
@@ -123,7 +130,7 @@ const adjustSkuStock = async (req, res, next) => {
 	*/
 	try {
 		const { id } = req.params;
-		const { delta, reason, referenceOrderId, metadata } = req.body || {};
+		const { delta, reason, referenceOrderId, metadata, locationId, unitCost } = req.body || {};
 
 		if (delta == null || Number(delta) === 0) {
 			throw createHttpError('delta must be a non-zero number', 400, errorCodes.INVALID_INPUT);
@@ -141,7 +148,7 @@ const adjustSkuStock = async (req, res, next) => {
 			reason,
 			userId,
 			null,
-			{ referenceOrderId, metadata }
+			{ referenceOrderId, metadata, locationId, unitCost: costingService.normalizeUnitCost(unitCost) }
 		);
 
 		return res.json(success(result, 'SKU stock adjusted successfully'));
@@ -178,6 +185,8 @@ const bulkAdjustSkuStock = async (req, res, next) => {
 			userId: item.userId || userId,
 			referenceOrderId: item.referenceOrderId,
 			metadata: item.metadata,
+			locationId: item.locationId,
+			unitCost: item.unitCost,
 		}));
 
 		const { results } = await skuService.bulkUpdateStock(adjustments);
@@ -210,7 +219,8 @@ const scanSku = async (req, res, next) => {
 			throw createHttpError('barcode query parameter is required', 400, errorCodes.INVALID_INPUT);
 		}
 
-		const sku = await skuService.findByBarcode(barcode);
+		const locationId = typeof req.query.locationId === 'string' ? req.query.locationId.trim() : undefined;
+		const sku = await skuService.findByBarcode(barcode, locationId);
 		if (!sku) {
 			throw createHttpError('SKU not found', 404, errorCodes.SKU_NOT_FOUND);
 		}
@@ -221,6 +231,20 @@ const scanSku = async (req, res, next) => {
 	}
 };
 
+const getSkuStockLevels = async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		const levels = await skuService.getStockLevels(id);
+		if (!levels) {
+			throw createHttpError('SKU not found', 404, errorCodes.SKU_NOT_FOUND);
+		}
+		return res.json(success(levels, 'SKU stock levels fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to fetch SKU stock levels');
+		return next(error);
+	}
+};
+
 const deleteSku = async (req, res, next) => {
 	try {
 		const { id } = req.params;
@@ -245,4 +269,5 @@ module.exports = {
 	bulkAdjustSkuStock,
 	searchSku,
 	scanSku,
+	getSkuStockLevels,
 };
@@ -0,0 +1,84 @@
+const stockHistoryService = require('../services/stockHistory.service');
+const { success } = require('../utils/response');
+const logger = require('../utils/logger');
+
+const toPositiveInt = (value, fallback) => {
+	const parsed = Number(value);
+	if (!Number.isInteger(parsed) || parsed <= 0) {
+		return fallback;
+	}
+	return parsed;
+};
+
+const readString = (value) => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+
+// Filters shared by the list, the CSV export and a SKU's own history
+const readHistoryFilters = (query = {}) => ({
+	skuId: readString(query.skuId),
+	productId: readString(query.productId),
+	locationId: readString(query.locationId),
+	changedBy: readString(query.userId),
+	orderId: readString(query.orderId),
+	reason: readString(query.reason),
+	from: readString(query.from),
+	to: readString(query.to),
+});
+
+const listStockHistory = async (req, res, next) => {
+	try {
+		const result = await stockHistoryService.listStockHistory({
+			...readHistoryFilters(req.query),
+			page: toPositiveInt(req.query.page, 1),
+			limit: toPositiveInt(req.query.limit, 20),
+		});
+		return res.json(success(result, 'Stock history fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to list stock history');
+		return next(error);
+	}
+};
+
+// History outlives the SKU, so a deleted SKU's movements can still be read back
+const getSkuHistory = async (req, res, next) => {
+	try {
+		const result = await stockHistoryService.listStockHistory({
+			...readHistoryFilters(req.query),
+			skuId: req.params.id,
+			page: toPositiveInt(req.query.page, 1),
+			limit: toPositiveInt(req.query.limit, 20),
+		});
+		return res.json(success(result, 'SKU stock history fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to fetch SKU stock history');
+		return next(error);
+	}
+};
+
+const exportStockHistory = async (req, res, next) => {
+	try {
+		const csv = await stockHistoryService.exportStockHistoryCsv(readHistoryFilters(req.query));
+		const stamp = new Date().toISOString().slice(0, 10);
+		res.set('Content-Disposition', `attachment; filename="stock-history-${stamp}.csv"`);
+		return res.type('text/csv').send(csv);
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to export stock history');
+		return next(error);
+	}
+};
+
+const getStockReconciliation = async (req, res, next) => {
+	try {
+		const result = await stockHistoryService.findStockDiscrepancies();
+		return res.json(success(result, 'Stock reconciliation completed successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to reconcile stock');
+		return next(error);
+	}
+};
+
+module.exports = {
+	listStockHistory,
+	getSkuHistory,
+	exportStockHistory,
+	getStockReconciliation,
+};
@@ -0,0 +1,114 @@
+const stockTakeService = require('../services/stockTake.service');
+const { success } = require('../utils/response');
+const logger = require('../utils/logger');
+
+const toPositiveInt = (value, fallback) => {
+	const parsed = Number(value);
+	if (!Number.isInteger(parsed) || parsed <= 0) {
+		return fallback;
+	}
+	return parsed;
+};
+
+const createStockTake = async (req, res, next) => {
+	try {
+		const userId = req.session?.user?.id;
+		const stockTake = await stockTakeService.createStockTake(req.body || {}, userId);
+		return res.status(201).json(success({ stockTake }, 'Stock take created successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to create stock take');
+		return next(error);
+	}
+};
+
+const listStockTakes = async (req, res, next) => {
+	try {
+		const page = toPositiveInt(req.query.page, 1);
+		const limit = toPositiveInt(req.query.limit, 20);
+		const status = typeof req.query.status === 'string' ? req.query.status.trim() : undefined;
+		const locationId = typeof req.query.locationId === 'string' ? req.query.locationId.trim() : undefined;
+
+		const result = await stockTakeService.listStockTakes({ page, limit, status, locationId });
+		return res.json(success(result, 'Stock takes fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to list stock takes');
+		return next(error);
+	}
+};
+
+const getStockTakeById = async (req, res, next) => {
+	try {
+		const role = req.session?.user?.role;
+		const stockTake = await stockTakeService.getStockTakeById(req.params.id, role);
+		return res.json(success({ stockTake }, 'Stock take fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to fetch stock take');
+		return next(error);
+	}
+};
+
+const recordScan = async (req, res, next) => {
+	try {
+		const userId = req.session?.user?.id;
+		const role = req.session?.user?.role;
+		const result = await stockTakeService.recordScan(req.params.id, req.body || {}, userId, role);
+		return res.json(success(result, 'Scan recorded successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to record stock take scan');
+		return next(error);
+	}
+};
+
+const setCounts = async (req, res, next) => {
+	try {
+		const userId = req.session?.user?.id;
+		const role = req.session?.user?.role;
+		const stockTake = await stockTakeService.setCounts(req.params.id, req.body || {}, userId, role);
+		return res.json(success({ stockTake }, 'Counts updated successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to update stock take counts');
+		return next(error);
+	}
+};
+
+const getVariances = async (req, res, next) => {
+	try {
+		const variances = await stockTakeService.getVariances(req.params.id);
+		return res.json(success(variances, 'Stock take variances fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to fetch stock take variances');
+		return next(error);
+	}
+};
+
+const postStockTake = async (req, res, next) => {
+	try {
+		const userId = req.session?.user?.id;
+		const stockTake = await stockTakeService.postStockTake(req.params.id, req.body || {}, userId);
+		return res.json(success({ stockTake }, 'Stock take posted successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to post stock take');
+		return next(error);
+	}
+};
+
+const cancelStockTake = async (req, res, next) => {
+	try {
+		const stockTake = await stockTakeService.cancelStockTake(req.params.id);
+		return res.json(success({ stockTake }, 'Stock take cancelled successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to cancel stock take');
+		return next(error);
+	}
+};
+
+module.exports = {
+	createStockTake,
+	listStockTakes,
+	getStockTakeById,
+	recordScan,
+	setCounts,
+	getVariances,
+	postStockTake,
+	cancelStockTake,
+};
@@ -0,0 +1,73 @@
+const supplierService = require('../services/supplier.service');
+const { success } = require('../utils/response');
+const { createHttpError } = require('../utils/httpError');
+const errorCodes = require('../constants/errorCodes');
+const logger = require('../utils/logger');
+
+const toPositiveInt = (value, fallback) => {
+	const parsed = Number(value);
+	if (!Number.isInteger(parsed) || parsed <= 0) {
+		return fallback;
+	}
+	return parsed;
+};
+
+const createSupplier = async (req, res, next) => {
+	try {
+		const supplier = await supplierService.createSupplier(req.body || {});
+		return res.status(201).json(success({ supplier }, 'Supplier created successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to create supplier');
+		return next(error);
+	}
+};
+
+const listSuppliers = async (req, res, next) => {
+	try {
+		const page = toPositiveInt(req.query.page, 1);
+		const limit = toPositiveInt(req.query.limit, 20);
+		const q = typeof req.query.q === 'string' ? req.query.q.trim() : undefined;
+		const isActive = typeof req.query.isActive === 'string'
+			? req.query.isActive === 'true'
+			: undefined;
+
+		const result = await supplierService.listSuppliers({ page, limit, q, isActive });
+		return res.json(success(result, 'Suppliers fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to list suppliers');
+		return next(error);
+	}
+};
+
+const getSupplierById = async (req, res, next) => {
+	try {
+		const supplier = await supplierService.getSupplierById(req.params.id);
+		if (!supplier) {
+			throw createHttpError('Supplier not found', 404, errorCodes.SUPPLIER_NOT_FOUND);
+		}
+		return res.json(success({ supplier }, 'Supplier fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to fetch supplier');
+		return next(error);
+	}
+};
+
+const updateSupplier = async (req, res, next) => {
+	try {
+		const supplier = await supplierService.updateSupplier(req.params.id, req.body || {});
+		if (!supplier) {
+			throw createHttpError('Supplier not found', 404, errorCodes.SUPPLIER_NOT_FOUND);
+		}
+		return res.json(success({ supplier }, 'Supplier updated successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to update supplier');
+		return next(error);
+	}
+};
+
+module.exports = {
+	createSupplier,
+	listSuppliers,
+	getSupplierById,
+	updateSupplier,
+};
@@ -0,0 +1,97 @@
+const transferService = require('../services/transfer.service');
+const { success } = require('../utils/response');
+const { createHttpError } = require('../utils/httpError');
+const errorCodes = require('../constants/errorCodes');
+const logger = require('../utils/logger');
+
+const toPositiveInt = (value, fallback) => {
+	const parsed = Number(value);
+	if (!Number.isInteger(parsed) || parsed <= 0) {
+		return fallback;
+	}
+	return parsed;
+};
+
+const createTransfer = async (req, res, next) => {
+	try {
+		const userId = req.session?.user?.id;
+		const transfer = await transferService.createTransfer(req.body || {}, userId);
+		return res.status(201).json(success({ transfer }, 'Transfer created successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to create transfer');
+		return next(error);
+	}
+};
+
+const listTransfers = async (req, res, next) => {
+	try {
+		const page = toPositiveInt(req.query.page, 1);
+		const limit = toPositiveInt(req.query.limit, 20);
+		const status = typeof req.query.status === 'string' ? req.query.status.trim() : undefined;
+		const locationId = typeof req.query.locationId === 'string' ? req.query.locationId.trim() : undefined;
+		const hasVariance = typeof req.query.hasVariance === 'string'
+			? req.query.hasVariance === 'true'
+			: undefined;
+
+		const result = await transferService.listTransfers({ page, limit, status, locationId, hasVariance });
+		return res.json(success(result, 'Transfers fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to list transfers');
+		return next(error);
+	}
+};
+
+const getTransferById = async (req, res, next) => {
+	try {
+		const transfer = await transferService.getTransferById(req.params.id);
+		if (!transfer) {
+			throw createHttpError('Transfer not found', 404, errorCodes.TRANSFER_NOT_FOUND);
+		}
+		return res.json(success({ transfer }, 'Transfer fetched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to fetch transfer');
+		return next(error);
+	}
+};
+
+const dispatchTransfer = async (req, res, next) => {
+	try {
+		const userId = req.session?.user?.id;
+		const transfer = await transferService.dispatchTransfer(req.params.id, userId);
+		return res.json(success({ transfer }, 'Transfer dispatched successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to dispatch transfer');
+		return next(error);
+	}
+};
+
+const receiveTransfer = async (req, res, next) => {
+	try {
+		const userId = req.session?.user?.id;
+		const transfer = await transferService.receiveTransfer(req.params.id, req.body || {}, userId);
+		return res.json(success({ transfer }, 'Transfer received successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to receive transfer');
+		return next(error);
+	}
+};
+
+const cancelTransfer = async (req, res, next) => {
+	try {
+		const userId = req.session?.user?.id;
+		const transfer = await transferService.cancelTransfer(req.params.id, userId);
+		return res.json(success({ transfer }, 'Transfer cancelled successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to cancel transfer');
+		return next(error);
+	}
+};
+
+module.exports = {
+	createTransfer,
+	listTransfers,
+	getTransferById,
+	dispatchTransfer,
+	receiveTransfer,
+	cancelTransfer,
+};
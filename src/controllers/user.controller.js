@@ -62,6 +62,22 @@ const updateUserPassword = async (req, res, next) => {
 	}
 };
 
+const updateUserApprovalPin = async (req, res, next) => {
+	try {
+		const { id } = req.params;
+		const pin = req.body?.pin;
+		if (pin == null) {
+			throw createHttpError('pin is required', 400, errorCodes.INVALID_INPUT);
+		}
+
+		const user = await userService.updateUserApprovalPin(id, String(pin));
+		return res.json(success({ user }, 'Approval PIN updated successfully'));
+	} catch (error) {
+		logger.error({ err: error }, 'Failed to update approval PIN');
+		return next(error);
+	}
+};
+
 const deleteUser = async (req, res, next) => {
 	try {
 		const { id } = req.params;
@@ -80,5 +96,6 @@ module.exports = {
 	createUser,
 	updateUserRole,
 	updateUserPassword,
+	updateUserApprovalPin,
 	deleteUser,
 };
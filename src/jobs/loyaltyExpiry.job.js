@@ -0,0 +1,28 @@
+const loyaltyService = require('../services/loyalty.service');
+const logger = require('../utils/logger');
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+/*
+	Periodically lapses loyalty points whose expiry date has passed.
+*/
+const startLoyaltyExpiryJob = (intervalMs = DEFAULT_INTERVAL_MS) => {
+	const run = async () => {
+		try {
+			const { expired } = await loyaltyService.expirePoints();
+			if (expired > 0) {
+				logger.info({ expired }, 'Expired loyalty points');
+			}
+		} catch (error) {
+			logger.error({ err: error }, 'Loyalty expiry job failed');
+		}
+	};
+
+	const timer = setInterval(run, intervalMs);
+	timer.unref();
+	return timer;
+};
+
+module.exports = {
+	startLoyaltyExpiryJob,
+};
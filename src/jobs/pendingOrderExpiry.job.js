@@ -0,0 +1,29 @@
+const orderService = require('../services/order.service');
+const logger = require('../utils/logger');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+/*
+	Periodically expires pending orders whose TTL has passed so their reserved
+	stock becomes available to other sales again.
+*/
+const startPendingOrderExpiryJob = (intervalMs = DEFAULT_INTERVAL_MS) => {
+	const run = async () => {
+		try {
+			const { expired } = await orderService.expirePendingOrders();
+			if (expired > 0) {
+				logger.info({ expired }, 'Expired pending orders');
+			}
+		} catch (error) {
+			logger.error({ err: error }, 'Pending order expiry job failed');
+		}
+	};
+
+	const timer = setInterval(run, intervalMs);
+	timer.unref();
+	return timer;
+};
+
+module.exports = {
+	startPendingOrderExpiryJob,
+};
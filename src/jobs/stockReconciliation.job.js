@@ -0,0 +1,33 @@
+const stockHistoryService = require('../services/stockHistory.service');
+const logger = require('../utils/logger');
+
+const DEFAULT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const LOGGED_DISCREPANCIES = 20;
+
+/*
+	Periodically checks that each SKU's stock matches the sum of its stock
+	history and logs the SKUs that drifted.
+*/
+const startStockReconciliationJob = (intervalMs = DEFAULT_INTERVAL_MS) => {
+	const run = async () => {
+		try {
+			const { total, discrepancies } = await stockHistoryService.findStockDiscrepancies();
+			if (total > 0) {
+				logger.warn(
+					{ total, discrepancies: discrepancies.slice(0, LOGGED_DISCREPANCIES) },
+					'Stock does not match stock history'
+				);
+			}
+		} catch (error) {
+			logger.error({ err: error }, 'Stock reconciliation job failed');
+		}
+	};
+
+	const timer = setInterval(run, intervalMs);
+	timer.unref();
+	return timer;
+};
+
+module.exports = {
+	startStockReconciliationJob,
+};
@@ -0,0 +1,149 @@
+/*
+	Idempotency guard for retry-prone writes. When a request carries an
+	Idempotency-Key header the key is claimed for the user together with a hash
+	of the request; the first response is stored and replayed for any retry
+	with the same key, while reusing the key for a different request is a 409.
+	Requests without the header pass straight through.
+*/
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/idempotencyKey.model');
+const { error } = require('../utils/response');
+const errorCodes = require('../constants/errorCodes');
+const logger = require('../utils/logger');
+
+const HEADER = 'idempotency-key';
+const MAX_KEY_LENGTH = 255;
+const DEFAULT_TTL_HOURS = 24;
+// A claim older than this belongs to a request that died mid-flight and may be retaken
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+const canonicalize = (value) => {
+	if (Array.isArray(value)) {
+		return value.map(canonicalize);
+	}
+	if (value && typeof value === 'object') {
+		return Object.keys(value)
+			.sort()
+			.reduce((acc, key) => {
+				acc[key] = canonicalize(value[key]);
+				return acc;
+			}, {});
+	}
+	return value;
+};
+
+const hashRequest = (method, path, body) =>
+	crypto
+		.createHash('sha256')
+		.update(`${method} ${path}\n${JSON.stringify(canonicalize(body ?? {}))}`)
+		.digest('hex');
+
+const claimKey = async ({ key, userId, method, path, requestHash, ttlHours }) => {
+	try {
+		await IdempotencyKey.create({
+			key,
+			userId,
+			method,
+			path,
+			requestHash,
+			expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000),
+		});
+		return { claimed: true };
+	} catch (err) {
+		if (err?.code !== 11000) {
+			throw err;
+		}
+	}
+
+	const existing = await IdempotencyKey.findOne({ userId, key }).lean();
+	if (!existing) {
+		// Expired between the insert and the lookup; let the caller retry cleanly
+		return { claimed: false, existing: null };
+	}
+
+	if (
+		existing.status === 'in_progress' &&
+		existing.requestHash === requestHash &&
+		Date.now() - new Date(existing.lockedAt).getTime() > STALE_LOCK_MS
+	) {
+		const retaken = await IdempotencyKey.findOneAndUpdate(
+			{ _id: existing._id, status: 'in_progress', lockedAt: existing.lockedAt },
+			{ lockedAt: new Date() },
+			{ new: true }
+		).lean();
+		if (retaken) {
+			return { claimed: true };
+		}
+	}
+
+	return { claimed: false, existing };
+};
+
+const idempotency = ({ ttlHours = DEFAULT_TTL_HOURS } = {}) => async (req, res, next) => {
+	const rawKey = req.get(HEADER);
+	if (rawKey == null) {
+		return next();
+	}
+
+	const key = rawKey.trim();
+	if (!key || key.length > MAX_KEY_LENGTH) {
+		return res
+			.status(400)
+			.json(error(`Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`, errorCodes.INVALID_INPUT));
+	}
+
+	const user = req.user || req.session?.user;
+	const userId = user?.id ? String(user.id) : 'anonymous';
+	const method = req.method;
+	const path = `${req.baseUrl}${req.path}`;
+	const requestHash = hashRequest(method, path, req.body);
+
+	try {
+		const { claimed, existing } = await claimKey({ key, userId, method, path, requestHash, ttlHours });
+
+		if (!claimed) {
+			if (!existing) {
+				return res
+					.status(409)
+					.json(error('Idempotency-Key could not be claimed, retry the request', errorCodes.IDEMPOTENCY_REQUEST_IN_PROGRESS));
+			}
+			if (existing.requestHash !== requestHash) {
+				return res
+					.status(409)
+					.json(error('Idempotency-Key was already used for a different request', errorCodes.IDEMPOTENCY_KEY_REUSED));
+			}
+			if (existing.status === 'in_progress') {
+				return res
+					.status(409)
+					.json(error('A request with this Idempotency-Key is still being processed', errorCodes.IDEMPOTENCY_REQUEST_IN_PROGRESS));
+			}
+
+			res.set('Idempotent-Replayed', 'true');
+			return res.status(existing.responseStatus).json(existing.responseBody);
+		}
+	} catch (err) {
+		return next(err);
+	}
+
+	// Record the outcome as soon as the handler produces it rather than on 'finish',
+	// which never fires when the client has already dropped the connection
+	const originalJson = res.json.bind(res);
+	res.json = (body) => {
+		// Server errors are not cached so the client can retry the same key
+		const persist = res.statusCode >= 500
+			? IdempotencyKey.deleteOne({ userId, key })
+			: IdempotencyKey.updateOne(
+				{ userId, key },
+				{ status: 'completed', responseStatus: res.statusCode, responseBody: body }
+			);
+
+		persist.catch((err) => {
+			logger.error({ err, key }, 'Failed to record idempotent response');
+		});
+		return originalJson(body);
+	};
+
+	return next();
+};
+
+module.exports = idempotency;
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A batch of units that came in at one cost; sales consume the oldest layers first
+const costLayerSchema = new mongoose.Schema(
+	{
+		skuId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Sku',
+			required: true,
+		},
+		productId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Product',
+			required: true,
+		},
+		quantity: {
+			type: Number,
+			required: true,
+			min: 1,
+		},
+		remaining: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		unitCost: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		// Reason of the stock movement that created the layer
+		source: {
+			type: String,
+			trim: true,
+		},
+	},
+	{
+		timestamps: { createdAt: true, updatedAt: false },
+	}
+);
+
+costLayerSchema.index({ skuId: 1, remaining: 1, createdAt: 1 });
+
+module.exports = mongoose.models.CostLayer || mongoose.model('CostLayer', costLayerSchema);
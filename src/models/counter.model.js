@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// One document per numbering series, e.g. "invoice:2026-27"
+const counterSchema = new mongoose.Schema(
+	{
+		_id: {
+			type: String,
+			required: true,
+		},
+		seq: {
+			type: Number,
+			default: 0,
+			min: 0,
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+module.exports = mongoose.models.Counter || mongoose.model('Counter', counterSchema);
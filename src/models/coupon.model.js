@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema(
+	{
+		code: {
+			type: String,
+			required: true,
+			trim: true,
+			uppercase: true,
+		},
+		description: {
+			type: String,
+			trim: true,
+		},
+		type: {
+			type: String,
+			enum: ['percent', 'fixed'],
+			required: true,
+		},
+		value: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		// Upper bound on the discount a percent coupon can give
+		maxDiscount: {
+			type: Number,
+			min: 0,
+		},
+		minBasket: {
+			type: Number,
+			default: 0,
+			min: 0,
+		},
+		startsAt: {
+			type: Date,
+		},
+		endsAt: {
+			type: Date,
+		},
+		usageLimit: {
+			type: Number,
+			min: 1,
+		},
+		usageCount: {
+			type: Number,
+			default: 0,
+			min: 0,
+		},
+		// Empty scopes mean the coupon applies to the whole basket
+		categories: {
+			type: [String],
+			default: [],
+		},
+		productIds: {
+			type: [mongoose.Schema.Types.ObjectId],
+			ref: 'Product',
+			default: [],
+		},
+		isActive: {
+			type: Boolean,
+			default: true,
+		},
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+couponSchema.index({ code: 1 }, { unique: true });
+
+module.exports = mongoose.models.Coupon || mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const customerSchema = new mongoose.Schema(
+	{
+		name: {
+			type: String,
+			trim: true,
+			default: 'Walk-in',
+		},
+		// Stored normalised (digits with an optional leading +) so lookups match however it was typed
+		phone: {
+			type: String,
+			trim: true,
+		},
+		email: {
+			type: String,
+			trim: true,
+			lowercase: true,
+		},
+		// Running balance; the LoyaltyTransaction ledger is the source of truth
+		loyaltyPoints: {
+			type: Number,
+			default: 0,
+			min: 0,
+		},
+		notes: {
+			type: String,
+			trim: true,
+		},
+		isActive: {
+			type: Boolean,
+			default: true,
+		},
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+customerSchema.index({ phone: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.models.Customer || mongoose.model('Customer', customerSchema);
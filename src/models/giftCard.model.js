@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const giftCardSchema = new mongoose.Schema(
+	{
+		// Drawn from the SKU barcode numbering so it prints and scans like any barcode
+		code: {
+			type: String,
+			required: true,
+			trim: true,
+		},
+		type: {
+			type: String,
+			enum: ['gift_card', 'store_credit'],
+			required: true,
+		},
+		status: {
+			type: String,
+			enum: ['active', 'void'],
+			default: 'active',
+		},
+		initialValue: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		balance: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		customerId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Customer',
+		},
+		// Set when the credit was issued as a refund
+		sourceReturnId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Return',
+		},
+		expiresAt: {
+			type: Date,
+		},
+		notes: {
+			type: String,
+			trim: true,
+		},
+		issuedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		voidedAt: {
+			type: Date,
+		},
+		voidedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		voidReason: {
+			type: String,
+			trim: true,
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+giftCardSchema.index({ code: 1 }, { unique: true });
+giftCardSchema.index({ customerId: 1 });
+
+module.exports = mongoose.models.GiftCard || mongoose.model('GiftCard', giftCardSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Stored-value ledger: one entry per balance change on a gift card or store credit
+const giftCardTransactionSchema = new mongoose.Schema(
+	{
+		giftCardId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'GiftCard',
+			required: true,
+		},
+		type: {
+			type: String,
+			enum: ['issue', 'redeem', 'refund', 'void'],
+			required: true,
+		},
+		// Signed: positive credits the card, negative debits it
+		amount: {
+			type: Number,
+			required: true,
+		},
+		balanceAfter: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		orderId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Order',
+		},
+		returnId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Return',
+		},
+		note: {
+			type: String,
+			trim: true,
+		},
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+giftCardTransactionSchema.index({ giftCardId: 1, createdAt: -1 });
+
+module.exports = mongoose.models.GiftCardTransaction
+	|| mongoose.model('GiftCardTransaction', giftCardTransactionSchema);
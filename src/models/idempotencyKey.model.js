@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema(
+	{
+		key: {
+			type: String,
+			required: true,
+		},
+		userId: {
+			type: String,
+			required: true,
+		},
+		method: {
+			type: String,
+			required: true,
+		},
+		path: {
+			type: String,
+			required: true,
+		},
+		// sha256 of method, path and the canonical JSON body
+		requestHash: {
+			type: String,
+			required: true,
+		},
+		status: {
+			type: String,
+			enum: ['in_progress', 'completed'],
+			default: 'in_progress',
+		},
+		responseStatus: {
+			type: Number,
+		},
+		responseBody: {
+			type: mongoose.Schema.Types.Mixed,
+		},
+		lockedAt: {
+			type: Date,
+			default: Date.now,
+		},
+		expiresAt: {
+			type: Date,
+			required: true,
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.models.IdempotencyKey || mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const locationSchema = new mongoose.Schema(
+	{
+		// Short handle such as "floor" or "backstore", stored lowercase
+		code: {
+			type: String,
+			required: true,
+			trim: true,
+			lowercase: true,
+		},
+		name: {
+			type: String,
+			required: true,
+			trim: true,
+		},
+		type: {
+			type: String,
+			enum: ['store', 'warehouse'],
+			default: 'store',
+		},
+		address: {
+			type: String,
+			trim: true,
+		},
+		// Stock operations that do not name a location use the default one
+		isDefault: {
+			type: Boolean,
+			default: false,
+		},
+		isActive: {
+			type: Boolean,
+			default: true,
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+locationSchema.index({ code: 1 }, { unique: true });
+locationSchema.index({ isDefault: 1 });
+
+module.exports = mongoose.models.Location || mongoose.model('Location', locationSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+/*
+	Points ledger: every change to a customer's balance is one entry, so the
+	balance can always be rebuilt by summing points. Earn entries also track
+	how many of their points are still unspent (remaining) and when those
+	expire; redemptions and expiry consume earn entries oldest first.
+*/
+const loyaltyTransactionSchema = new mongoose.Schema(
+	{
+		customerId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Customer',
+			required: true,
+		},
+		type: {
+			type: String,
+			enum: ['earn', 'redeem', 'reverse_earn', 'reverse_redeem', 'expire'],
+			required: true,
+		},
+		// Signed: positive credits the balance, negative debits it
+		points: {
+			type: Number,
+			required: true,
+		},
+		balanceAfter: {
+			type: Number,
+			required: true,
+		},
+		// Currency value of redeemed points at the time of redemption
+		value: {
+			type: Number,
+		},
+		remaining: {
+			type: Number,
+			min: 0,
+		},
+		expiresAt: {
+			type: Date,
+		},
+		orderId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Order',
+		},
+		returnId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Return',
+		},
+		note: {
+			type: String,
+			trim: true,
+		},
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+loyaltyTransactionSchema.index({ customerId: 1, createdAt: -1 });
+loyaltyTransactionSchema.index({ customerId: 1, type: 1, remaining: 1, createdAt: 1 });
+loyaltyTransactionSchema.index({ type: 1, expiresAt: 1 });
+
+module.exports = mongoose.models.LoyaltyTransaction
+	|| mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
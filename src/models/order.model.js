@@ -1,5 +1,121 @@
 const mongoose = require('mongoose');
 
+const discountSchema = new mongoose.Schema(
+	{
+		source: {
+			type: String,
+			enum: ['line', 'coupon', 'loyalty'],
+			required: true,
+		},
+		couponId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Coupon',
+		},
+		code: {
+			type: String,
+		},
+		type: {
+			type: String,
+			enum: ['percent', 'fixed'],
+		},
+		value: {
+			type: Number,
+		},
+		amount: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		reason: {
+			type: String,
+			trim: true,
+		},
+	},
+	{ _id: false }
+);
+
+const taxSummarySchema = new mongoose.Schema(
+	{
+		taxClass: {
+			type: String,
+		},
+		rate: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		taxableAmount: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		taxAmount: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+	},
+	{ _id: false }
+);
+
+const paymentSchema = new mongoose.Schema(
+	{
+		method: {
+			type: String,
+			enum: ['cash', 'card', 'upi', 'store_credit', 'gift_card'],
+			required: true,
+		},
+		// Amount applied to the order total
+		amount: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		// Cash handed over; the difference to amount is returned as change
+		tendered: {
+			type: Number,
+			min: 0,
+		},
+		// Card reference, UPI transaction id, or the gift card / store credit code
+		reference: {
+			type: String,
+			trim: true,
+		},
+		// Card a cancelled stored-value payment was refunded to, when the original could not take it
+		refundedTo: {
+			type: String,
+			trim: true,
+		},
+	},
+	{ _id: false }
+);
+
+// Recorded when a line is sold at a price other than the SKU price
+const priceOverrideSchema = new mongoose.Schema(
+	{
+		listPrice: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		reason: {
+			type: String,
+			required: true,
+			trim: true,
+		},
+		overriddenBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		// Manager who approved an override below the approval threshold
+		approvedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+	},
+	{ _id: false }
+);
+
 const orderItemSchema = new mongoose.Schema(
 	{
 		skuId: {
@@ -26,11 +142,64 @@ const orderItemSchema = new mongoose.Schema(
 			required: true,
 			min: 0,
 		},
+		priceOverride: {
+			type: priceOverrideSchema,
+		},
+		// quantity * unitPrice before any discount
+		grossTotal: {
+			type: Number,
+			min: 0,
+		},
+		discounts: {
+			type: [discountSchema],
+			default: undefined,
+		},
+		discountTotal: {
+			type: Number,
+			default: 0,
+			min: 0,
+		},
+		// Net of discounts and exclusive of tax
 		lineTotal: {
 			type: Number,
 			required: true,
 			min: 0,
 		},
+		taxClass: {
+			type: String,
+		},
+		taxRate: {
+			type: Number,
+			min: 0,
+		},
+		taxAmount: {
+			type: Number,
+			min: 0,
+		},
+		// Cost of the units sold, fixed when stock leaves at completion
+		unitCost: {
+			type: Number,
+			min: 0,
+		},
+		cogs: {
+			type: Number,
+			min: 0,
+		},
+		returnedQuantity: {
+			type: Number,
+			default: 0,
+			min: 0,
+		},
+		returnedAmount: {
+			type: Number,
+			default: 0,
+			min: 0,
+		},
+		// Tax refunded on returned units; absent on lines returned before it was tracked
+		returnedTaxAmount: {
+			type: Number,
+			min: 0,
+		},
 		attributes: {
 			type: Map,
 			of: String,
@@ -45,11 +214,38 @@ const orderSchema = new mongoose.Schema(
 			type: String,
 			required: true,
 		},
+		// Legal invoice number from the fiscal-year series, issued when the sale completes
+		invoiceNumber: {
+			type: String,
+		},
+		fiscalYear: {
+			type: String,
+		},
+		loyalty: {
+			pointsEarned: { type: Number, default: 0, min: 0 },
+			pointsRedeemed: { type: Number, default: 0, min: 0 },
+			redeemedValue: { type: Number, default: 0, min: 0 },
+			// Earned points taken back again by returns or cancellation
+			pointsReversed: { type: Number, default: 0, min: 0 },
+		},
+		// Client-generated id for orders captured offline and synced later
+		clientId: {
+			type: String,
+			trim: true,
+		},
+		syncedAt: {
+			type: Date,
+		},
 		status: {
 			type: String,
-			enum: ['pending', 'completed', 'cancelled'],
+			enum: ['pending', 'completed', 'cancelled', 'expired'],
 			default: 'completed',
 		},
+		customerId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Customer',
+		},
+		// Snapshot of the customer as they were at the time of sale
 		customer: {
 			name: { type: String, trim: true },
 			phone: { type: String, trim: true },
@@ -59,6 +255,24 @@ const orderSchema = new mongoose.Schema(
 			type: [orderItemSchema],
 			required: true,
 		},
+		grossTotal: {
+			type: Number,
+			min: 0,
+		},
+		discounts: {
+			type: [discountSchema],
+			default: undefined,
+		},
+		discountTotal: {
+			type: Number,
+			default: 0,
+			min: 0,
+		},
+		couponId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Coupon',
+		},
+		// Sum of net line totals
 		subTotal: {
 			type: Number,
 			required: true,
@@ -69,18 +283,83 @@ const orderSchema = new mongoose.Schema(
 			required: true,
 			min: 0,
 		},
+		taxSummary: {
+			type: [taxSummarySchema],
+			default: undefined,
+		},
+		// Cost of goods sold across the lines
+		cogsTotal: {
+			type: Number,
+			min: 0,
+		},
+		pricesIncludeTax: {
+			type: Boolean,
+		},
 		total: {
 			type: Number,
 			required: true,
 			min: 0,
 		},
+		refundTotal: {
+			type: Number,
+			default: 0,
+			min: 0,
+		},
+		payments: {
+			type: [paymentSchema],
+			default: undefined,
+		},
+		amountPaid: {
+			type: Number,
+			min: 0,
+		},
+		changeDue: {
+			type: Number,
+			min: 0,
+		},
 		createdBy: {
 			type: mongoose.Schema.Types.ObjectId,
 			ref: 'User',
 		},
+		// Location the stock was sold from
+		locationId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Location',
+		},
+		// Quote this order was converted from
+		quoteId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Quote',
+		},
+		// Cash drawer shift the sale was rung up in
+		shiftId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Shift',
+		},
 		metadata: {
 			type: mongoose.Schema.Types.Mixed,
 		},
+		expiresAt: {
+			type: Date,
+		},
+		completedAt: {
+			type: Date,
+		},
+		cancelledAt: {
+			type: Date,
+		},
+		cancelledBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		cancelReason: {
+			type: String,
+			trim: true,
+		},
+		cancelShiftId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Shift',
+		},
 	},
 	{
 		timestamps: true,
@@ -88,7 +367,12 @@ const orderSchema = new mongoose.Schema(
 );
 
 orderSchema.index({ orderNumber: 1 }, { unique: true });
+orderSchema.index({ invoiceNumber: 1 }, { unique: true, sparse: true });
+orderSchema.index({ clientId: 1 }, { unique: true, sparse: true });
 orderSchema.index({ createdAt: -1 });
+orderSchema.index({ status: 1, expiresAt: 1 });
+orderSchema.index({ shiftId: 1 });
 orderSchema.index({ 'customer.phone': 1 });
+orderSchema.index({ customerId: 1, createdAt: -1 });
 
 module.exports = mongoose.models.Order || mongoose.model('Order', orderSchema);
@@ -30,6 +30,18 @@ const productSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    // Tax class code from Settings; falls back to the category mapping when empty
+    taxClass: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    // Supplier that reorders for this product are placed with
+    supplierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Supplier',
+      index: true,
+    },
     skuCount: {
       type: Number,
       default: 0,
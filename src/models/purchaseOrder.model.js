@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+
+const purchaseOrderLineSchema = new mongoose.Schema(
+	{
+		skuId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Sku',
+			required: true,
+		},
+		productId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Product',
+			required: true,
+		},
+		sku: {
+			type: String,
+			required: true,
+		},
+		quantity: {
+			type: Number,
+			required: true,
+			min: 1,
+		},
+		// Cost per unit agreed with the supplier; required before the order is sent
+		unitCost: {
+			type: Number,
+			min: 0,
+		},
+		receivedQuantity: {
+			type: Number,
+			default: 0,
+			min: 0,
+		},
+	},
+	{ _id: false }
+);
+
+const receiptLineSchema = new mongoose.Schema(
+	{
+		skuId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Sku',
+			required: true,
+		},
+		quantity: {
+			type: Number,
+			required: true,
+			min: 1,
+		},
+	},
+	{ _id: false }
+);
+
+// One delivery against the order; partial deliveries add more receipts
+const receiptSchema = new mongoose.Schema(
+	{
+		lines: {
+			type: [receiptLineSchema],
+			required: true,
+		},
+		receivedAt: {
+			type: Date,
+			default: Date.now,
+		},
+		receivedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		reference: {
+			type: String,
+			trim: true,
+		},
+	},
+	{ _id: false }
+);
+
+const purchaseOrderSchema = new mongoose.Schema(
+	{
+		poNumber: {
+			type: String,
+			required: true,
+		},
+		supplierId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Supplier',
+			required: true,
+		},
+		// Where received goods are booked in
+		locationId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Location',
+			required: true,
+		},
+		// draft -> sent -> partially_received -> received; drafts and untouched sent orders can be
+		// cancelled, and a partially received order can be closed short when the rest will not come
+		status: {
+			type: String,
+			enum: ['draft', 'sent', 'partially_received', 'received', 'closed', 'cancelled'],
+			default: 'draft',
+		},
+		lines: {
+			type: [purchaseOrderLineSchema],
+			required: true,
+		},
+		subtotal: {
+			type: Number,
+			default: 0,
+			min: 0,
+		},
+		receipts: {
+			type: [receiptSchema],
+			default: [],
+		},
+		expectedAt: {
+			type: Date,
+		},
+		notes: {
+			type: String,
+			trim: true,
+		},
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		sentAt: {
+			type: Date,
+		},
+		receivedAt: {
+			type: Date,
+		},
+		closedAt: {
+			type: Date,
+		},
+		closedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		closeReason: {
+			type: String,
+			trim: true,
+		},
+		cancelledAt: {
+			type: Date,
+		},
+		cancelledBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+purchaseOrderSchema.index({ poNumber: 1 }, { unique: true });
+purchaseOrderSchema.index({ status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ supplierId: 1, createdAt: -1 });
+
+module.exports = mongoose.models.PurchaseOrder || mongoose.model('PurchaseOrder', purchaseOrderSchema);
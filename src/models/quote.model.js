@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const Order = require('./order.model');
+
+// Quoted lines have exactly the shape of order lines so they convert one-to-one
+const orderItemSchema = Order.schema.path('items').schema;
+const discountSchema = Order.schema.path('discounts').schema;
+const taxSummarySchema = Order.schema.path('taxSummary').schema;
+
+const quoteSchema = new mongoose.Schema(
+	{
+		quoteNumber: {
+			type: String,
+			required: true,
+		},
+		status: {
+			type: String,
+			enum: ['draft', 'sent', 'accepted', 'expired'],
+			default: 'draft',
+		},
+		customerId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Customer',
+		},
+		customer: {
+			name: { type: String, trim: true },
+			phone: { type: String, trim: true },
+			email: { type: String, trim: true },
+		},
+		items: {
+			type: [orderItemSchema],
+			required: true,
+		},
+		grossTotal: {
+			type: Number,
+			min: 0,
+		},
+		discounts: {
+			type: [discountSchema],
+			default: undefined,
+		},
+		discountTotal: {
+			type: Number,
+			default: 0,
+			min: 0,
+		},
+		subTotal: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		tax: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		taxSummary: {
+			type: [taxSummarySchema],
+			default: undefined,
+		},
+		pricesIncludeTax: {
+			type: Boolean,
+		},
+		total: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		validUntil: {
+			type: Date,
+			required: true,
+		},
+		notes: {
+			type: String,
+			trim: true,
+		},
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		// Line discounts are re-checked against this role's cap on conversion
+		createdByRole: {
+			type: String,
+		},
+		sentAt: {
+			type: Date,
+		},
+		acceptedAt: {
+			type: Date,
+		},
+		convertedOrderId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Order',
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+quoteSchema.index({ quoteNumber: 1 }, { unique: true });
+quoteSchema.index({ status: 1, validUntil: 1 });
+quoteSchema.index({ customerId: 1, createdAt: -1 });
+quoteSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.models.Quote || mongoose.model('Quote', quoteSchema);
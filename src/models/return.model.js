@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+const returnItemSchema = new mongoose.Schema(
+	{
+		skuId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Sku',
+			required: true,
+		},
+		productId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Product',
+			required: true,
+		},
+		sku: {
+			type: String,
+			required: true,
+		},
+		quantity: {
+			type: Number,
+			required: true,
+			min: 1,
+		},
+		unitPrice: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		// Cost the units were sold at; restocked units go back into stock at this cost
+		unitCost: {
+			type: Number,
+			min: 0,
+		},
+		refundAmount: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		taxAmount: {
+			type: Number,
+			min: 0,
+		},
+		disposition: {
+			type: String,
+			enum: ['restock', 'write_off'],
+			default: 'restock',
+		},
+		reason: {
+			type: String,
+			trim: true,
+		},
+	},
+	{ _id: false }
+);
+
+const returnSchema = new mongoose.Schema(
+	{
+		returnNumber: {
+			type: String,
+			required: true,
+		},
+		orderId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Order',
+			required: true,
+		},
+		orderNumber: {
+			type: String,
+			required: true,
+		},
+		items: {
+			type: [returnItemSchema],
+			required: true,
+		},
+		refundSubTotal: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		refundTax: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		refundTotal: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		reason: {
+			type: String,
+			trim: true,
+		},
+		refundMethod: {
+			type: String,
+			enum: ['cash', 'card', 'upi', 'store_credit'],
+			default: 'cash',
+		},
+		// Store credit issued for the refund when refundMethod is store_credit
+		storeCreditId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'GiftCard',
+		},
+		storeCreditCode: {
+			type: String,
+		},
+		shiftId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Shift',
+		},
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		metadata: {
+			type: mongoose.Schema.Types.Mixed,
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+returnSchema.index({ returnNumber: 1 }, { unique: true });
+returnSchema.index({ orderId: 1, createdAt: -1 });
+returnSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.models.Return || mongoose.model('Return', returnSchema);
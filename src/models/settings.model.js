@@ -1,5 +1,28 @@
 const mongoose = require('mongoose');
 
+const taxClassSchema = new mongoose.Schema(
+	{
+		code: {
+			type: String,
+			required: true,
+			trim: true,
+			uppercase: true,
+		},
+		name: {
+			type: String,
+			trim: true,
+		},
+		// Percent, e.g. 18 for an 18% GST slab
+		rate: {
+			type: Number,
+			required: true,
+			min: 0,
+			max: 100,
+		},
+	},
+	{ _id: false }
+);
+
 const settingsSchema = new mongoose.Schema(
 	{
 		_id: {
@@ -19,6 +42,93 @@ const settingsSchema = new mongoose.Schema(
 			uppercase: true,
 			trim: true,
 		},
+		pendingOrderTtlMinutes: {
+			type: Number,
+			default: 30,
+			min: 1,
+		},
+		// Largest manual line discount, as a percent of the line, each role may give
+		maxLineDiscountPercent: {
+			staff: { type: Number, default: 10, min: 0, max: 100 },
+			manager: { type: Number, default: 50, min: 0, max: 100 },
+			admin: { type: Number, default: 100, min: 0, max: 100 },
+		},
+		// Price overrides more than this percent below the SKU price need a manager's approval
+		priceOverrideApprovalPercent: {
+			type: Number,
+			default: 0,
+			min: 0,
+			max: 100,
+		},
+		// How sales are costed: oldest cost layers first, or the SKU's running average cost
+		costingMethod: {
+			type: String,
+			enum: ['fifo', 'weighted_average'],
+			default: 'fifo',
+		},
+		taxClasses: {
+			type: [taxClassSchema],
+			default: [],
+		},
+		defaultTaxClass: {
+			type: String,
+			trim: true,
+			uppercase: true,
+		},
+		// Category name -> tax class code; a Product.taxClass overrides it
+		categoryTaxClasses: {
+			type: Map,
+			of: String,
+			default: {},
+		},
+		// When true, SKU prices are entered tax-inclusive and tax is backed out of them
+		pricesIncludeTax: {
+			type: Boolean,
+			default: false,
+		},
+		// Invoice numbers read <prefix>/<fiscal year>/<zero-padded sequence>
+		invoicePrefix: {
+			type: String,
+			default: 'INV',
+			trim: true,
+		},
+		invoiceNumberPadding: {
+			type: Number,
+			default: 6,
+			min: 1,
+			max: 12,
+		},
+		// Month (1-12) the fiscal year starts in; 4 gives April-March years such as 2026-27
+		fiscalYearStartMonth: {
+			type: Number,
+			default: 4,
+			min: 1,
+			max: 12,
+		},
+		// IANA time zone of the store; dates are assigned to fiscal years on its calendar
+		timeZone: {
+			type: String,
+			default: 'UTC',
+			trim: true,
+		},
+		loyalty: {
+			enabled: { type: Boolean, default: false },
+			// Points earned per currency unit of the order total, e.g. 0.01 = 1 point per 100
+			earnRate: { type: Number, default: 0.01, min: 0 },
+			// Currency value of one point when redeemed
+			redeemValue: { type: Number, default: 1, min: 0 },
+			minRedeemPoints: { type: Number, default: 0, min: 0 },
+			// Days until earned points lapse; 0 keeps them forever
+			expiryDays: { type: Number, default: 365, min: 0 },
+		},
+		// Printed at the top of receipts and invoices; footer closes the receipt
+		storeHeader: {
+			name: { type: String, trim: true, default: '' },
+			address: { type: String, trim: true, default: '' },
+			phone: { type: String, trim: true, default: '' },
+			taxId: { type: String, trim: true, default: '' },
+			footer: { type: String, trim: true, default: '' },
+		},
 	},
 	{
 		timestamps: true,
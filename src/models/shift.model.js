@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const cashMovementSchema = new mongoose.Schema(
+	{
+		type: {
+			type: String,
+			enum: ['pay_in', 'pay_out'],
+			required: true,
+		},
+		amount: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		reason: {
+			type: String,
+			trim: true,
+			required: true,
+		},
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		createdAt: {
+			type: Date,
+			default: Date.now,
+		},
+	},
+	{ _id: true }
+);
+
+const shiftSchema = new mongoose.Schema(
+	{
+		shiftNumber: {
+			type: String,
+			required: true,
+		},
+		register: {
+			type: String,
+			trim: true,
+			default: 'main',
+		},
+		status: {
+			type: String,
+			enum: ['open', 'closed'],
+			default: 'open',
+		},
+		openingFloat: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		openedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		openedAt: {
+			type: Date,
+			default: Date.now,
+		},
+		cashMovements: {
+			type: [cashMovementSchema],
+			default: [],
+		},
+		closedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		closedAt: {
+			type: Date,
+		},
+		countedCash: {
+			type: Number,
+			min: 0,
+		},
+		// Snapshot of the Z report cash figures taken at close
+		expectedCash: {
+			type: Number,
+		},
+		variance: {
+			type: Number,
+		},
+		notes: {
+			type: String,
+			trim: true,
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+shiftSchema.index({ shiftNumber: 1 }, { unique: true });
+// Only one open shift per register
+shiftSchema.index(
+	{ register: 1 },
+	{ unique: true, partialFilterExpression: { status: 'open' } }
+);
+shiftSchema.index({ openedAt: -1 });
+
+module.exports = mongoose.models.Shift || mongoose.model('Shift', shiftSchema);
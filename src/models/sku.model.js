@@ -36,11 +36,23 @@ const skuSchema = new mongoose.Schema(
 			default: 0,
 			min: 0,
 		},
+		// Units held by pending orders; available stock is stock - reserved
+		reserved: {
+			type: Number,
+			default: 0,
+			min: 0,
+		},
 		reorderThreshold: {
 			type: Number,
 			default: 0,
 			min: 0,
 		},
+		// Cost of the units in stock; inventoryValue / stock is the average unit cost
+		inventoryValue: {
+			type: Number,
+			default: 0,
+			min: 0,
+		},
 	},
 	{
 		timestamps: true,
@@ -25,6 +25,17 @@ const stockHistorySchema = new mongoose.Schema(
 			type: Number,
 			required: true,
 		},
+		// previousStock/newStock are SKU totals; these track the location that moved
+		locationId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Location',
+		},
+		previousLocationStock: {
+			type: Number,
+		},
+		newLocationStock: {
+			type: Number,
+		},
 		reason: {
 			type: String,
 			trim: true,
@@ -34,6 +45,21 @@ const stockHistorySchema = new mongoose.Schema(
 			type: mongoose.Schema.Types.ObjectId,
 			ref: 'Order',
 		},
+		referenceTransferId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Transfer',
+		},
+		referencePurchaseOrderId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'PurchaseOrder',
+		},
+		// Cost per unit moved, and the signed change in inventory value
+		unitCost: {
+			type: Number,
+		},
+		costValue: {
+			type: Number,
+		},
 		changedBy: {
 			type: mongoose.Schema.Types.ObjectId,
 			ref: 'User',
@@ -48,5 +74,8 @@ const stockHistorySchema = new mongoose.Schema(
 );
 
 stockHistorySchema.index({ skuId: 1, createdAt: -1 });
+stockHistorySchema.index({ locationId: 1, createdAt: -1 });
+stockHistorySchema.index({ createdAt: -1 });
+stockHistorySchema.index({ referenceOrderId: 1 }, { sparse: true });
 
 module.exports = mongoose.models.StockHistory || mongoose.model('StockHistory', stockHistorySchema);
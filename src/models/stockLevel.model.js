@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Stock of one SKU at one location; Sku.stock and Sku.reserved are the sums over locations
+const stockLevelSchema = new mongoose.Schema(
+	{
+		skuId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Sku',
+			required: true,
+		},
+		productId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Product',
+			required: true,
+		},
+		locationId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Location',
+			required: true,
+		},
+		stock: {
+			type: Number,
+			default: 0,
+			min: 0,
+		},
+		// Units held here by pending orders
+		reserved: {
+			type: Number,
+			default: 0,
+			min: 0,
+		},
+		// Overrides the SKU's reorderThreshold at this location
+		reorderThreshold: {
+			type: Number,
+			min: 0,
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+stockLevelSchema.index({ skuId: 1, locationId: 1 }, { unique: true });
+stockLevelSchema.index({ locationId: 1, stock: 1 });
+stockLevelSchema.index({ productId: 1, locationId: 1 });
+
+module.exports = mongoose.models.StockLevel || mongoose.model('StockLevel', stockLevelSchema);
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+const stockTakeLineSchema = new mongoose.Schema(
+	{
+		skuId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Sku',
+			required: true,
+		},
+		productId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Product',
+			required: true,
+		},
+		sku: {
+			type: String,
+			required: true,
+		},
+		barcode: {
+			type: String,
+		},
+		// Stock at the location when the count was frozen
+		expected: {
+			type: Number,
+			required: true,
+			min: 0,
+		},
+		// When expected was read; later lines added by a scan read it then
+		expectedAt: {
+			type: Date,
+		},
+		// Stock movements at the location between expectedAt and countedAt, fixed when posted
+		movement: {
+			type: Number,
+		},
+		// Left unset until the line is counted
+		counted: {
+			type: Number,
+			min: 0,
+		},
+		// counted - (expected + movement), fixed when the count is posted
+		variance: {
+			type: Number,
+		},
+		countedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		countedAt: {
+			type: Date,
+		},
+	},
+	{ _id: false }
+);
+
+const stockTakeSchema = new mongoose.Schema(
+	{
+		countNumber: {
+			type: String,
+			required: true,
+		},
+		locationId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Location',
+			required: true,
+		},
+		status: {
+			type: String,
+			enum: ['open', 'posted', 'cancelled'],
+			default: 'open',
+		},
+		// Blind counts hide expected quantities from counting staff until posted
+		blind: {
+			type: Boolean,
+			default: false,
+		},
+		productId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Product',
+		},
+		lines: {
+			type: [stockTakeLineSchema],
+			default: [],
+		},
+		notes: {
+			type: String,
+			trim: true,
+		},
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		postedAt: {
+			type: Date,
+		},
+		postedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		cancelledAt: {
+			type: Date,
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+stockTakeSchema.index({ countNumber: 1 }, { unique: true });
+stockTakeSchema.index({ status: 1, createdAt: -1 });
+stockTakeSchema.index({ locationId: 1, createdAt: -1 });
+
+module.exports = mongoose.models.StockTake || mongoose.model('StockTake', stockTakeSchema);
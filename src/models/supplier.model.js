@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const supplierSchema = new mongoose.Schema(
+	{
+		name: {
+			type: String,
+			required: true,
+			trim: true,
+		},
+		// Short handle such as "acme", stored lowercase
+		code: {
+			type: String,
+			required: true,
+			trim: true,
+			lowercase: true,
+		},
+		contactName: {
+			type: String,
+			trim: true,
+		},
+		email: {
+			type: String,
+			trim: true,
+			lowercase: true,
+		},
+		phone: {
+			type: String,
+			trim: true,
+		},
+		address: {
+			type: String,
+			trim: true,
+		},
+		// Days from sending a purchase order to the goods arriving
+		leadTimeDays: {
+			type: Number,
+			default: 7,
+			min: 0,
+		},
+		notes: {
+			type: String,
+			trim: true,
+		},
+		isActive: {
+			type: Boolean,
+			default: true,
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+supplierSchema.index({ code: 1 }, { unique: true });
+supplierSchema.index({ name: 1 });
+
+module.exports = mongoose.models.Supplier || mongoose.model('Supplier', supplierSchema);
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+const transferLineSchema = new mongoose.Schema(
+	{
+		skuId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Sku',
+			required: true,
+		},
+		productId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Product',
+			required: true,
+		},
+		sku: {
+			type: String,
+			required: true,
+		},
+		// Quantity dispatched from the source
+		quantity: {
+			type: Number,
+			required: true,
+			min: 1,
+		},
+		// Cost per unit taken out at the source; received units are booked in at it
+		unitCost: {
+			type: Number,
+			min: 0,
+		},
+		receivedQuantity: {
+			type: Number,
+			min: 0,
+		},
+		// receivedQuantity - quantity; negative when goods went missing in transit
+		variance: {
+			type: Number,
+		},
+		varianceReason: {
+			type: String,
+			trim: true,
+		},
+	},
+	{ _id: false }
+);
+
+const transferSchema = new mongoose.Schema(
+	{
+		transferNumber: {
+			type: String,
+			required: true,
+		},
+		fromLocationId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Location',
+			required: true,
+		},
+		toLocationId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Location',
+			required: true,
+		},
+		// draft -> in_transit (dispatched) -> received; only drafts can be cancelled
+		status: {
+			type: String,
+			enum: ['draft', 'in_transit', 'received', 'cancelled'],
+			default: 'draft',
+		},
+		lines: {
+			type: [transferLineSchema],
+			required: true,
+		},
+		hasVariance: {
+			type: Boolean,
+			default: false,
+		},
+		notes: {
+			type: String,
+			trim: true,
+		},
+		createdBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		dispatchedAt: {
+			type: Date,
+		},
+		dispatchedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		receivedAt: {
+			type: Date,
+		},
+		receivedBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+		cancelledAt: {
+			type: Date,
+		},
+		cancelledBy: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'User',
+		},
+	},
+	{
+		timestamps: true,
+	}
+);
+
+transferSchema.index({ transferNumber: 1 }, { unique: true });
+transferSchema.index({ status: 1, createdAt: -1 });
+transferSchema.index({ fromLocationId: 1, createdAt: -1 });
+transferSchema.index({ toLocationId: 1, createdAt: -1 });
+
+module.exports = mongoose.models.Transfer || mongoose.model('Transfer', transferSchema);
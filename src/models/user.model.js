@@ -29,6 +29,11 @@ const userSchema = new mongoose.Schema(
 			type: [String],
 			default: [],
 		},
+		// Hashed PIN a manager or admin enters at the till to approve overrides
+		approvalPin: {
+			type: String,
+			select: false,
+		},
 		picture: {
 			type: String,
 		},
@@ -41,16 +46,19 @@ const userSchema = new mongoose.Schema(
 	}
 );
 
-// Hash password before saving
+// Hash password and approval PIN before saving
 userSchema.pre('save', async function (next) {
-	// Only hash the password if it has been modified (or is new)
-	if (!this.isModified('password')) {
+	// Only hash the secrets that have been modified (or are new)
+	const fields = ['password', 'approvalPin'].filter((field) => this[field] && this.isModified(field));
+	if (fields.length === 0) {
 		return next();
 	}
 
 	try {
-		const salt = await bcrypt.genSalt(10);
-		this.password = await bcrypt.hash(this.password, salt);
+		for (const field of fields) {
+			const salt = await bcrypt.genSalt(10);
+			this[field] = await bcrypt.hash(this[field], salt);
+		}
 		next();
 	} catch (error) {
 		next(error);
@@ -60,6 +68,7 @@ userSchema.pre('save', async function (next) {
 userSchema.methods.toSafeObject = function toSafeObject() {
 	const doc = this.toObject({ versionKey: false });
 	delete doc.password;
+	delete doc.approvalPin;
 	return doc;
 };
 
@@ -9,5 +9,11 @@ router.use(requireAuth);
 router.use(requireRole(['admin', 'manager', 'staff']));
 
 router.get('/low-stock', alertController.getLowStockAlerts);
+router.get('/reorder-suggestions', requireRole(['admin', 'manager']), alertController.getReorderSuggestions);
+router.post(
+	'/reorder-suggestions/purchase-orders',
+	requireRole(['admin', 'manager']),
+	alertController.createReorderPurchaseOrders
+);
 
 module.exports = router;
@@ -12,5 +12,8 @@ router.get('/sales-summary', analyticsController.getSalesSummary);
 router.get('/top-selling', analyticsController.getTopSelling);
 router.get('/daily-trend', analyticsController.getDailySalesTrend);
 router.get('/category-breakdown', analyticsController.getCategoryBreakdown);
+router.get('/payment-breakdown', analyticsController.getPaymentBreakdown);
+router.get('/price-overrides', analyticsController.getPriceOverrideSummary);
+router.get('/profit', analyticsController.getProfitSummary);
 
 module.exports = router;
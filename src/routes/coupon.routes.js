@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+	createCoupon,
+	listCoupons,
+	getCouponById,
+	updateCoupon,
+	deleteCoupon,
+} = require('../controllers/coupon.controller');
+const requireAuth = require('../middleware/requireAuth');
+const requireRole = require('../middleware/requireRole');
+
+const router = express.Router();
+
+router.post('/', requireAuth, requireRole(['admin', 'manager']), createCoupon);
+router.get('/', requireAuth, listCoupons);
+router.get('/:id', requireAuth, getCouponById);
+router.put('/:id', requireAuth, requireRole(['admin', 'manager']), updateCoupon);
+router.delete('/:id', requireAuth, requireRole(['admin', 'manager']), deleteCoupon);
+
+module.exports = router;
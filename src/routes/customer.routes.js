@@ -0,0 +1,28 @@
+const express = require('express');
+const {
+	createCustomer,
+	listCustomers,
+	lookupCustomerByPhone,
+	getCustomerById,
+	getCustomerOrders,
+	getLoyaltyLedger,
+	updateCustomer,
+	deleteCustomer,
+} = require('../controllers/customer.controller');
+const requireAuth = require('../middleware/requireAuth');
+const requireRole = require('../middleware/requireRole');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.post('/', createCustomer);
+router.get('/', listCustomers);
+router.get('/lookup', lookupCustomerByPhone);
+router.get('/:id', getCustomerById);
+router.get('/:id/orders', getCustomerOrders);
+router.get('/:id/loyalty', getLoyaltyLedger);
+router.put('/:id', updateCustomer);
+router.delete('/:id', requireRole(['admin', 'manager']), deleteCustomer);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const {
+	issueGiftCard,
+	listGiftCards,
+	checkBalance,
+	getGiftCardById,
+	voidGiftCard,
+} = require('../controllers/giftCard.controller');
+const requireAuth = require('../middleware/requireAuth');
+const requireRole = require('../middleware/requireRole');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.post('/', requireRole(['admin', 'manager']), issueGiftCard);
+router.get('/', requireRole(['admin', 'manager']), listGiftCards);
+router.get('/balance/:code', checkBalance);
+router.get('/:id', requireRole(['admin', 'manager']), getGiftCardById);
+router.post('/:id/void', requireRole(['admin', 'manager']), voidGiftCard);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+	createLocation,
+	listLocations,
+	getLocationById,
+	updateLocation,
+} = require('../controllers/location.controller');
+const requireAuth = require('../middleware/requireAuth');
+const requireRole = require('../middleware/requireRole');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.post('/', requireRole(['admin', 'manager']), createLocation);
+router.get('/', listLocations);
+router.get('/:id', getLocationById);
+router.put('/:id', requireRole(['admin', 'manager']), updateLocation);
+
+module.exports = router;
@@ -1,11 +1,27 @@
 const express = require('express');
-const { createOrder, listOrders, getOrderById } = require('../controllers/order.controller');
+const {
+	createOrder,
+	syncOrders,
+	listOrders,
+	getOrderById,
+	getOrderReceipt,
+	getOrderInvoicePdf,
+	completeOrder,
+	cancelOrder,
+} = require('../controllers/order.controller');
 const requireAuth = require('../middleware/requireAuth');
+const requireRole = require('../middleware/requireRole');
+const idempotency = require('../middleware/idempotency');
 
 const router = express.Router();
 
-router.post('/', requireAuth, createOrder);
+router.post('/', requireAuth, idempotency(), createOrder);
+router.post('/sync', requireAuth, syncOrders);
 router.get('/', requireAuth, listOrders);
 router.get('/:id', requireAuth, getOrderById);
+router.get('/:id/receipt', requireAuth, getOrderReceipt);
+router.get('/:id/invoice.pdf', requireAuth, getOrderInvoicePdf);
+router.post('/:id/complete', requireAuth, completeOrder);
+router.post('/:id/cancel', requireAuth, requireRole(['admin', 'manager']), cancelOrder);
 
 module.exports = router;
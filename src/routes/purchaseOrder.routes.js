@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+	createPurchaseOrder,
+	listPurchaseOrders,
+	getPurchaseOrderById,
+	updatePurchaseOrder,
+	sendPurchaseOrder,
+	receivePurchaseOrder,
+	closePurchaseOrder,
+	cancelPurchaseOrder,
+} = require('../controllers/purchaseOrder.controller');
+const requireAuth = require('../middleware/requireAuth');
+const requireRole = require('../middleware/requireRole');
+const idempotency = require('../middleware/idempotency');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.post('/', requireRole(['admin', 'manager']), createPurchaseOrder);
+router.get('/', listPurchaseOrders);
+router.get('/:id', getPurchaseOrderById);
+router.put('/:id', requireRole(['admin', 'manager']), updatePurchaseOrder);
+router.post('/:id/send', requireRole(['admin', 'manager']), sendPurchaseOrder);
+router.post('/:id/receive', idempotency(), receivePurchaseOrder);
+router.post('/:id/close', requireRole(['admin', 'manager']), closePurchaseOrder);
+router.post('/:id/cancel', requireRole(['admin', 'manager']), cancelPurchaseOrder);
+
+module.exports = router;
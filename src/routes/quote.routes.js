@@ -0,0 +1,24 @@
+const express = require('express');
+const {
+	createQuote,
+	listQuotes,
+	getQuoteById,
+	updateQuote,
+	sendQuote,
+	convertQuote,
+} = require('../controllers/quote.controller');
+const requireAuth = require('../middleware/requireAuth');
+const idempotency = require('../middleware/idempotency');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.post('/', createQuote);
+router.get('/', listQuotes);
+router.get('/:id', getQuoteById);
+router.put('/:id', updateQuote);
+router.post('/:id/send', sendQuote);
+router.post('/:id/convert', idempotency(), convertQuote);
+
+module.exports = router;
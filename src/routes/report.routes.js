@@ -1,5 +1,6 @@
 const express = require('express');
 const requireAuth = require('../middleware/requireAuth');
+const requireRole = require('../middleware/requireRole');
 const reportController = require('../controllers/report.controller');
 
 const router = express.Router();
@@ -7,5 +8,6 @@ const router = express.Router();
 router.use(requireAuth);
 
 router.get('/top-selling', reportController.getTopSellingProducts);
+router.get('/inventory-valuation', requireRole(['admin', 'manager']), reportController.getInventoryValuation);
 
 module.exports = router;
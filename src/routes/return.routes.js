@@ -0,0 +1,15 @@
+const express = require('express');
+const { createReturn, listReturns, getReturnById } = require('../controllers/return.controller');
+const requireAuth = require('../middleware/requireAuth');
+const requireRole = require('../middleware/requireRole');
+
+const router = express.Router();
+
+router.use(requireAuth);
+router.use(requireRole(['admin', 'manager']));
+
+router.post('/', createReturn);
+router.get('/', listReturns);
+router.get('/:id', getReturnById);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const {
+	openShift,
+	getCurrentShift,
+	listShifts,
+	getShiftById,
+	recordCashMovement,
+	closeShift,
+	getZReport,
+} = require('../controllers/shift.controller');
+const requireAuth = require('../middleware/requireAuth');
+const requireRole = require('../middleware/requireRole');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.post('/open', openShift);
+router.get('/current', getCurrentShift);
+router.get('/', requireRole(['admin', 'manager']), listShifts);
+router.get('/:id', getShiftById);
+router.post('/:id/cash-movements', recordCashMovement);
+router.post('/:id/close', closeShift);
+router.get('/:id/z-report', requireRole(['admin', 'manager']), getZReport);
+
+module.exports = router;
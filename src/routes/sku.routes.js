@@ -9,20 +9,25 @@ const {
 	searchSku,
 	scanSku,
 	deleteSku,
+	getSkuStockLevels,
 } = require('../controllers/sku.controller');
+const { getSkuHistory } = require('../controllers/stockHistory.controller');
 const requireAuth = require('../middleware/requireAuth');
 const requireRole = require('../middleware/requireRole');
+const idempotency = require('../middleware/idempotency');
 
 const router = express.Router();
 
 router.post('/', requireAuth, requireRole(['admin', 'manager']), createSku);
-router.post('/bulk-adjust', requireAuth, requireRole(['admin', 'manager']), bulkAdjustSkuStock);
+router.post('/bulk-adjust', requireAuth, requireRole(['admin', 'manager']), idempotency(), bulkAdjustSkuStock);
 router.get('/search', requireAuth, searchSku);
 router.get('/scan', requireAuth, scanSku);
 router.get('/', requireAuth, getSkus);
 router.get('/:id', requireAuth, getSkuById);
+router.get('/:id/stock-levels', requireAuth, getSkuStockLevels);
+router.get('/:id/history', requireAuth, requireRole(['admin', 'manager']), getSkuHistory);
 router.put('/:id', requireAuth, requireRole(['admin', 'manager']), updateSku);
 router.delete('/:id', requireAuth, requireRole(['admin', 'manager']), deleteSku);
-router.post('/:id/adjust', requireAuth, requireRole(['admin', 'manager']), adjustSkuStock);
+router.post('/:id/adjust', requireAuth, requireRole(['admin', 'manager']), idempotency(), adjustSkuStock);
 
 module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const {
+	listStockHistory,
+	exportStockHistory,
+	getStockReconciliation,
+} = require('../controllers/stockHistory.controller');
+const requireAuth = require('../middleware/requireAuth');
+const requireRole = require('../middleware/requireRole');
+
+const router = express.Router();
+
+router.use(requireAuth, requireRole(['admin', 'manager']));
+
+router.get('/', listStockHistory);
+router.get('/export.csv', exportStockHistory);
+router.get('/reconciliation', getStockReconciliation);
+
+module.exports = router;
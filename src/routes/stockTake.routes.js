@@ -0,0 +1,29 @@
+const express = require('express');
+const {
+	createStockTake,
+	listStockTakes,
+	getStockTakeById,
+	recordScan,
+	setCounts,
+	getVariances,
+	postStockTake,
+	cancelStockTake,
+} = require('../controllers/stockTake.controller');
+const requireAuth = require('../middleware/requireAuth');
+const requireRole = require('../middleware/requireRole');
+const idempotency = require('../middleware/idempotency');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.post('/', requireRole(['admin', 'manager']), createStockTake);
+router.get('/', listStockTakes);
+router.get('/:id', getStockTakeById);
+router.post('/:id/scan', idempotency(), recordScan);
+router.put('/:id/counts', setCounts);
+router.get('/:id/variances', requireRole(['admin', 'manager']), getVariances);
+router.post('/:id/post', requireRole(['admin', 'manager']), idempotency(), postStockTake);
+router.post('/:id/cancel', requireRole(['admin', 'manager']), cancelStockTake);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+	createSupplier,
+	listSuppliers,
+	getSupplierById,
+	updateSupplier,
+} = require('../controllers/supplier.controller');
+const requireAuth = require('../middleware/requireAuth');
+const requireRole = require('../middleware/requireRole');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.post('/', requireRole(['admin', 'manager']), createSupplier);
+router.get('/', listSuppliers);
+router.get('/:id', getSupplierById);
+router.put('/:id', requireRole(['admin', 'manager']), updateSupplier);
+
+module.exports = router;
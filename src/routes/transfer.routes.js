@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+	createTransfer,
+	listTransfers,
+	getTransferById,
+	dispatchTransfer,
+	receiveTransfer,
+	cancelTransfer,
+} = require('../controllers/transfer.controller');
+const requireAuth = require('../middleware/requireAuth');
+const requireRole = require('../middleware/requireRole');
+const idempotency = require('../middleware/idempotency');
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.post('/', requireRole(['admin', 'manager']), createTransfer);
+router.get('/', listTransfers);
+router.get('/:id', getTransferById);
+router.post('/:id/dispatch', requireRole(['admin', 'manager']), idempotency(), dispatchTransfer);
+router.post('/:id/receive', idempotency(), receiveTransfer);
+router.post('/:id/cancel', requireRole(['admin', 'manager']), cancelTransfer);
+
+module.exports = router;
@@ -9,6 +9,7 @@ router.get('/', requireAuth, requireRole('admin'), userController.getUsers);
 router.post('/', requireAuth, requireRole('admin'), userController.createUser);
 router.put('/:id/role', requireAuth, requireRole('admin'), userController.updateUserRole);
 router.put('/:id/password', requireAuth, requireRole('admin'), userController.updateUserPassword);
+router.put('/:id/pin', requireAuth, requireRole('admin'), userController.updateUserApprovalPin);
 router.delete('/:id', requireAuth, requireRole('admin'), userController.deleteUser);
 
 module.exports = router;
@@ -1,8 +1,11 @@
 const bcrypt = require('bcryptjs');
 const User = require('../models/user.model');
+const { createHttpError } = require('../utils/httpError');
+const errorCodes = require('../constants/errorCodes');
 const logger = require('../utils/logger');
 
 const DEFAULT_ROLE = 'staff';
+const APPROVER_ROLES = ['admin', 'manager'];
 const ALLOWED_ROLES = ['admin', 'manager', 'staff'];
 
 const normalizeRole = (role) => (ALLOWED_ROLES.includes(role) ? role : DEFAULT_ROLE);
@@ -69,8 +72,30 @@ const getUserById = async (id) => {
 	return sanitizeUser(user);
 };
 
+/*
+ Checks an approving manager's credentials sent along with a request, either
+ { email, password } or { email, pin }. Returns the approver without secrets.
+*/
+const verifyApprover = async (approval) => {
+	const email = typeof approval?.email === 'string' ? approval.email.trim().toLowerCase() : '';
+	const secret = approval?.pin != null ? String(approval.pin) : approval?.password;
+	if (!email || typeof secret !== 'string' || !secret) {
+		throw createHttpError('Approval requires a manager email with a password or PIN', 400, errorCodes.INVALID_INPUT);
+	}
+
+	const user = await User.findOne({ email }).select('+approvalPin');
+	const hash = approval.pin != null ? user?.approvalPin : user?.password;
+	const valid = hash ? await bcrypt.compare(secret, hash) : false;
+	if (!valid || !APPROVER_ROLES.includes(user.role)) {
+		throw createHttpError('Approval credentials are invalid', 403, errorCodes.INVALID_APPROVAL);
+	}
+
+	return { _id: user._id, name: user.name, role: user.role };
+};
+
 module.exports = {
 	registerUser,
 	loginUser,
 	getUserById,
+	verifyApprover,
 };
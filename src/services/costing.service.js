@@ -0,0 +1,224 @@
+const CostLayer = require('../models/costLayer.model');
+const Sku = require('../models/sku.model');
+const Product = require('../models/product.model');
+const StockHistory = require('../models/stockHistory.model');
+const settingsService = require('./settings.service');
+const { createHttpError } = require('../utils/httpError');
+const errorCodes = require('../constants/errorCodes');
+
+const roundCurrency = (value) => Math.round(Number(value || 0) * 100) / 100;
+const roundUnitCost = (value) => Math.round(Number(value || 0) * 10000) / 10000;
+
+const getCostingMethod = async () => {
+	const settings = await settingsService.getSettings();
+	return settings?.costingMethod || 'fifo';
+};
+
+// Validates a unit cost from a request; undefined means "use the SKU's current cost"
+const normalizeUnitCost = (value) => {
+	if (value == null || value === '') {
+		return undefined;
+	}
+	const unitCost = Number(value);
+	if (!Number.isFinite(unitCost) || unitCost < 0) {
+		throw createHttpError('unitCost must be a non-negative number', 400, errorCodes.INVALID_INPUT);
+	}
+	return roundUnitCost(unitCost);
+};
+
+const findOpenLayers = (skuId, session = null) =>
+	CostLayer.find({ skuId, remaining: { $gt: 0 } })
+		.sort({ createdAt: 1, _id: 1 })
+		.session(session);
+
+/*
+ Average cost of the costed units in stock, or the newest layer's cost when
+ none are left. Returns null when the SKU has never had a cost.
+*/
+const getCurrentUnitCost = async (sku, session = null) => {
+	const layers = await findOpenLayers(sku._id, session).select({ remaining: 1 }).lean();
+	const tracked = layers.reduce((sum, layer) => sum + layer.remaining, 0);
+	if (tracked > 0) {
+		return roundUnitCost((sku.inventoryValue || 0) / tracked);
+	}
+	const latest = await CostLayer.findOne({ skuId: sku._id })
+		.sort({ createdAt: -1, _id: -1 })
+		.select({ unitCost: 1 })
+		.session(session)
+		.lean();
+	return latest ? latest.unitCost : null;
+};
+
+/*
+ Books inbound units at unitCost as a new cost layer and adds them to
+ sku.inventoryValue. An undefined unitCost means the SKU's current cost;
+ null, or a SKU with no cost yet, books the units uncosted like stock older
+ than cost tracking. Call before sku.stock is updated; the caller saves the SKU.
+*/
+const receiveCost = async (sku, quantity, unitCost, source, session) => {
+	const cost = unitCost !== undefined ? unitCost : await getCurrentUnitCost(sku, session);
+	if (cost == null) {
+		return { unitCost: null, value: 0 };
+	}
+
+	const roundedCost = roundUnitCost(cost);
+	await CostLayer.create(
+		[{ skuId: sku._id, productId: sku.productId, quantity, remaining: quantity, unitCost: roundedCost, source }],
+		{ session }
+	);
+
+	const value = roundCurrency(quantity * roundedCost);
+	sku.inventoryValue = roundCurrency((sku.inventoryValue || 0) + value);
+	return { unitCost: roundedCost, value };
+};
+
+/*
+ Steps for costing outbound units, kept free of I/O so it can be tested:
+	 1. Units in stock without a layer (stock older than cost tracking, or
+		booked uncosted) are the oldest, so they go first and carry no cost
+	 2. The rest deplete the layers oldest first, whatever the costing method,
+		so the layers always describe the costed units on hand
+	 3. FIFO values them at the layers they came from; weighted average at
+		inventoryValue over the costed units
+	 4. Taking the last costed units takes all remaining value, so no rounding
+		is left behind
+	 5. unitCost is null when any uncosted unit was taken, so the sale is not
+		reported as costed
+*/
+const planConsumption = ({ method, stock, inventoryValue = 0, layers, quantity }) => {
+	const tracked = layers.reduce((sum, layer) => sum + layer.remaining, 0);
+	const uncosted = Math.min(quantity, Math.max(0, stock - tracked));
+
+	let needed = quantity - uncosted;
+	let layerValue = 0;
+	const takes = [];
+	for (const layer of layers) {
+		if (needed <= 0) break;
+		const taken = Math.min(layer.remaining, needed);
+		takes.push({ layer, taken });
+		layerValue += taken * layer.unitCost;
+		needed -= taken;
+	}
+
+	const costedQuantity = quantity - uncosted - needed;
+	let value = 0;
+	if (costedQuantity > 0) {
+		value = method === 'fifo' ? layerValue : (costedQuantity * inventoryValue) / tracked;
+		value = costedQuantity >= tracked ? inventoryValue : Math.min(roundCurrency(value), inventoryValue);
+	}
+
+	return {
+		takes,
+		uncosted,
+		value: roundCurrency(value),
+		unitCost: uncosted > 0 ? null : roundUnitCost(value / quantity),
+	};
+};
+
+// Costs outbound units and depletes their layers; call before sku.stock is updated
+const consumeCost = async (sku, quantity, session) => {
+	const method = await getCostingMethod();
+	const layers = await findOpenLayers(sku._id, session);
+	const plan = planConsumption({
+		method,
+		stock: sku.stock,
+		inventoryValue: sku.inventoryValue || 0,
+		layers,
+		quantity,
+	});
+
+	for (const { layer, taken } of plan.takes) {
+		layer.remaining -= taken;
+		await layer.save({ session });
+	}
+
+	sku.inventoryValue = roundCurrency((sku.inventoryValue || 0) - plan.value);
+	return { unitCost: plan.unitCost, value: plan.value };
+};
+
+/*
+ Walks each SKU's current stock and inventoryValue back by the movements
+ recorded after the valuation date, so stock that predates the history is
+ still counted. laterMovements: [{ _id: skuId, change, value }].
+*/
+const summarizeValuation = (skus, laterMovements, products) => {
+	const laterBySku = new Map(laterMovements.map((row) => [row._id.toString(), row]));
+	const productById = new Map(products.map((product) => [product._id.toString(), product]));
+
+	const lines = skus
+		.map((sku) => {
+			const later = laterBySku.get(sku._id.toString());
+			const product = productById.get(sku.productId?.toString());
+			return {
+				skuId: sku._id,
+				sku: sku.sku,
+				productId: sku.productId,
+				productName: product?.name,
+				category: product?.category,
+				quantity: (sku.stock || 0) - (later?.change || 0),
+				value: roundCurrency((sku.inventoryValue || 0) - (later?.value || 0)),
+			};
+		})
+		.filter((line) => line.quantity !== 0 || line.value !== 0)
+		.sort((a, b) => b.value - a.value || String(a.sku).localeCompare(String(b.sku)));
+
+	const categories = new Map();
+	let totalQuantity = 0;
+	let totalValue = 0;
+	for (const line of lines) {
+		totalQuantity += line.quantity;
+		totalValue += line.value;
+
+		const category = line.category || 'Uncategorized';
+		const entry = categories.get(category) || { category, quantity: 0, value: 0 };
+		entry.quantity += line.quantity;
+		entry.value = roundCurrency(entry.value + line.value);
+		categories.set(category, entry);
+
+		line.averageCost = line.quantity > 0 ? roundUnitCost(line.value / line.quantity) : 0;
+	}
+
+	return {
+		totals: { quantity: totalQuantity, value: roundCurrency(totalValue) },
+		categories: [...categories.values()].sort((a, b) => b.value - a.value),
+		skus: lines,
+	};
+};
+
+// Inventory value per SKU and category as of a date
+const getInventoryValuation = async ({ asOf = new Date() } = {}) => {
+	const [skus, laterMovements, costingMethod] = await Promise.all([
+		Sku.find().select({ sku: 1, productId: 1, stock: 1, inventoryValue: 1 }).lean(),
+		StockHistory.aggregate([
+			{ $match: { createdAt: { $gt: asOf } } },
+			{
+				$group: {
+					_id: '$skuId',
+					change: { $sum: '$change' },
+					value: { $sum: { $ifNull: ['$costValue', 0] } },
+				},
+			},
+		]),
+		getCostingMethod(),
+	]);
+
+	const productIds = [...new Set(skus.map((sku) => sku.productId?.toString()).filter(Boolean))];
+	const products = await Product.find({ _id: { $in: productIds } }).select({ name: 1, category: 1 }).lean();
+
+	return {
+		asOf,
+		costingMethod,
+		...summarizeValuation(skus, laterMovements, products),
+	};
+};
+
+module.exports = {
+	getCostingMethod,
+	normalizeUnitCost,
+	getCurrentUnitCost,
+	receiveCost,
+	planConsumption,
+	consumeCost,
+	summarizeValuation,
+	getInventoryValuation,
+};
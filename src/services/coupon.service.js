@@ -0,0 +1,332 @@
+const mongoose = require('mongoose');
+const Coupon = require('../models/coupon.model');
+const Product = require('../models/product.model');
+const { createHttpError } = require('../utils/httpError');
+const errorCodes = require('../constants/errorCodes');
+
+const MAX_PAGE_SIZE = 100;
+const COUPON_TYPES = new Set(['percent', 'fixed']);
+
+const createValidationError = (message, code = errorCodes.INVALID_INPUT, details) =>
+	createHttpError(message, 400, code, details);
+
+const normalizePositiveInt = (value, fallback) => {
+	const parsed = Number(value);
+	if (!Number.isInteger(parsed) || parsed <= 0) {
+		return fallback;
+	}
+	return parsed;
+};
+
+const roundCurrency = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const normalizeCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+const coerceNonNegative = (value, fieldName) => {
+	const numeric = Number(value);
+	if (!Number.isFinite(numeric) || numeric < 0) {
+		throw createValidationError(`${fieldName} must be a non-negative number`);
+	}
+	return numeric;
+};
+
+const parseOptionalDate = (value, fieldName) => {
+	if (value == null || value === '') {
+		return undefined;
+	}
+	const date = new Date(value);
+	if (Number.isNaN(date.getTime())) {
+		throw createValidationError(`Invalid ${fieldName} date`);
+	}
+	return date;
+};
+
+const sanitizeCouponPayload = (data = {}, { partial = false } = {}) => {
+	const payload = {};
+
+	if (!partial || data.code !== undefined) {
+		const code = normalizeCode(data.code);
+		if (!code) {
+			throw createValidationError('code is required');
+		}
+		payload.code = code;
+	}
+
+	if (!partial || data.type !== undefined) {
+		const type = typeof data.type === 'string' ? data.type.trim().toLowerCase() : '';
+		if (!COUPON_TYPES.has(type)) {
+			throw createValidationError('type must be either percent or fixed');
+		}
+		payload.type = type;
+	}
+
+	if (!partial || data.value !== undefined) {
+		payload.value = coerceNonNegative(data.value, 'value');
+	}
+
+	if (data.description !== undefined) {
+		payload.description = typeof data.description === 'string' ? data.description.trim() : undefined;
+	}
+	if (data.maxDiscount !== undefined) {
+		payload.maxDiscount = data.maxDiscount == null ? undefined : coerceNonNegative(data.maxDiscount, 'maxDiscount');
+	}
+	if (data.minBasket !== undefined) {
+		payload.minBasket = coerceNonNegative(data.minBasket ?? 0, 'minBasket');
+	}
+	if (data.startsAt !== undefined) {
+		payload.startsAt = parseOptionalDate(data.startsAt, 'startsAt');
+	}
+	if (data.endsAt !== undefined) {
+		payload.endsAt = parseOptionalDate(data.endsAt, 'endsAt');
+	}
+	if (data.usageLimit !== undefined) {
+		if (data.usageLimit == null) {
+			payload.usageLimit = undefined;
+		} else {
+			const limit = Number(data.usageLimit);
+			if (!Number.isInteger(limit) || limit < 1) {
+				throw createValidationError('usageLimit must be a positive integer');
+			}
+			payload.usageLimit = limit;
+		}
+	}
+	if (data.categories !== undefined) {
+		payload.categories = Array.isArray(data.categories)
+			? data.categories.filter((c) => typeof c === 'string' && c.trim()).map((c) => c.trim())
+			: [];
+	}
+	if (data.productIds !== undefined) {
+		const ids = Array.isArray(data.productIds) ? data.productIds : [];
+		if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+			throw createValidationError('productIds must contain valid ids');
+		}
+		payload.productIds = ids;
+	}
+	if (data.isActive !== undefined) {
+		payload.isActive = Boolean(data.isActive);
+	}
+
+	if (payload.type === 'percent' && payload.value > 100) {
+		throw createValidationError('Percent coupons cannot exceed 100');
+	}
+	if (payload.startsAt && payload.endsAt && payload.startsAt > payload.endsAt) {
+		throw createValidationError('startsAt must be earlier than endsAt');
+	}
+
+	return payload;
+};
+
+const createCoupon = async (data, userId) => {
+	const payload = sanitizeCouponPayload(data);
+
+	const existing = await Coupon.exists({ code: payload.code });
+	if (existing) {
+		throw createHttpError('Coupon code already exists', 409, errorCodes.INVALID_INPUT);
+	}
+
+	const coupon = await Coupon.create({ ...payload, createdBy: userId || undefined });
+	return coupon.toObject();
+};
+
+const listCoupons = async (options = {}) => {
+	const page = normalizePositiveInt(options.page, 1);
+	const rawLimit = normalizePositiveInt(options.limit, 20);
+	const limit = Math.min(rawLimit, MAX_PAGE_SIZE);
+
+	const filters = {};
+	if (typeof options.isActive === 'boolean') {
+		filters.isActive = options.isActive;
+	}
+	if (options.q) {
+		filters.code = new RegExp(normalizeCode(options.q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+	}
+
+	const skip = (page - 1) * limit;
+	const [coupons, total] = await Promise.all([
+		Coupon.find(filters).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+		Coupon.countDocuments(filters),
+	]);
+
+	return {
+		data: coupons,
+		total,
+		page,
+		limit,
+		totalPages: total > 0 ? Math.ceil(total / limit) : 0,
+	};
+};
+
+const getCouponById = async (id) => {
+	if (!mongoose.Types.ObjectId.isValid(id)) {
+		throw createValidationError('Invalid coupon id');
+	}
+	return Coupon.findById(id).lean();
+};
+
+const updateCoupon = async (id, data) => {
+	if (!mongoose.Types.ObjectId.isValid(id)) {
+		throw createValidationError('Invalid coupon id');
+	}
+
+	const update = sanitizeCouponPayload(data, { partial: true });
+
+	// A partial update is checked against the stored fields it does not change
+	const current = await Coupon.findById(id).select({ type: 1, value: 1, startsAt: 1, endsAt: 1 }).lean();
+	if (!current) {
+		return null;
+	}
+	const merged = { ...current, ...update };
+	if (merged.type === 'percent' && merged.value > 100) {
+		throw createValidationError('Percent coupons cannot exceed 100');
+	}
+	if (merged.startsAt && merged.endsAt && merged.startsAt > merged.endsAt) {
+		throw createValidationError('startsAt must be earlier than endsAt');
+	}
+
+	if (update.code) {
+		const existing = await Coupon.findOne({ code: update.code }).select({ _id: 1 }).lean();
+		if (existing && existing._id.toString() !== id) {
+			throw createHttpError('Coupon code already exists', 409, errorCodes.INVALID_INPUT);
+		}
+	}
+
+	update.updatedAt = new Date();
+	return Coupon.findByIdAndUpdate(id, update, { new: true, runValidators: true }).lean();
+};
+
+const deactivateCoupon = async (id) => {
+	if (!mongoose.Types.ObjectId.isValid(id)) {
+		throw createValidationError('Invalid coupon id');
+	}
+	return Coupon.findByIdAndUpdate(id, { isActive: false, updatedAt: new Date() }, { new: true }).lean();
+};
+
+const isLineInScope = (coupon, line, categoryByProduct) => {
+	const hasProductScope = Array.isArray(coupon.productIds) && coupon.productIds.length > 0;
+	const hasCategoryScope = Array.isArray(coupon.categories) && coupon.categories.length > 0;
+	if (!hasProductScope && !hasCategoryScope) {
+		return true;
+	}
+
+	const productId = line.productId.toString();
+	if (hasProductScope && coupon.productIds.some((id) => id.toString() === productId)) {
+		return true;
+	}
+
+	if (hasCategoryScope) {
+		const category = (categoryByProduct.get(productId) || '').toLowerCase();
+		return coupon.categories.some((c) => c.toLowerCase() === category);
+	}
+
+	return false;
+};
+
+/*
+ Steps for applying a coupon to an order inside its transaction:
+	 1. Look the coupon up by code and check it is active and within its window
+	 2. Filter the basket lines in the coupon's category/product scope
+	 3. Check the basket (after line discounts) meets minBasket
+	 4. Compute the discount and spread it across the eligible lines in
+	    proportion to their net amount; the last line absorbs rounding
+	 5. Consume one use, failing if the usage limit has been reached
+
+ lines: [{ productId, netTotal }] in basket order.
+ Returns { coupon, amount, allocations } where allocations[i] matches lines[i].
+*/
+const applyCoupon = async (code, lines, session, now = new Date()) => {
+	const normalized = normalizeCode(code);
+	if (!normalized) {
+		throw createHttpError('Coupon code is required', 400, errorCodes.INVALID_COUPON);
+	}
+
+	const coupon = await Coupon.findOne({ code: normalized }).session(session);
+	if (!coupon || !coupon.isActive) {
+		throw createHttpError(`Coupon ${normalized} is not valid`, 400, errorCodes.INVALID_COUPON);
+	}
+	if ((coupon.startsAt && coupon.startsAt > now) || (coupon.endsAt && coupon.endsAt < now)) {
+		throw createHttpError(`Coupon ${normalized} is not valid at this time`, 400, errorCodes.INVALID_COUPON);
+	}
+
+	const basketTotal = lines.reduce((sum, line) => sum + line.netTotal, 0);
+	if (basketTotal < (coupon.minBasket || 0)) {
+		throw createHttpError(
+			`Coupon ${normalized} requires a minimum basket of ${coupon.minBasket}`,
+			400,
+			errorCodes.INVALID_COUPON
+		);
+	}
+
+	let categoryByProduct = new Map();
+	if (coupon.categories?.length) {
+		const productIds = [...new Set(lines.map((line) => line.productId.toString()))];
+		const products = await Product.find({ _id: { $in: productIds } })
+			.select({ category: 1 })
+			.session(session)
+			.lean();
+		categoryByProduct = new Map(products.map((p) => [p._id.toString(), p.category]));
+	}
+
+	const eligibleIndexes = lines
+		.map((line, index) => (isLineInScope(coupon, line, categoryByProduct) ? index : -1))
+		.filter((index) => index >= 0);
+	const eligibleTotal = eligibleIndexes.reduce((sum, index) => sum + lines[index].netTotal, 0);
+
+	if (!eligibleIndexes.length || eligibleTotal <= 0) {
+		throw createHttpError(`Coupon ${normalized} does not apply to these items`, 400, errorCodes.INVALID_COUPON);
+	}
+
+	let amount = coupon.type === 'percent'
+		? (eligibleTotal * coupon.value) / 100
+		: coupon.value;
+	if (coupon.maxDiscount != null) {
+		amount = Math.min(amount, coupon.maxDiscount);
+	}
+	amount = roundCurrency(Math.min(amount, eligibleTotal));
+
+	const allocations = lines.map(() => 0);
+	let allocated = 0;
+	eligibleIndexes.forEach((index, position) => {
+		const isLast = position === eligibleIndexes.length - 1;
+		const share = isLast
+			? roundCurrency(amount - allocated)
+			: roundCurrency((amount * lines[index].netTotal) / eligibleTotal);
+		allocations[index] = share;
+		allocated = roundCurrency(allocated + share);
+	});
+
+	const usageFilter = { _id: coupon._id };
+	if (coupon.usageLimit != null) {
+		usageFilter.usageCount = { $lt: coupon.usageLimit };
+	}
+	const consumed = await Coupon.findOneAndUpdate(
+		usageFilter,
+		{ $inc: { usageCount: 1 } },
+		{ new: true, session }
+	);
+	if (!consumed) {
+		throw createHttpError(`Coupon ${normalized} has reached its usage limit`, 400, errorCodes.INVALID_COUPON);
+	}
+
+	return { coupon: coupon.toObject(), amount, allocations };
+};
+
+const releaseCouponUse = async (couponId, session) => {
+	if (!couponId) {
+		return;
+	}
+	await Coupon.updateOne(
+		{ _id: couponId, usageCount: { $gt: 0 } },
+		{ $inc: { usageCount: -1 } },
+		{ session }
+	);
+};
+
+module.exports = {
+	createCoupon,
+	listCoupons,
+	getCouponById,
+	updateCoupon,
+	deactivateCoupon,
+	applyCoupon,
+	releaseCouponUse,
+};
@@ -0,0 +1,315 @@
+const mongoose = require('mongoose');
+const Customer = require('../models/customer.model');
+const Order = require('../models/order.model');
+const { createHttpError } = require('../utils/httpError');
+const errorCodes = require('../constants/errorCodes');
+
+const MAX_PAGE_SIZE = 100;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PHONE_DIGITS = 6;
+
+const createValidationError = (message, code = errorCodes.INVALID_INPUT, details) =>
+	createHttpError(message, 400, code, details);
+
+const normalizePositiveInt = (value, fallback) => {
+	const parsed = Number(value);
+	if (!Number.isInteger(parsed) || parsed <= 0) {
+		return fallback;
+	}
+	return parsed;
+};
+
+const roundCurrency = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "+91 98450-12345" and "+919845012345" are the same customer
+const normalizePhone = (phone) => {
+	if (typeof phone !== 'string') {
+		return '';
+	}
+	const trimmed = phone.trim();
+	const digits = trimmed.replace(/\D/g, '');
+	if (!digits) {
+		return '';
+	}
+	return trimmed.startsWith('+') ? `+${digits}` : digits;
+};
+
+// Normalizes a phone and rejects ones too short to identify a customer
+const normalizeCustomerPhone = (phone) => {
+	const normalized = normalizePhone(phone);
+	if (normalized && normalized.replace('+', '').length < MIN_PHONE_DIGITS) {
+		throw createValidationError(`phone must contain at least ${MIN_PHONE_DIGITS} digits`);
+	}
+	return normalized;
+};
+
+const assertCustomerId = (id) => {
+	if (!id) {
+		throw createValidationError('Customer id is required');
+	}
+	if (!mongoose.Types.ObjectId.isValid(id)) {
+		throw createValidationError('Invalid customer id');
+	}
+};
+
+const sanitizeCustomerPayload = (data = {}, { partial = false } = {}) => {
+	const payload = {};
+
+	if (!partial || data.name !== undefined) {
+		const name = typeof data.name === 'string' ? data.name.trim() : '';
+		if (!name) {
+			throw createValidationError('name is required');
+		}
+		payload.name = name;
+	}
+
+	if (data.phone !== undefined) {
+		payload.phone = normalizeCustomerPhone(data.phone) || undefined;
+	}
+
+	if (data.email !== undefined) {
+		const email = typeof data.email === 'string' ? data.email.trim().toLowerCase() : '';
+		if (email && !EMAIL_PATTERN.test(email)) {
+			throw createValidationError('email must be a valid email address');
+		}
+		payload.email = email || undefined;
+	}
+
+	if (data.notes !== undefined) {
+		payload.notes = typeof data.notes === 'string' ? data.notes.trim() : undefined;
+	}
+
+	if (data.isActive !== undefined) {
+		payload.isActive = Boolean(data.isActive);
+	}
+
+	return payload;
+};
+
+const assertPhoneAvailable = async (phone, excludeId) => {
+	if (!phone) {
+		return;
+	}
+	const existing = await Customer.findOne({ phone }).select({ _id: 1 }).lean();
+	if (existing && existing._id.toString() !== String(excludeId)) {
+		throw createHttpError('A customer with this phone already exists', 409, errorCodes.INVALID_INPUT);
+	}
+};
+
+/*
+ Lifetime stats come from completed orders rather than counters on the
+ customer, so cancellations and returns are reflected without bookkeeping.
+ Spend is net of refunds; visits count completed orders.
+*/
+const getCustomerStats = async (customerId) => {
+	const [stats] = await Order.aggregate([
+		{ $match: { customerId: new mongoose.Types.ObjectId(customerId), status: 'completed' } },
+		{
+			$group: {
+				_id: null,
+				visits: { $sum: 1 },
+				totalSpend: { $sum: { $subtract: ['$total', { $ifNull: ['$refundTotal', 0] }] } },
+				totalRefunds: { $sum: { $ifNull: ['$refundTotal', 0] } },
+				firstPurchaseAt: { $min: '$createdAt' },
+				lastPurchaseAt: { $max: '$createdAt' },
+			},
+		},
+	]).exec();
+
+	if (!stats) {
+		return {
+			visits: 0,
+			totalSpend: 0,
+			totalRefunds: 0,
+			averageOrderValue: 0,
+			firstPurchaseAt: null,
+			lastPurchaseAt: null,
+		};
+	}
+
+	return {
+		visits: stats.visits,
+		totalSpend: roundCurrency(stats.totalSpend),
+		totalRefunds: roundCurrency(stats.totalRefunds),
+		averageOrderValue: roundCurrency(stats.totalSpend / stats.visits),
+		firstPurchaseAt: stats.firstPurchaseAt,
+		lastPurchaseAt: stats.lastPurchaseAt,
+	};
+};
+
+const createCustomer = async (data, userId) => {
+	const payload = sanitizeCustomerPayload(data);
+	await assertPhoneAvailable(payload.phone);
+
+	const customer = await Customer.create({ ...payload, createdBy: userId || undefined });
+	return customer.toObject();
+};
+
+const listCustomers = async (options = {}) => {
+	const page = normalizePositiveInt(options.page, 1);
+	const rawLimit = normalizePositiveInt(options.limit, 20);
+	const limit = Math.min(rawLimit, MAX_PAGE_SIZE);
+
+	const filters = {};
+	if (typeof options.isActive === 'boolean') {
+		filters.isActive = options.isActive;
+	}
+
+	const query = typeof options.q === 'string' ? options.q.trim() : '';
+	if (query) {
+		const pattern = new RegExp(escapeRegex(query), 'i');
+		const or = [{ name: pattern }, { email: pattern }];
+		const phone = normalizePhone(query);
+		if (phone) {
+			or.push({ phone: new RegExp(escapeRegex(phone)) });
+		}
+		filters.$or = or;
+	}
+
+	const skip = (page - 1) * limit;
+	const [customers, total] = await Promise.all([
+		Customer.find(filters).sort({ name: 1 }).skip(skip).limit(limit).lean(),
+		Customer.countDocuments(filters),
+	]);
+
+	return {
+		data: customers,
+		total,
+		page,
+		limit,
+		totalPages: total > 0 ? Math.ceil(total / limit) : 0,
+	};
+};
+
+const getCustomerById = async (id) => {
+	assertCustomerId(id);
+	const customer = await Customer.findById(id).lean();
+	if (!customer) {
+		return null;
+	}
+	return { ...customer, stats: await getCustomerStats(id) };
+};
+
+const findCustomerByPhone = async (phone) => {
+	const normalized = normalizePhone(phone);
+	if (!normalized) {
+		throw createValidationError('phone is required');
+	}
+	const customer = await Customer.findOne({ phone: normalized }).lean();
+	if (!customer) {
+		return null;
+	}
+	return { ...customer, stats: await getCustomerStats(customer._id) };
+};
+
+const updateCustomer = async (id, data) => {
+	assertCustomerId(id);
+
+	const update = sanitizeCustomerPayload(data, { partial: true });
+	await assertPhoneAvailable(update.phone, id);
+
+	const unset = {};
+	['phone', 'email', 'notes'].forEach((field) => {
+		if (field in update && update[field] === undefined) {
+			delete update[field];
+			unset[field] = 1;
+		}
+	});
+
+	update.updatedAt = new Date();
+	return Customer.findByIdAndUpdate(
+		id,
+		Object.keys(unset).length ? { $set: update, $unset: unset } : update,
+		{ new: true, runValidators: true }
+	).lean();
+};
+
+const deactivateCustomer = async (id) => {
+	assertCustomerId(id);
+	return Customer.findByIdAndUpdate(id, { isActive: false, updatedAt: new Date() }, { new: true }).lean();
+};
+
+const getCustomerOrders = async (id, options = {}) => {
+	assertCustomerId(id);
+
+	const page = normalizePositiveInt(options.page, 1);
+	const rawLimit = normalizePositiveInt(options.limit, 20);
+	const limit = Math.min(rawLimit, MAX_PAGE_SIZE);
+
+	const filters = { customerId: new mongoose.Types.ObjectId(id) };
+	if (options.status) {
+		filters.status = options.status;
+	}
+
+	const skip = (page - 1) * limit;
+	const [orders, total] = await Promise.all([
+		Order.find(filters).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+		Order.countDocuments(filters),
+	]);
+
+	return {
+		data: orders,
+		total,
+		page,
+		limit,
+		totalPages: total > 0 ? Math.ceil(total / limit) : 0,
+	};
+};
+
+/*
+ Resolves the customer an order belongs to inside the order transaction:
+	 - an explicit customerId must exist and wins
+	 - otherwise a phone number links the order to the customer with that
+	   phone, creating one on first purchase; a phone too short to be real
+	   rejects the order rather than creating a customer from a typo
+	 - anonymous walk-ins stay unlinked
+ Returns the customer document or null.
+*/
+const resolveOrderCustomer = async ({ customerId, customer = {} }, userId, session) => {
+	if (customerId) {
+		assertCustomerId(customerId);
+		const existing = await Customer.findById(customerId).session(session).lean();
+		if (!existing) {
+			throw createHttpError('Customer not found', 404, errorCodes.CUSTOMER_NOT_FOUND);
+		}
+		return existing;
+	}
+
+	const phone = normalizeCustomerPhone(customer.phone);
+	if (!phone) {
+		return null;
+	}
+
+	const name = typeof customer.name === 'string' && customer.name.trim() ? customer.name.trim() : undefined;
+	const email = typeof customer.email === 'string' && customer.email.trim()
+		? customer.email.trim().toLowerCase()
+		: undefined;
+
+	return Customer.findOneAndUpdate(
+		{ phone },
+		{
+			$setOnInsert: {
+				phone,
+				name: name || 'Walk-in',
+				email,
+				createdBy: userId || undefined,
+			},
+		},
+		{ new: true, upsert: true, session }
+	).lean();
+};
+
+module.exports = {
+	normalizePhone,
+	createCustomer,
+	listCustomers,
+	getCustomerById,
+	findCustomerByPhone,
+	updateCustomer,
+	deactivateCustomer,
+	getCustomerOrders,
+	getCustomerStats,
+	resolveOrderCustomer,
+};
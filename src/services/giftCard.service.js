@@ -0,0 +1,363 @@
+const mongoose = require('mongoose');
+const GiftCard = require('../models/giftCard.model');
+const GiftCardTransaction = require('../models/giftCardTransaction.model');
+const Counter = require('../models/counter.model');
+const { generateBarcode } = require('../utils/barcodeGenerator');
+const { createHttpError } = require('../utils/httpError');
+const errorCodes = require('../constants/errorCodes');
+
+const MAX_PAGE_SIZE = 100;
+const CARD_TYPES = new Set(['gift_card', 'store_credit']);
+const ISSUE_ATTEMPTS = 3;
+const CODE_COUNTER_ID = 'giftCardCode';
+
+const createValidationError = (message, code = errorCodes.INVALID_INPUT, details) =>
+	createHttpError(message, 400, code, details);
+
+const normalizePositiveInt = (value, fallback) => {
+	const parsed = Number(value);
+	if (!Number.isInteger(parsed) || parsed <= 0) {
+		return fallback;
+	}
+	return parsed;
+};
+
+const roundCurrency = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const normalizeCode = (code) => (typeof code === 'string' ? code.trim() : '');
+
+const toPositiveAmount = (value, fieldName = 'amount') => {
+	const amount = Number(value);
+	if (!Number.isFinite(amount) || amount <= 0) {
+		throw createValidationError(`${fieldName} must be a positive number`);
+	}
+	return roundCurrency(amount);
+};
+
+const assertGiftCardId = (id) => {
+	if (!id) {
+		throw createValidationError('Gift card id is required');
+	}
+	if (!mongoose.Types.ObjectId.isValid(id)) {
+		throw createValidationError('Invalid gift card id');
+	}
+};
+
+const isExpired = (card, now = new Date()) => Boolean(card.expiresAt && card.expiresAt <= now);
+
+const recordTransaction = async (fields, session) => {
+	const [entry] = await GiftCardTransaction.create([fields], { session });
+	return entry;
+};
+
+/*
+ Reserves the next card code with an atomic counter, outside any transaction.
+ A duplicate key inside a transaction aborts it and cannot be retried there,
+ so a store credit issued by a return must never collide. The counter never
+ hands out a number twice and never falls behind the shared barcode numbering.
+*/
+const reserveCardCode = async () => {
+	const floor = Number(await generateBarcode());
+	const counter = await Counter.findOneAndUpdate(
+		{ _id: CODE_COUNTER_ID },
+		[{ $set: { seq: { $max: [{ $add: [{ $ifNull: ['$seq', 0] }, 1] }, floor] } } }],
+		{ new: true, upsert: true }
+	).lean();
+	return String(counter.seq);
+};
+
+const createCard = async (fields, userId, session) => {
+	const code = await reserveCardCode();
+	const [card] = await GiftCard.create([{ ...fields, code, issuedBy: userId || undefined }], { session });
+
+	await recordTransaction({
+		giftCardId: card._id,
+		type: 'issue',
+		amount: card.initialValue,
+		balanceAfter: card.balance,
+		returnId: card.sourceReturnId,
+		createdBy: userId || undefined,
+	}, session);
+
+	return card.toObject();
+};
+
+/*
+ Issues a gift card or store credit with a freshly reserved code, inside the
+ caller's transaction when one is given (e.g. store credit for a return).
+ Standalone issues run in their own transaction and retry on a duplicate code.
+*/
+const issueGiftCard = async (data = {}, userId, session = null) => {
+	const type = typeof data.type === 'string' ? data.type.trim().toLowerCase() : 'gift_card';
+	if (!CARD_TYPES.has(type)) {
+		throw createValidationError('type must be either gift_card or store_credit');
+	}
+
+	const amount = toPositiveAmount(data.amount);
+
+	let expiresAt;
+	if (data.expiresAt != null && data.expiresAt !== '') {
+		expiresAt = new Date(data.expiresAt);
+		if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+			throw createValidationError('expiresAt must be a future date');
+		}
+	}
+
+	if (data.customerId && !mongoose.Types.ObjectId.isValid(data.customerId)) {
+		throw createValidationError('Invalid customer id');
+	}
+
+	const fields = {
+		type,
+		initialValue: amount,
+		balance: amount,
+		customerId: data.customerId || undefined,
+		sourceReturnId: data.sourceReturnId,
+		expiresAt,
+		notes: typeof data.notes === 'string' ? data.notes.trim() : undefined,
+	};
+
+	if (session) {
+		return createCard(fields, userId, session);
+	}
+
+	for (let attempt = 1; ; attempt += 1) {
+		const ownSession = await mongoose.startSession();
+		ownSession.startTransaction();
+		try {
+			const card = await createCard(fields, userId, ownSession);
+			await ownSession.commitTransaction();
+			return card;
+		} catch (error) {
+			await ownSession.abortTransaction();
+			if (error?.code !== 11000 || attempt >= ISSUE_ATTEMPTS) {
+				throw error;
+			}
+		} finally {
+			ownSession.endSession();
+		}
+	}
+};
+
+const findActiveCard = async (code, session = null) => {
+	const normalized = normalizeCode(code);
+	const card = normalized ? await GiftCard.findOne({ code: normalized }).session(session).lean() : null;
+	if (!card) {
+		throw createHttpError(`Gift card ${normalized} not found`, 404, errorCodes.GIFT_CARD_NOT_FOUND);
+	}
+	if (card.status !== 'active') {
+		throw createHttpError(`Gift card ${normalized} has been voided`, 400, errorCodes.GIFT_CARD_INACTIVE);
+	}
+	if (isExpired(card)) {
+		throw createHttpError(`Gift card ${normalized} has expired`, 400, errorCodes.GIFT_CARD_INACTIVE);
+	}
+	return card;
+};
+
+/*
+ Debits a card as a payment inside the order transaction. The balance
+ check and the debit are one conditional update, so two tills cannot
+ spend the same balance twice. method must match the card's type.
+*/
+const redeemGiftCard = async ({ code, amount, method, orderId, userId }, session) => {
+	const card = await findActiveCard(code, session);
+	if (method && card.type !== method) {
+		throw createHttpError(
+			`Card ${card.code} is a ${card.type.replace('_', ' ')}, not a ${method.replace('_', ' ')}`,
+			400,
+			errorCodes.INVALID_PAYMENT
+		);
+	}
+
+	const debit = toPositiveAmount(amount);
+	const updated = await GiftCard.findOneAndUpdate(
+		{ _id: card._id, status: 'active', balance: { $gte: debit } },
+		{ $inc: { balance: -debit } },
+		{ new: true, session }
+	).lean();
+	if (!updated) {
+		throw createHttpError(
+			`Gift card ${card.code} has a balance of ${card.balance}`,
+			400,
+			errorCodes.INSUFFICIENT_BALANCE
+		);
+	}
+
+	const balanceAfter = roundCurrency(updated.balance);
+	await recordTransaction({
+		giftCardId: card._id,
+		type: 'redeem',
+		amount: -debit,
+		balanceAfter,
+		orderId,
+		createdBy: userId || undefined,
+	}, session);
+
+	return { ...updated, balance: balanceAfter };
+};
+
+/*
+ Puts a redeemed amount back on a card, e.g. when the order it paid for is
+ cancelled. A card that was voided or has expired since cannot take it, so
+ the amount goes onto a new card of the same type instead; the new card is
+ returned and its code is what the customer should be given.
+*/
+const refundToGiftCard = async ({ code, amount, orderId, userId, note }, session) => {
+	const normalized = normalizeCode(code);
+	const credit = toPositiveAmount(amount);
+	const now = new Date();
+	const updated = await GiftCard.findOneAndUpdate(
+		{
+			code: normalized,
+			status: 'active',
+			$or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+		},
+		{ $inc: { balance: credit } },
+		{ new: true, session }
+	).lean();
+	if (!updated) {
+		const card = await GiftCard.findOne({ code: normalized }).session(session).lean();
+		if (!card) {
+			throw createHttpError(`Gift card ${normalized} not found`, 404, errorCodes.GIFT_CARD_NOT_FOUND);
+		}
+		return issueGiftCard({
+			type: card.type,
+			amount: credit,
+			customerId: card.customerId,
+			notes: `Refund${note ? ` for ${note}` : ''} replacing ${card.status === 'void' ? 'voided' : 'expired'} card ${card.code}`,
+		}, userId, session);
+	}
+
+	await recordTransaction({
+		giftCardId: updated._id,
+		type: 'refund',
+		amount: credit,
+		balanceAfter: roundCurrency(updated.balance),
+		orderId,
+		note,
+		createdBy: userId || undefined,
+	}, session);
+
+	return updated;
+};
+
+const voidGiftCard = async (id, data = {}, userId) => {
+	assertGiftCardId(id);
+
+	const session = await mongoose.startSession();
+	session.startTransaction();
+
+	try {
+		const card = await GiftCard.findById(id).session(session);
+		if (!card) {
+			throw createHttpError('Gift card not found', 404, errorCodes.GIFT_CARD_NOT_FOUND);
+		}
+		if (card.status === 'void') {
+			throw createHttpError('Gift card is already voided', 409, errorCodes.GIFT_CARD_INACTIVE);
+		}
+
+		const forfeited = card.balance;
+		card.status = 'void';
+		card.balance = 0;
+		card.voidedAt = new Date();
+		card.voidedBy = userId || undefined;
+		card.voidReason = typeof data.reason === 'string' ? data.reason.trim() : undefined;
+		await card.save({ session });
+
+		await recordTransaction({
+			giftCardId: card._id,
+			type: 'void',
+			amount: -forfeited,
+			balanceAfter: 0,
+			note: card.voidReason,
+			createdBy: userId || undefined,
+		}, session);
+
+		await session.commitTransaction();
+		return card.toObject();
+	} catch (error) {
+		await session.abortTransaction();
+		throw error;
+	} finally {
+		session.endSession();
+	}
+};
+
+// Balance check for the counter; does not reveal the ledger
+const checkBalance = async (code) => {
+	const normalized = normalizeCode(code);
+	if (!normalized) {
+		throw createValidationError('code is required');
+	}
+
+	const card = await GiftCard.findOne({ code: normalized }).lean();
+	if (!card) {
+		return null;
+	}
+
+	return {
+		code: card.code,
+		type: card.type,
+		status: isExpired(card) && card.status === 'active' ? 'expired' : card.status,
+		balance: card.balance,
+		expiresAt: card.expiresAt,
+	};
+};
+
+const listGiftCards = async (options = {}) => {
+	const page = normalizePositiveInt(options.page, 1);
+	const rawLimit = normalizePositiveInt(options.limit, 20);
+	const limit = Math.min(rawLimit, MAX_PAGE_SIZE);
+
+	const filters = {};
+	if (options.type && CARD_TYPES.has(options.type)) {
+		filters.type = options.type;
+	}
+	if (options.status) {
+		filters.status = options.status;
+	}
+	if (options.customerId) {
+		if (!mongoose.Types.ObjectId.isValid(options.customerId)) {
+			throw createValidationError('Invalid customer id');
+		}
+		filters.customerId = new mongoose.Types.ObjectId(options.customerId);
+	}
+
+	const skip = (page - 1) * limit;
+	const [cards, total] = await Promise.all([
+		GiftCard.find(filters).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+		GiftCard.countDocuments(filters),
+	]);
+
+	return {
+		data: cards,
+		total,
+		page,
+		limit,
+		totalPages: total > 0 ? Math.ceil(total / limit) : 0,
+	};
+};
+
+const getGiftCardById = async (id) => {
+	assertGiftCardId(id);
+
+	const card = await GiftCard.findById(id).lean();
+	if (!card) {
+		return null;
+	}
+
+	const transactions = await GiftCardTransaction.find({ giftCardId: card._id })
+		.sort({ createdAt: -1 })
+		.lean();
+	return { ...card, transactions };
+};
+
+module.exports = {
+	issueGiftCard,
+	redeemGiftCard,
+	refundToGiftCard,
+	voidGiftCard,
+	checkBalance,
+	listGiftCards,
+	getGiftCardById,
+};
@@ -0,0 +1,66 @@
+const Counter = require('../models/counter.model');
+const settingsService = require('./settings.service');
+
+const DEFAULT_PREFIX = 'INV';
+const DEFAULT_PADDING = 6;
+const DEFAULT_FISCAL_START_MONTH = 4;
+const DEFAULT_TIME_ZONE = 'UTC';
+
+// Calendar year and month (1-12) of a date in the given time zone, whatever the host's zone
+const getZonedYearMonth = (date, timeZone) => {
+	const parts = new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: 'numeric' })
+		.formatToParts(date);
+	const part = (type) => Number(parts.find((item) => item.type === type).value);
+	return { year: part('year'), month: part('month') };
+};
+
+/*
+ Labels the fiscal year a date falls in on the store's calendar (timeZone,
+ UTC by default). Years starting in January are labelled by the calendar
+ year ("2026"); any other start month spans two calendar years and is
+ labelled "2026-27".
+*/
+const resolveFiscalYear = (date, startMonth = DEFAULT_FISCAL_START_MONTH, timeZone = DEFAULT_TIME_ZONE) => {
+	const { year, month } = getZonedYearMonth(date, timeZone);
+	const startYear = month >= startMonth ? year : year - 1;
+	if (startMonth === 1) {
+		return String(startYear);
+	}
+	return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+const formatInvoiceNumber = (prefix, fiscalYear, seq, padding) =>
+	`${prefix}/${fiscalYear}/${String(seq).padStart(padding, '0')}`;
+
+/*
+ Hands out the next invoice number for the fiscal year containing `date`.
+ The counter is bumped inside the caller's transaction, so an aborted sale
+ rolls the increment back with it and the series stays gap-free; two sales
+ racing for the same number hit a write conflict and one of them retries.
+*/
+const nextInvoiceNumber = async (session, date = new Date()) => {
+	const settings = await settingsService.getSettings();
+	const prefix = settings?.invoicePrefix || DEFAULT_PREFIX;
+	const padding = settings?.invoiceNumberPadding || DEFAULT_PADDING;
+	const fiscalYear = resolveFiscalYear(
+		date,
+		settings?.fiscalYearStartMonth || DEFAULT_FISCAL_START_MONTH,
+		settings?.timeZone || DEFAULT_TIME_ZONE
+	);
+
+	const counter = await Counter.findOneAndUpdate(
+		{ _id: `invoice:${fiscalYear}` },
+		{ $inc: { seq: 1 } },
+		{ new: true, upsert: true, session }
+	).lean();
+
+	return {
+		invoiceNumber: formatInvoiceNumber(prefix, fiscalYear, counter.seq, padding),
+		fiscalYear,
+	};
+};
+
+module.exports = {
+	resolveFiscalYear,
+	nextInvoiceNumber,
+};
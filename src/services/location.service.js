@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const Location = require('../models/location.model');
+const { createHttpError } = require('../utils/httpError');
+const errorCodes = require('../constants/errorCodes');
+
+const DEFAULT_LOCATION = { code: 'main', name: 'Main store', type: 'store' };
+const LOCATION_TYPES = new Set(['store', 'warehouse']);
+
+const createValidationError = (message, code = errorCodes.INVALID_INPUT, details) =>
+	createHttpError(message, 400, code, details);
+
+const normalizeCode = (code) => (typeof code === 'string' ? code.trim().toLowerCase() : '');
+
+const assertLocationId = (id) => {
+	if (!id) {
+		throw createValidationError('Location id is required');
+	}
+	if (!mongoose.Types.ObjectId.isValid(id)) {
+		throw createValidationError('Invalid location id');
+	}
+};
+
+const sanitizeLocationPayload = (data = {}, { partial = false } = {}) => {
+	const payload = {};
+
+	if (!partial || data.code !== undefined) {
+		const code = normalizeCode(data.code);
+		if (!code) {
+			throw createValidationError('code is required');
+		}
+		payload.code = code;
+	}
+
+	if (!partial || data.name !== undefined) {
+		const name = typeof data.name === 'string' ? data.name.trim() : '';
+		if (!name) {
+			throw createValidationError('name is required');
+		}
+		payload.name = name;
+	}
+
+	if (data.type !== undefined) {
+		const type = typeof data.type === 'string' ? data.type.trim().toLowerCase() : '';
+		if (!LOCATION_TYPES.has(type)) {
+			throw createValidationError('type must be either store or warehouse');
+		}
+		payload.type = type;
+	}
+
+	if (data.address !== undefined) {
+		payload.address = typeof data.address === 'string' ? data.address.trim() : undefined;
+	}
+
+	if (data.isActive !== undefined) {
+		payload.isActive = Boolean(data.isActive);
+	}
+
+	return payload;
+};
+
+const assertCodeAvailable = async (code, excludeId) => {
+	if (!code) {
+		return;
+	}
+	const existing = await Location.findOne({ code }).select({ _id: 1 }).lean();
+	if (existing && existing._id.toString() !== String(excludeId)) {
+		throw createHttpError('A location with this code already exists', 409, errorCodes.INVALID_INPUT);
+	}
+};
+
+/*
+ The default location holds stock for callers that do not name one, and all
+ stock recorded before locations existed. It is created on first use.
+*/
+const getDefaultLocation = async (session = null) => {
+	const existing = await Location.findOne({ isDefault: true }).session(session).lean();
+	if (existing) {
+		return existing;
+	}
+
+	return Location.findOneAndUpdate(
+		{ code: DEFAULT_LOCATION.code },
+		{ $set: { isDefault: true }, $setOnInsert: { name: DEFAULT_LOCATION.name, type: DEFAULT_LOCATION.type } },
+		{ new: true, upsert: true, session }
+	).lean();
+};
+
+// Resolves a location id from a request to an active location, falling back to the default
+const resolveLocationId = async (locationId, session = null) => {
+	if (locationId == null || locationId === '') {
+		const location = await getDefaultLocation(session);
+		return location._id;
+	}
+
+	assertLocationId(locationId);
+	const location = await Location.findById(locationId).session(session).lean();
+	if (!location) {
+		throw createHttpError('Location not found', 404, errorCodes.LOCATION_NOT_FOUND);
+	}
+	if (!location.isActive) {
+		throw createValidationError(`Location ${location.code} is inactive`);
+	}
+	return location._id;
+};
+
+const isDefaultLocation = async (locationId, session = null) => {
+	const location = await getDefaultLocation(session);
+	return location._id.toString() === String(locationId);
+};
+
+const createLocation = async (data = {}) => {
+	const payload = sanitizeLocationPayload(data);
+	await assertCodeAvailable(payload.code);
+
+	// Make sure a default exists first so the new location never silently becomes it
+	await getDefaultLocation();
+	const location = await Location.create(payload);
+	if (data.isDefault === true) {
+		return setDefaultLocation(location._id);
+	}
+	return location.toObject();
+};
+
+const listLocations = async (options = {}) => {
+	await getDefaultLocation();
+
+	const filters = {};
+	if (typeof options.isActive === 'boolean') {
+		filters.isActive = options.isActive;
+	}
+	if (options.type && LOCATION_TYPES.has(options.type)) {
+		filters.type = options.type;
+	}
+
+	return Location.find(filters).sort({ isDefault: -1, name: 1 }).lean();
+};
+
+const getLocationById = async (id) => {
+	assertLocationId(id);
+	return Location.findById(id).lean();
+};
+
+const setDefaultLocation = async (id) => {
+	const location = await Location.findById(id).lean();
+	if (!location) {
+		return null;
+	}
+	if (!location.isActive) {
+		throw createValidationError('An inactive location cannot be the default');
+	}
+
+	await Location.updateMany({ _id: { $ne: location._id }, isDefault: true }, { isDefault: false });
+	return Location.findByIdAndUpdate(location._id, { isDefault: true }, { new: true }).lean();
+};
+
+const updateLocation = async (id, data = {}) => {
+	assertLocationId(id);
+
+	const update = sanitizeLocationPayload(data, { partial: true });
+	await assertCodeAvailable(update.code, id);
+
+	const current = await Location.findById(id).lean();
+	if (!current) {
+		return null;
+	}
+	if (current.isDefault && update.isActive === false) {
+		throw createValidationError('The default location cannot be deactivated');
+	}
+
+	const location = await Location.findByIdAndUpdate(id, update, { new: true, runValidators: true }).lean();
+	if (data.isDefault === true && !location.isDefault) {
+		return setDefaultLocation(location._id);
+	}
+	return location;
+};
+
+module.exports = {
+	getDefaultLocation,
+	resolveLocationId,
+	isDefaultLocation,
+	createLocation,
+	listLocations,
+	getLocationById,
+	updateLocation,
+};
@@ -0,0 +1,348 @@
+const mongoose = require('mongoose');
+const Customer = require('../models/customer.model');
+const LoyaltyTransaction = require('../models/loyaltyTransaction.model');
+const settingsService = require('./settings.service');
+const { createHttpError } = require('../utils/httpError');
+const errorCodes = require('../constants/errorCodes');
+const logger = require('../utils/logger');
+
+const MAX_PAGE_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Entry types whose points can still be spent or expire
+const CREDIT_TYPES = ['earn', 'reverse_redeem'];
+
+const DEFAULT_LOYALTY = {
+	enabled: false,
+	earnRate: 0.01,
+	redeemValue: 1,
+	minRedeemPoints: 0,
+	expiryDays: 365,
+};
+
+const createValidationError = (message, code = errorCodes.INVALID_INPUT, details) =>
+	createHttpError(message, 400, code, details);
+
+const normalizePositiveInt = (value, fallback) => {
+	const parsed = Number(value);
+	if (!Number.isInteger(parsed) || parsed <= 0) {
+		return fallback;
+	}
+	return parsed;
+};
+
+const roundCurrency = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const getLoyaltyConfig = async () => {
+	const settings = await settingsService.getSettings();
+	return { ...DEFAULT_LOYALTY, ...(settings?.loyalty || {}) };
+};
+
+const resolveExpiry = (config, now = new Date()) =>
+	config.expiryDays > 0 ? new Date(now.getTime() + config.expiryDays * DAY_MS) : undefined;
+
+/*
+ Moves the customer's balance and writes the matching ledger entry in the
+ same transaction. Debits are guarded so the balance never goes negative.
+*/
+const postEntry = async ({ customerId, type, points, ...fields }, session) => {
+	const filter = { _id: customerId };
+	if (points < 0) {
+		filter.loyaltyPoints = { $gte: -points };
+	}
+
+	const customer = await Customer.findOneAndUpdate(
+		filter,
+		{ $inc: { loyaltyPoints: points } },
+		{ new: true, session }
+	).lean();
+	if (!customer) {
+		throw createHttpError('Customer does not have enough loyalty points', 400, errorCodes.INSUFFICIENT_POINTS);
+	}
+
+	const [entry] = await LoyaltyTransaction.create(
+		[{ customerId, type, points, balanceAfter: customer.loyaltyPoints, ...fields }],
+		{ session }
+	);
+	return entry;
+};
+
+// Spends unspent credit entries, the given order's own earn entry first, then oldest first
+const consumeCredits = async (customerId, points, session, { orderId } = {}) => {
+	let remaining = points;
+	const credits = await LoyaltyTransaction.find({
+		customerId,
+		type: { $in: CREDIT_TYPES },
+		remaining: { $gt: 0 },
+	})
+		.sort({ createdAt: 1 })
+		.session(session);
+
+	if (orderId) {
+		credits.sort((a, b) => {
+			const aOwn = a.type === 'earn' && a.orderId?.toString() === String(orderId) ? 0 : 1;
+			const bOwn = b.type === 'earn' && b.orderId?.toString() === String(orderId) ? 0 : 1;
+			return aOwn - bOwn;
+		});
+	}
+
+	for (const credit of credits) {
+		if (remaining <= 0) break;
+		const take = Math.min(credit.remaining, remaining);
+		credit.remaining -= take;
+		remaining -= take;
+		await credit.save({ session });
+	}
+};
+
+/*
+ Redeems points as a discount on an order being created. The value is
+ checked against the basket so points never pay for more than the goods.
+ Returns { points, value }.
+*/
+const redeemPoints = async ({ customerId, points, basketTotal, orderId, userId }, session) => {
+	const config = await getLoyaltyConfig();
+	if (!config.enabled) {
+		throw createValidationError('Loyalty program is not enabled', errorCodes.LOYALTY_DISABLED);
+	}
+
+	const requested = Number(points);
+	if (!Number.isInteger(requested) || requested <= 0) {
+		throw createValidationError('redeemPoints must be a positive integer');
+	}
+	if (requested < config.minRedeemPoints) {
+		throw createValidationError(`At least ${config.minRedeemPoints} points must be redeemed at once`);
+	}
+
+	const value = roundCurrency(requested * config.redeemValue);
+	if (value > basketTotal) {
+		throw createValidationError('Redeemed points are worth more than the basket');
+	}
+
+	await postEntry({
+		customerId,
+		type: 'redeem',
+		points: -requested,
+		value,
+		orderId,
+		createdBy: userId || undefined,
+	}, session);
+	await consumeCredits(customerId, requested, session);
+
+	return { points: requested, value };
+};
+
+// Credits points for a completed order's total; returns the points earned
+const earnPoints = async ({ customerId, amount, orderId, userId }, session) => {
+	const config = await getLoyaltyConfig();
+	if (!config.enabled || !customerId) {
+		return 0;
+	}
+
+	const points = Math.floor(Number(amount || 0) * config.earnRate);
+	if (points <= 0) {
+		return 0;
+	}
+
+	await postEntry({
+		customerId,
+		type: 'earn',
+		points,
+		remaining: points,
+		expiresAt: resolveExpiry(config),
+		orderId,
+		createdBy: userId || undefined,
+	}, session);
+	return points;
+};
+
+/*
+ Takes back points earned on an order. Points the customer has already
+ spent cannot be recovered, so at most the current balance is debited.
+*/
+const reverseEarnedPoints = async ({ customerId, points, orderId, returnId, userId, note }, session) => {
+	if (!customerId || points <= 0) {
+		return 0;
+	}
+
+	const customer = await Customer.findById(customerId).select({ loyaltyPoints: 1 }).session(session).lean();
+	const take = Math.min(points, customer?.loyaltyPoints || 0);
+	if (take <= 0) {
+		return 0;
+	}
+
+	await postEntry({
+		customerId,
+		type: 'reverse_earn',
+		points: -take,
+		orderId,
+		returnId,
+		note,
+		createdBy: userId || undefined,
+	}, session);
+	await consumeCredits(customerId, take, session, { orderId });
+	return take;
+};
+
+/*
+ Steps for unwinding loyalty on a cancelled order:
+	 1. Take back the earned points not already reversed by returns
+	 2. Give back any points redeemed on the order as a fresh credit
+	 3. Record both on order.loyalty (caller saves the order)
+*/
+const reverseOrderLoyalty = async (order, userId, session) => {
+	const loyalty = order.loyalty || {};
+	if (!order.customerId || (!loyalty.pointsEarned && !loyalty.pointsRedeemed)) {
+		return;
+	}
+
+	const outstanding = (loyalty.pointsEarned || 0) - (loyalty.pointsReversed || 0);
+	if (outstanding > 0) {
+		await reverseEarnedPoints({
+			customerId: order.customerId,
+			points: outstanding,
+			orderId: order._id,
+			userId,
+			note: `cancel:${order.orderNumber}`,
+		}, session);
+		order.loyalty.pointsReversed = loyalty.pointsEarned;
+	}
+
+	if (loyalty.pointsRedeemed > 0) {
+		const config = await getLoyaltyConfig();
+		await postEntry({
+			customerId: order.customerId,
+			type: 'reverse_redeem',
+			points: loyalty.pointsRedeemed,
+			remaining: loyalty.pointsRedeemed,
+			expiresAt: resolveExpiry(config),
+			orderId: order._id,
+			note: `cancel:${order.orderNumber}`,
+			createdBy: userId || undefined,
+		}, session);
+	}
+};
+
+/*
+ Reverses the share of earned points matching the order's refunds so far.
+ Works on the running refund total so repeated partial returns never
+ reverse more than was earned. Call after order.refundTotal is updated.
+*/
+const reverseReturnLoyalty = async (order, returnId, userId, session) => {
+	const loyalty = order.loyalty || {};
+	if (!order.customerId || !loyalty.pointsEarned || !(order.total > 0)) {
+		return;
+	}
+
+	const refundedShare = Math.min((order.refundTotal || 0) / order.total, 1);
+	const target = Math.floor(loyalty.pointsEarned * refundedShare);
+	const points = target - (loyalty.pointsReversed || 0);
+	if (points <= 0) {
+		return;
+	}
+
+	await reverseEarnedPoints({
+		customerId: order.customerId,
+		points,
+		orderId: order._id,
+		returnId,
+		userId,
+		note: `return:${order.orderNumber}`,
+	}, session);
+	order.loyalty.pointsReversed = target;
+};
+
+/*
+ Lapses unspent points whose expiry has passed. Each credit entry is
+ expired in its own transaction so one bad entry does not block the rest.
+*/
+const expirePoints = async (now = new Date()) => {
+	const due = await LoyaltyTransaction.find({
+		type: { $in: CREDIT_TYPES },
+		remaining: { $gt: 0 },
+		expiresAt: { $lte: now },
+	})
+		.select({ _id: 1 })
+		.limit(500)
+		.lean();
+
+	let expired = 0;
+	for (const { _id } of due) {
+		const session = await mongoose.startSession();
+		session.startTransaction();
+		try {
+			const credit = await LoyaltyTransaction.findOne({ _id, remaining: { $gt: 0 } }).session(session);
+			if (!credit) {
+				await session.abortTransaction();
+				continue;
+			}
+
+			const customer = await Customer.findById(credit.customerId)
+				.select({ loyaltyPoints: 1 })
+				.session(session)
+				.lean();
+			const points = Math.min(credit.remaining, customer?.loyaltyPoints || 0);
+			credit.remaining = 0;
+			await credit.save({ session });
+
+			if (points > 0) {
+				await postEntry({
+					customerId: credit.customerId,
+					type: 'expire',
+					points: -points,
+					orderId: credit.orderId,
+					note: `expired credit ${credit._id}`,
+				}, session);
+			}
+
+			await session.commitTransaction();
+			expired += points;
+		} catch (error) {
+			await session.abortTransaction();
+			logger.error({ err: error, creditId: _id }, 'Failed to expire loyalty points');
+		} finally {
+			session.endSession();
+		}
+	}
+
+	return { expired };
+};
+
+const getLedger = async (customerId, options = {}) => {
+	if (!mongoose.Types.ObjectId.isValid(customerId)) {
+		throw createValidationError('Invalid customer id');
+	}
+
+	const customer = await Customer.findById(customerId).select({ loyaltyPoints: 1 }).lean();
+	if (!customer) {
+		throw createHttpError('Customer not found', 404, errorCodes.CUSTOMER_NOT_FOUND);
+	}
+
+	const page = normalizePositiveInt(options.page, 1);
+	const rawLimit = normalizePositiveInt(options.limit, 20);
+	const limit = Math.min(rawLimit, MAX_PAGE_SIZE);
+	const skip = (page - 1) * limit;
+	const filters = { customerId: customer._id };
+
+	const [entries, total] = await Promise.all([
+		LoyaltyTransaction.find(filters).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+		LoyaltyTransaction.countDocuments(filters),
+	]);
+
+	return {
+		balance: customer.loyaltyPoints || 0,
+		data: entries,
+		total,
+		page,
+		limit,
+		totalPages: total > 0 ? Math.ceil(total / limit) : 0,
+	};
+};
+
+module.exports = {
+	redeemPoints,
+	earnPoints,
+	reverseOrderLoyalty,
+	reverseReturnLoyalty,
+	expirePoints,
+	getLedger,
+};
@@ -1,13 +1,42 @@
 const mongoose = require('mongoose');
 const Order = require('../models/order.model');
 const Sku = require('../models/sku.model');
+const Product = require('../models/product.model');
+const Quote = require('../models/quote.model');
 const skuService = require('./sku.service');
+const settingsService = require('./settings.service');
+const couponService = require('./coupon.service');
+const taxService = require('./tax.service');
+const paymentService = require('./payment.service');
+const shiftService = require('./shift.service');
+const locationService = require('./location.service');
+const invoiceNumberService = require('./invoiceNumber.service');
+const customerService = require('./customer.service');
+const loyaltyService = require('./loyalty.service');
+const giftCardService = require('./giftCard.service');
+const authService = require('./auth.service');
 const generateOrderNumber = require('../utils/generateOrderNumber');
 const { createHttpError } = require('../utils/httpError');
 const errorCodes = require('../constants/errorCodes');
+const logger = require('../utils/logger');
 
 const MAX_PAGE_SIZE = 100;
-const VALID_STATUSES = new Set(['pending', 'completed', 'cancelled']);
+const VALID_STATUSES = new Set(['pending', 'completed', 'cancelled', 'expired']);
+const CREATE_STATUSES = new Set(['pending', 'completed']);
+const DEFAULT_PENDING_TTL_MINUTES = 30;
+const DISCOUNT_TYPES = new Set(['percent', 'fixed']);
+// Matches the settings schema defaults, which lean reads of older settings documents lack
+const DEFAULT_LINE_DISCOUNT_CAPS = { staff: 10, manager: 50, admin: 100 };
+const APPROVER_ROLES = new Set(['admin', 'manager']);
+const MAX_SYNC_BATCH = 200;
+// Offline clocks drift; timestamps slightly ahead of the server are accepted
+const SYNC_CLOCK_SKEW_MS = 5 * 60 * 1000;
+// Order failures that stem from state changing while the counter was offline
+const SYNC_CONFLICT_CODES = new Set([
+	errorCodes.INSUFFICIENT_STOCK,
+	errorCodes.SKU_NOT_FOUND,
+	errorCodes.INVALID_COUPON,
+]);
 
 const createValidationError = (message, code = errorCodes.INVALID_INPUT, details) =>
 	createHttpError(message, 400, code, details);
@@ -31,32 +60,47 @@ const parseDateInput = (value, label) => {
 	return date;
 };
 
+const roundCurrency = (value) => Math.round(Number(value || 0) * 100) / 100;
+
 /*
  Steps for transactional order creation:
 
- 1. Start MongoDB session and transaction
+ 1. Start MongoDB session and transaction; link the order to a Customer
+    (by customerId, or by phone, creating the customer on first purchase)
 
  2. Validate all items:
 	 - SKU exists
 	 - quantity > 0
-	 - check stock availability
+	 - check available stock (on-hand minus reserved) at the order's location
+	   (data.locationId, else the default location)
 
  3. For each order item:
-	 - Deduct stock (use skuService.adjustStock WITH session)
-	 - Create StockHistory entry inside transaction
+	 - completed: deduct stock (use skuService.adjustStock WITH session)
+	   and create StockHistory entry inside transaction
+	 - pending: reserve stock (skuService.reserveStock) until the order is
+	   completed, cancelled or expires after the configured TTL
 
  4. Calculate totals:
-	 - subTotal
-	 - tax
+	 - manual line discounts (capped per role via Settings)
+	 - coupon discount spread over the eligible lines
+	 - subTotal (net of discounts)
+	 - tax per line from the product/category tax class in Settings,
+	   backed out of the price when prices are entered tax-inclusive
+	   (a flat tax or taxRate in the payload overrides the rules)
 	 - total
 
- 5. Generate orderNumber (use generateOrderNumber util)
+ 5. Settle the payments (split tender, change due for cash) when provided,
+    debiting gift card / store credit tenders in the same transaction
+
+ 6. Generate orderNumber (use generateOrderNumber util) as the internal
+    reference; completed sales also draw the next invoiceNumber from the
+    fiscal-year counter inside the transaction
  
- 6. Save order inside transaction
+ 7. Save order inside transaction
 
- 7. Commit transaction
+ 8. Commit transaction
 
- 8. Return order
+ 9. Return order
 
   On any error:
 	 - Abort transaction
@@ -65,8 +109,8 @@ const parseDateInput = (value, label) => {
 
 /*
  Dashboard report helpers:
-	 - getSalesSummary({ from, to }) -> totals + averages via aggregation
-	 - getTopSelling({ from, to, limit }) -> group by SKU quantities
+	 - getSalesSummary({ from, to }) -> totals + averages via aggregation, net of returns
+	 - getTopSelling({ from, to, limit }) -> group by SKU quantities, net of returns
 	 - getDailySalesTrend({ from, to }) -> date-based rollups for charts
 */
 const sanitizeCustomer = (customer = {}) => ({
@@ -99,16 +143,384 @@ const cloneAttributes = (attributes) => {
 	return undefined;
 };
 
-const createOrder = async (data, userId) => {
+const resolveCreateStatus = (value) => {
+	if (value == null) {
+		return 'completed';
+	}
+	const status = String(value).trim().toLowerCase();
+	if (!CREATE_STATUSES.has(status)) {
+		throw createValidationError('status must be either pending or completed');
+	}
+	return status;
+};
+
+const getPendingOrderTtlMinutes = async () => {
+	const settings = await settingsService.getSettings();
+	const ttl = Number(settings?.pendingOrderTtlMinutes);
+	return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_PENDING_TTL_MINUTES;
+};
+
+const releaseOrderReservations = async (order, session) => {
+	for (const item of order.items) {
+		await skuService.releaseReservation(item.skuId, item.quantity, session, order.locationId);
+	}
+};
+
+// Takes a completed sale's lines out of stock and fixes their cost of goods sold
+const deductOrderStock = async (order, userId, session) => {
+	let cogsTotal = 0;
+	for (const item of order.items) {
+		const { cost } = await skuService.adjustStock(
+			item.skuId,
+			-item.quantity,
+			`order:${order.orderNumber}`,
+			userId,
+			session,
+			{ referenceOrderId: order._id, locationId: order.locationId }
+		);
+		// Units without a cost basis leave unitCost unset; a line sold entirely from
+		// them has no cogs either, so it is reported as uncosted
+		item.unitCost = cost.unitCost ?? undefined;
+		item.cogs = cost.unitCost != null || cost.value > 0 ? cost.value : undefined;
+		cogsTotal += cost.value;
+	}
+	order.cogsTotal = roundCurrency(cogsTotal);
+};
+
+const getLineDiscountCap = async (role) => {
+	const settings = await settingsService.getSettings();
+	const normalizedRole = typeof role === 'string' ? role.toLowerCase() : 'staff';
+	const stored = settings?.maxLineDiscountPercent?.[normalizedRole];
+	const cap = stored == null ? NaN : Number(stored);
+	if (Number.isFinite(cap)) {
+		return cap;
+	}
+	return DEFAULT_LINE_DISCOUNT_CAPS[normalizedRole] ?? DEFAULT_LINE_DISCOUNT_CAPS.staff;
+};
+
+const getOverrideApprovalPercent = async () => {
+	const settings = await settingsService.getSettings();
+	const percent = Number(settings?.priceOverrideApprovalPercent);
+	return Number.isFinite(percent) ? percent : 0;
+};
+
+/*
+ Validates a manual unitPrice on an order line. A reason is always required;
+ prices more than approvalPercent below the SKU price are flagged so the
+ caller can demand a manager's approval. Returns null when the price is unchanged.
+*/
+const resolvePriceOverride = (item, sku, approvalPercent, userId) => {
+	if (item.unitPrice == null) {
+		return null;
+	}
+
+	const unitPrice = Number(item.unitPrice);
+	if (!Number.isFinite(unitPrice) || unitPrice < 0) {
+		throw createValidationError('unitPrice must be a non-negative number');
+	}
+	const price = roundCurrency(unitPrice);
+	if (price === sku.price) {
+		return null;
+	}
+
+	const reason = typeof item.overrideReason === 'string' ? item.overrideReason.trim() : '';
+	if (!reason) {
+		throw createValidationError(`overrideReason is required to change the price of SKU ${sku.sku}`);
+	}
+
+	const floor = roundCurrency(sku.price * (1 - approvalPercent / 100));
+	return {
+		unitPrice: price,
+		needsApproval: price < floor,
+		record: { listPrice: sku.price, reason, overriddenBy: userId || undefined },
+	};
+};
+
+// Managers and admins approve their own overrides; staff need an approver's credentials
+const approvePriceOverrides = async (lines, approval, userId, role) => {
+	if (lines.length === 0) {
+		return;
+	}
+
+	let approverId = APPROVER_ROLES.has(role) ? userId : null;
+	if (!approverId) {
+		if (!approval) {
+			throw createHttpError(
+				`Price overrides on ${lines.map((line) => line.sku).join(', ')} need a manager's approval`,
+				403,
+				errorCodes.PRICE_OVERRIDE_APPROVAL_REQUIRED,
+				{ skus: lines.map((line) => line.sku) }
+			);
+		}
+		const approver = await authService.verifyApprover(approval);
+		approverId = approver._id;
+	}
+
+	lines.forEach((line) => {
+		line.priceOverride.approvedBy = approverId || undefined;
+	});
+};
+
+/*
+ Resolves a manual line discount ({ type, value, reason }) into an amount and
+ enforces the caller's role cap, expressed as a percent of the gross line.
+*/
+const resolveLineDiscount = (discount, grossTotal, capPercent, skuCode) => {
+	if (!discount) {
+		return null;
+	}
+
+	const type = typeof discount.type === 'string' ? discount.type.trim().toLowerCase() : '';
+	if (!DISCOUNT_TYPES.has(type)) {
+		throw createValidationError('discount.type must be either percent or fixed');
+	}
+
+	const value = Number(discount.value);
+	if (!Number.isFinite(value) || value < 0) {
+		throw createValidationError('discount.value must be a non-negative number');
+	}
+
+	const amount = roundCurrency(type === 'percent' ? (grossTotal * value) / 100 : value);
+	if (amount > grossTotal) {
+		throw createValidationError(`Discount for SKU ${skuCode} exceeds the line amount`);
+	}
+
+	const percentOfLine = grossTotal > 0 ? (amount / grossTotal) * 100 : 0;
+	if (percentOfLine > capPercent + 1e-9) {
+		throw createHttpError(
+			`Discount for SKU ${skuCode} exceeds the ${capPercent}% allowed for your role`,
+			403,
+			errorCodes.DISCOUNT_LIMIT_EXCEEDED
+		);
+	}
+
+	if (amount === 0) {
+		return null;
+	}
+
+	return {
+		source: 'line',
+		type,
+		value,
+		amount,
+		reason: typeof discount.reason === 'string' ? discount.reason.trim() : undefined,
+	};
+};
+
+/*
+ Taxes each prepared line with the rate of its tax class. With tax-inclusive
+ pricing the discounted line amount contains the tax, so lineTotal is reduced
+ to the taxable amount; otherwise tax is added on top.
+*/
+const applyLineTaxes = async (preparedItems, session) => {
+	const context = await taxService.loadTaxContext();
+	const productIds = [...new Set(preparedItems.map((item) => item.productId.toString()))];
+	const products = await Product.find({ _id: { $in: productIds } })
+		.select({ category: 1, taxClass: 1 })
+		.session(session)
+		.lean();
+	const productById = new Map(products.map((product) => [product._id.toString(), product]));
+
+	let tax = 0;
+	preparedItems.forEach((item) => {
+		const taxClass = taxService.resolveTaxClass(context, productById.get(item.productId.toString()));
+		const rate = taxClass ? taxClass.rate : 0;
+		const { taxableAmount, taxAmount } = taxService.computeLineTax(
+			item.lineTotal,
+			rate,
+			context.pricesIncludeTax
+		);
+
+		item.taxClass = taxClass ? taxClass.code : undefined;
+		item.taxRate = rate;
+		item.taxAmount = taxAmount;
+		item.lineTotal = taxableAmount;
+		tax += taxAmount;
+	});
+
+	return { tax: roundCurrency(tax), pricesIncludeTax: context.pricesIncludeTax };
+};
+
+const loadLineSku = async (item, session) => {
+	if (!item || !item.skuId) {
+		throw createHttpError('Each order item must include skuId', 400, errorCodes.INVALID_INPUT);
+	}
+
+	const quantity = toPositiveInteger(item.quantity);
+	const sku = await Sku.findById(item.skuId).session(session);
+
+	if (!sku) {
+		throw createHttpError('SKU not found', 404, errorCodes.SKU_NOT_FOUND);
+	}
+
+	return { sku, quantity };
+};
+
+// Builds a priced line at unitPrice with its manual discount; shared by orders and quotes
+const prepareLine = (item, sku, quantity, discountCap, unitPrice) => {
+	const grossTotal = roundCurrency(quantity * unitPrice);
+	const lineDiscount = resolveLineDiscount(item.discount, grossTotal, discountCap, sku.sku);
+	const discounts = lineDiscount ? [lineDiscount] : [];
+	const discountTotal = lineDiscount ? lineDiscount.amount : 0;
+
+	return {
+		skuId: sku._id,
+		productId: sku.productId,
+		sku: sku.sku,
+		quantity,
+		unitPrice,
+		grossTotal,
+		discounts,
+		discountTotal,
+		lineTotal: roundCurrency(grossTotal - discountTotal),
+		attributes: cloneAttributes(sku.attributes),
+	};
+};
+
+/*
+ Prices items the way createOrder would (current SKU prices, manual line
+ discounts within the role cap, line taxes) without touching stock.
+ Used to build quotes.
+*/
+const priceItems = async (items, options = {}) => {
+	if (!Array.isArray(items) || items.length === 0) {
+		throw createHttpError('Items are required', 400, errorCodes.INVALID_INPUT);
+	}
+
+	const hasLineDiscounts = items.some((item) => item && item.discount);
+	const discountCap = hasLineDiscounts ? await getLineDiscountCap(options.role) : 0;
+
+	const preparedItems = [];
+	for (const item of items) {
+		const { sku, quantity } = await loadLineSku(item, null);
+		preparedItems.push(prepareLine(item, sku, quantity, discountCap, sku.price));
+	}
+
+	const grossTotal = preparedItems.reduce((sum, item) => sum + item.grossTotal, 0);
+	const discountTotal = preparedItems.reduce((sum, item) => sum + item.discountTotal, 0);
+	const { tax, pricesIncludeTax } = await applyLineTaxes(preparedItems, null);
+	const subTotal = preparedItems.reduce((sum, item) => sum + item.lineTotal, 0);
+
+	const discounts = discountTotal > 0 ? [{ source: 'line', amount: roundCurrency(discountTotal) }] : undefined;
+
+	return {
+		items: preparedItems,
+		grossTotal: roundCurrency(grossTotal),
+		discounts,
+		discountTotal: roundCurrency(discountTotal),
+		subTotal: roundCurrency(subTotal),
+		tax,
+		taxSummary: taxService.summarizeTax(preparedItems),
+		pricesIncludeTax,
+		total: roundCurrency(subTotal + tax),
+	};
+};
+
+// Spreads an order-level discount over the lines by net amount; the last line absorbs rounding
+const spreadDiscount = (items, amount, entry) => {
+	const basketTotal = items.reduce((sum, item) => sum + item.lineTotal, 0);
+	if (!(amount > 0) || basketTotal <= 0) {
+		return;
+	}
+
+	const weighted = items.filter((item) => item.lineTotal > 0);
+	let allocated = 0;
+	weighted.forEach((item, position) => {
+		const share = position === weighted.length - 1
+			? roundCurrency(amount - allocated)
+			: roundCurrency((amount * item.lineTotal) / basketTotal);
+		allocated = roundCurrency(allocated + share);
+		if (!share) return;
+		item.discounts.push({ ...entry, amount: share });
+		item.discountTotal = roundCurrency(item.discountTotal + share);
+		item.lineTotal = roundCurrency(item.grossTotal - item.discountTotal);
+	});
+};
+
+const awardLoyaltyPoints = async (order, userId, session) => {
+	if (!order.customerId) {
+		return;
+	}
+	const earned = await loyaltyService.earnPoints({
+		customerId: order.customerId,
+		amount: order.total,
+		orderId: order._id,
+		userId,
+	}, session);
+	if (earned > 0) {
+		order.set('loyalty.pointsEarned', earned);
+	}
+};
+
+// Settles the tenders and debits any gift card / store credit inside the order transaction
+const applyPayments = async (order, payments, userId, session) => {
+	const { payments: settled, amountPaid, changeDue } = paymentService.settlePayments(payments, order.total);
+
+	for (const payment of settled) {
+		if (!paymentService.STORED_VALUE_METHODS.has(payment.method)) continue;
+		await giftCardService.redeemGiftCard({
+			code: payment.reference,
+			amount: payment.amount,
+			method: payment.method,
+			orderId: order._id,
+			userId,
+		}, session);
+	}
+
+	order.payments = settled;
+	order.amountPaid = amountPaid;
+	order.changeDue = changeDue;
+};
+
+// Credits gift card / store credit tenders back when their order is voided
+const refundStoredValuePayments = async (order, userId, session) => {
+	for (const payment of order.payments || []) {
+		if (!paymentService.STORED_VALUE_METHODS.has(payment.method) || !payment.reference) continue;
+		const card = await giftCardService.refundToGiftCard({
+			code: payment.reference,
+			amount: payment.amount,
+			orderId: order._id,
+			userId,
+			note: `cancel:${order.orderNumber}`,
+		}, session);
+		if (card.code !== payment.reference) {
+			payment.refundedTo = card.code;
+		}
+	}
+};
+
+// Marks a quote accepted by this order in the same transaction, so a quote converts at most once
+const claimQuote = async (quoteId, orderDoc, session) => {
+	const quote = await Quote.findOneAndUpdate(
+		{ _id: quoteId, status: { $in: ['draft', 'sent'] }, convertedOrderId: { $exists: false } },
+		{ status: 'accepted', acceptedAt: new Date(), convertedOrderId: orderDoc._id },
+		{ new: true, session }
+	).lean();
+	if (!quote) {
+		throw createHttpError('Quote has already been converted or is no longer open', 409, errorCodes.QUOTE_NOT_CONVERTIBLE);
+	}
+	orderDoc.quoteId = quote._id;
+};
+
+const createOrder = async (data, userId, options = {}) => {
 	if (!data || !Array.isArray(data.items) || data.items.length === 0) {
 		throw createHttpError('Order items are required', 400, errorCodes.INVALID_INPUT);
 	}
 
+	const status = resolveCreateStatus(data.status);
+	const ttlMinutes = status === 'pending' ? await getPendingOrderTtlMinutes() : null;
+	const hasLineDiscounts = data.items.some((item) => item && item.discount);
+	const discountCap = hasLineDiscounts ? await getLineDiscountCap(options.role) : 0;
+	const hasPriceOverrides = data.items.some((item) => item && item.unitPrice != null);
+	const overrideApprovalPercent = hasPriceOverrides ? await getOverrideApprovalPercent() : 0;
+
 	const session = await mongoose.startSession();
 	session.startTransaction();
 
 	try {
 		const orderNumber = generateOrderNumber();
+		const shiftId = await shiftService.findOpenShiftId(data.register, session);
+		const locationId = await locationService.resolveLocationId(data.locationId, session);
 		const orderDoc = new Order({
 			orderNumber,
 			customer: sanitizeCustomer(data.customer),
@@ -116,27 +528,39 @@ const createOrder = async (data, userId) => {
 			subTotal: 0,
 			tax: 0,
 			total: 0,
-			status: 'completed',
+			status,
+			shiftId,
+			locationId,
 			createdBy: userId || undefined,
 			metadata: data.metadata,
 		});
 
-		let subTotal = 0;
-		const preparedItems = [];
+		const linkedCustomer = await customerService.resolveOrderCustomer(data, userId, session);
+		if (linkedCustomer) {
+			orderDoc.customerId = linkedCustomer._id;
+			orderDoc.customer = {
+				name: data.customer?.name ? orderDoc.customer.name : linkedCustomer.name,
+				phone: linkedCustomer.phone,
+				email: orderDoc.customer.email || linkedCustomer.email,
+			};
+		}
 
-		for (const item of data.items) {
-			if (!item || !item.skuId) {
-				throw createHttpError('Each order item must include skuId', 400, errorCodes.INVALID_INPUT);
-			}
+		if (options.clientId) {
+			orderDoc.clientId = options.clientId;
+			orderDoc.syncedAt = new Date();
+		}
+		if (options.createdAt) {
+			orderDoc.createdAt = options.createdAt;
+		}
 
-			const quantity = toPositiveInteger(item.quantity);
-			const sku = await Sku.findById(item.skuId).session(session);
+		const preparedItems = [];
+		const overridesNeedingApproval = [];
 
-			if (!sku) {
-				throw createHttpError('SKU not found', 404, errorCodes.SKU_NOT_FOUND);
-			}
+		for (const item of data.items) {
+			const { sku, quantity } = await loadLineSku(item, session);
 
-			if (sku.stock < quantity) {
+			const available = await skuService.getAvailableStock(sku, locationId, session);
+			if (available < quantity) {
 				throw createHttpError(
 					`Insufficient stock for SKU ${sku.sku}`,
 					400,
@@ -144,20 +568,88 @@ const createOrder = async (data, userId) => {
 				);
 			}
 
-			const lineTotal = quantity * sku.price;
-			subTotal += lineTotal;
-
-			preparedItems.push({
-				skuId: sku._id,
-				productId: sku.productId,
-				sku: sku.sku,
-				quantity,
-				unitPrice: sku.price,
-				lineTotal,
-				attributes: cloneAttributes(sku.attributes),
+			const lockedPrice = options.lockedPrices?.get(sku._id.toString());
+			const override = lockedPrice == null
+				? resolvePriceOverride(item, sku, overrideApprovalPercent, userId)
+				: null;
+			const line = prepareLine(item, sku, quantity, discountCap, lockedPrice ?? override?.unitPrice ?? sku.price);
+			if (override) {
+				line.priceOverride = override.record;
+				if (override.needsApproval) {
+					overridesNeedingApproval.push(line);
+				}
+			}
+			preparedItems.push(line);
+		}
+
+		await approvePriceOverrides(overridesNeedingApproval, data.overrideApproval, userId, options.role);
+
+		const orderDiscounts = [];
+		const lineDiscountTotal = preparedItems.reduce((sum, item) => sum + item.discountTotal, 0);
+		if (lineDiscountTotal > 0) {
+			orderDiscounts.push({ source: 'line', amount: roundCurrency(lineDiscountTotal) });
+		}
+
+		if (data.couponCode) {
+			const { coupon, amount, allocations } = await couponService.applyCoupon(
+				data.couponCode,
+				preparedItems.map((item) => ({ productId: item.productId, netTotal: item.lineTotal })),
+				session
+			);
+
+			preparedItems.forEach((item, index) => {
+				const share = allocations[index];
+				if (!share) return;
+				item.discounts.push({
+					source: 'coupon',
+					couponId: coupon._id,
+					code: coupon.code,
+					type: coupon.type,
+					value: coupon.value,
+					amount: share,
+				});
+				item.discountTotal = roundCurrency(item.discountTotal + share);
+				item.lineTotal = roundCurrency(item.grossTotal - item.discountTotal);
 			});
+
+			orderDiscounts.push({
+				source: 'coupon',
+				couponId: coupon._id,
+				code: coupon.code,
+				type: coupon.type,
+				value: coupon.value,
+				amount,
+			});
+			orderDoc.couponId = coupon._id;
+		}
+
+		if (data.redeemPoints != null) {
+			if (status === 'pending') {
+				throw createValidationError('Loyalty points can only be redeemed on completed sales');
+			}
+			if (!orderDoc.customerId) {
+				throw createValidationError('Redeeming loyalty points requires a customer');
+			}
+
+			const redemption = await loyaltyService.redeemPoints({
+				customerId: orderDoc.customerId,
+				points: data.redeemPoints,
+				basketTotal: preparedItems.reduce((sum, item) => sum + item.lineTotal, 0),
+				orderId: orderDoc._id,
+				userId,
+			}, session);
+
+			const entry = { source: 'loyalty', value: redemption.points };
+			spreadDiscount(preparedItems, redemption.value, entry);
+			orderDiscounts.push({ ...entry, amount: redemption.value });
+			orderDoc.set('loyalty.pointsRedeemed', redemption.points);
+			orderDoc.set('loyalty.redeemedValue', redemption.value);
 		}
 
+		const grossTotal = preparedItems.reduce((sum, item) => sum + item.grossTotal, 0);
+		const discountTotal = preparedItems.reduce((sum, item) => sum + item.discountTotal, 0);
+		let subTotal = preparedItems.reduce((sum, item) => sum + item.lineTotal, 0);
+
 		let tax = 0;
 		if (data.tax != null) {
 			const providedTax = Number(data.tax);
@@ -171,24 +663,45 @@ const createOrder = async (data, userId) => {
 				throw createHttpError('taxRate must be a non-negative number', 400, errorCodes.INVALID_INPUT);
 			}
 			tax = Number((subTotal * taxRate).toFixed(2));
+		} else {
+			const lineTaxes = await applyLineTaxes(preparedItems, session);
+			tax = lineTaxes.tax;
+			subTotal = preparedItems.reduce((sum, item) => sum + item.lineTotal, 0);
+			orderDoc.taxSummary = taxService.summarizeTax(preparedItems);
+			orderDoc.pricesIncludeTax = lineTaxes.pricesIncludeTax;
 		}
 
 		const total = subTotal + tax;
 
 		orderDoc.items = preparedItems;
+		orderDoc.grossTotal = roundCurrency(grossTotal);
+		orderDoc.discounts = orderDiscounts;
+		orderDoc.discountTotal = roundCurrency(discountTotal);
 		orderDoc.subTotal = Number(subTotal.toFixed(2));
 		orderDoc.tax = Number(tax.toFixed(2));
 		orderDoc.total = Number(total.toFixed(2));
 
-		for (const item of preparedItems) {
-			await skuService.adjustStock(
-				item.skuId,
-				-item.quantity,
-				`order:${orderNumber}`,
-				userId,
-				session,
-				{ referenceOrderId: orderDoc._id }
-			);
+		if (data.payments != null) {
+			if (status === 'pending') {
+				throw createValidationError('Payments are recorded when a pending order is completed');
+			}
+			await applyPayments(orderDoc, data.payments, userId, session);
+		}
+
+		if (status === 'pending') {
+			for (const item of preparedItems) {
+				await skuService.reserveStock(item.skuId, item.quantity, session, locationId);
+			}
+			orderDoc.expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+		} else {
+			await deductOrderStock(orderDoc, userId, session);
+			orderDoc.completedAt = options.createdAt || new Date();
+			Object.assign(orderDoc, await invoiceNumberService.nextInvoiceNumber(session, orderDoc.completedAt));
+			await awardLoyaltyPoints(orderDoc, userId, session);
+		}
+
+		if (options.quoteId) {
+			await claimQuote(options.quoteId, orderDoc, session);
 		}
 
 		await orderDoc.save({ session });
@@ -204,6 +717,113 @@ const createOrder = async (data, userId) => {
 	}
 };
 
+const toSyncResult = (clientId, order, status) => ({
+	clientId,
+	status,
+	orderId: order._id,
+	orderNumber: order.orderNumber,
+	invoiceNumber: order.invoiceNumber,
+	total: order.total,
+});
+
+const findSyncedOrder = (clientId) =>
+	Order.findOne({ clientId })
+		.select({ orderNumber: 1, invoiceNumber: 1, total: 1 })
+		.lean();
+
+const parseSyncTimestamp = (value) => {
+	if (value == null) {
+		return new Date();
+	}
+	const date = new Date(value);
+	if (Number.isNaN(date.getTime())) {
+		throw createValidationError('createdAt must be a valid date');
+	}
+	if (date.getTime() > Date.now() + SYNC_CLOCK_SKEW_MS) {
+		throw createValidationError('createdAt cannot be in the future');
+	}
+	return date;
+};
+
+/*
+ Steps for syncing orders captured while a counter was offline:
+	 1. Walk the batch in the order the client sent it, one order per transaction
+	 2. Skip orders whose clientId was already synced, returning the stored order,
+	    so a client can resend a batch after losing the response
+	 3. Create the rest as completed sales through createOrder, keeping the
+	    client's createdAt so analytics land on the day the sale happened
+	 4. Report each order's outcome instead of failing the whole batch:
+	    created, duplicate, conflict (stock, SKU or coupon state changed while
+	    offline), rejected (invalid payload) or failed (server error)
+*/
+const syncOrders = async (orders, userId, options = {}) => {
+	if (!Array.isArray(orders) || orders.length === 0) {
+		throw createValidationError('orders must be a non-empty array');
+	}
+	if (orders.length > MAX_SYNC_BATCH) {
+		throw createValidationError(`A sync batch can hold at most ${MAX_SYNC_BATCH} orders`);
+	}
+
+	const results = [];
+
+	for (const entry of orders) {
+		const clientId = typeof entry?.clientId === 'string' ? entry.clientId.trim() : '';
+
+		try {
+			if (!clientId) {
+				throw createValidationError('clientId is required');
+			}
+
+			const existing = await findSyncedOrder(clientId);
+			if (existing) {
+				results.push(toSyncResult(clientId, existing, 'duplicate'));
+				continue;
+			}
+
+			const createdAt = parseSyncTimestamp(entry.createdAt);
+			const order = await createOrder(
+				{ ...entry, status: 'completed' },
+				userId,
+				{ ...options, clientId, createdAt }
+			);
+			results.push(toSyncResult(clientId, order, 'created'));
+		} catch (error) {
+			if (error?.code === 11000 && clientId) {
+				const existing = await findSyncedOrder(clientId);
+				if (existing) {
+					results.push(toSyncResult(clientId, existing, 'duplicate'));
+					continue;
+				}
+			}
+
+			const isInvalidPayload = error?.name === 'CastError' || error?.name === 'ValidationError';
+			const statusCode = error.statusCode || (isInvalidPayload ? 400 : 500);
+			let status = 'failed';
+			if (statusCode < 500) {
+				status = SYNC_CONFLICT_CODES.has(error.code) ? 'conflict' : 'rejected';
+			} else {
+				logger.error({ err: error, clientId }, 'Failed to sync offline order');
+			}
+
+			results.push({
+				clientId: clientId || undefined,
+				status,
+				error: {
+					code: statusCode < 500 ? error.code || errorCodes.INVALID_INPUT : errorCodes.SERVER_ERROR,
+					message: statusCode < 500 ? error.message : 'Internal server error',
+				},
+			});
+		}
+	}
+
+	const summary = results.reduce(
+		(acc, result) => ({ ...acc, [result.status]: acc[result.status] + 1 }),
+		{ created: 0, duplicate: 0, conflict: 0, rejected: 0, failed: 0 }
+	);
+
+	return { results, summary };
+};
+
 const listOrders = async (options = {}) => {
 	const page = normalizePositiveInt(options.page, 1);
 	const rawLimit = normalizePositiveInt(options.limit, 20);
@@ -276,7 +896,197 @@ const getOrderById = async (id) => {
 	return Order.findById(id).lean();
 };
 
-const roundCurrency = (value) => Math.round(Number(value || 0) * 100) / 100;
+/*
+ Steps for completing a pending (parked) order once payment is taken:
+	 1. Load the order inside a transaction and make sure it is still pending
+	    and has not passed its expiry
+	 2. Release each line's reservation and deduct the stock via
+	    skuService.adjustStock so StockHistory records the sale
+	 3. Settle the payments taken, if any, and flip the status to completed
+	 4. Issue the invoice number now, so parked carts never consume one
+*/
+const completeOrder = async (id, userId, data = {}) => {
+	if (!id) {
+		throw createValidationError('Order id is required');
+	}
+	if (!mongoose.Types.ObjectId.isValid(id)) {
+		throw createValidationError('Invalid order id');
+	}
+
+	const session = await mongoose.startSession();
+	session.startTransaction();
+
+	try {
+		const order = await Order.findById(id).session(session);
+		if (!order) {
+			throw createHttpError('Order not found', 404, errorCodes.ORDER_NOT_FOUND);
+		}
+
+		if (order.status !== 'pending') {
+			throw createHttpError(
+				`Cannot complete an order with status ${order.status}`,
+				409,
+				errorCodes.INVALID_ORDER_STATE
+			);
+		}
+
+		if (order.expiresAt && order.expiresAt <= new Date()) {
+			throw createHttpError('Pending order has expired', 409, errorCodes.ORDER_EXPIRED);
+		}
+
+		await releaseOrderReservations(order, session);
+		await deductOrderStock(order, userId, session);
+
+		if (data.payments != null) {
+			await applyPayments(order, data.payments, userId, session);
+		}
+
+		// The sale lands in the drawer that takes the payment, not the one that parked it
+		const shiftId = await shiftService.findOpenShiftId(data.register, session);
+		if (shiftId) {
+			order.shiftId = shiftId;
+		}
+
+		order.status = 'completed';
+		order.completedAt = new Date();
+		Object.assign(order, await invoiceNumberService.nextInvoiceNumber(session, order.completedAt));
+		await awardLoyaltyPoints(order, userId, session);
+		order.expiresAt = undefined;
+
+		await order.save({ session });
+		await session.commitTransaction();
+		return order.toObject();
+	} catch (error) {
+		await session.abortTransaction();
+		throw error;
+	} finally {
+		session.endSession();
+	}
+};
+
+/*
+ Releases the reservations of pending orders whose TTL has passed. Each order
+ is expired in its own transaction so one failure does not block the rest.
+*/
+const expirePendingOrders = async (now = new Date()) => {
+	const candidates = await Order.find({ status: 'pending', expiresAt: { $lte: now } })
+		.select({ _id: 1 })
+		.lean();
+
+	let expired = 0;
+	for (const candidate of candidates) {
+		const session = await mongoose.startSession();
+		session.startTransaction();
+
+		try {
+			const order = await Order.findById(candidate._id).session(session);
+			if (!order || order.status !== 'pending') {
+				await session.abortTransaction();
+				continue;
+			}
+
+			await releaseOrderReservations(order, session);
+			await couponService.releaseCouponUse(order.couponId, session);
+			order.status = 'expired';
+			await order.save({ session });
+			await session.commitTransaction();
+			expired += 1;
+		} catch (error) {
+			await session.abortTransaction();
+			logger.error({ err: error, orderId: candidate._id.toString() }, 'Failed to expire pending order');
+		} finally {
+			session.endSession();
+		}
+	}
+
+	return { expired };
+};
+
+/*
+ Steps for transactional order cancellation:
+	 1. Load the order inside a transaction
+	 2. Refuse orders that are already cancelled, expired or partly returned
+	 3. Completed orders: put every line's quantity back via skuService.adjustStock
+	    Pending orders: release the reserved stock
+	 4. Release the coupon use, unwind loyalty points and credit gift card /
+	    store credit tenders back to their cards
+	 5. Flip the status and record who cancelled it and why
+*/
+const cancelOrder = async (id, userId, options = {}) => {
+	if (!id) {
+		throw createValidationError('Order id is required');
+	}
+	if (!mongoose.Types.ObjectId.isValid(id)) {
+		throw createValidationError('Invalid order id');
+	}
+
+	const session = await mongoose.startSession();
+	session.startTransaction();
+
+	try {
+		const order = await Order.findById(id).session(session);
+		if (!order) {
+			throw createHttpError('Order not found', 404, errorCodes.ORDER_NOT_FOUND);
+		}
+
+		if (order.status === 'cancelled') {
+			throw createHttpError('Order is already cancelled', 409, errorCodes.ORDER_ALREADY_CANCELLED);
+		}
+
+		if (order.status !== 'completed' && order.status !== 'pending') {
+			throw createHttpError(
+				`Cannot cancel an order with status ${order.status}`,
+				409,
+				errorCodes.INVALID_ORDER_STATE
+			);
+		}
+
+		if (order.items.some((item) => (item.returnedQuantity || 0) > 0)) {
+			throw createHttpError(
+				'Orders with recorded returns cannot be cancelled',
+				409,
+				errorCodes.INVALID_ORDER_STATE
+			);
+		}
+
+		if (order.status === 'pending') {
+			await releaseOrderReservations(order, session);
+		} else {
+			for (const item of order.items) {
+				await skuService.adjustStock(
+					item.skuId,
+					item.quantity,
+					`cancel:${order.orderNumber}`,
+					userId,
+					session,
+					{ referenceOrderId: order._id, locationId: order.locationId, unitCost: item.unitCost ?? null }
+				);
+			}
+		}
+
+		await couponService.releaseCouponUse(order.couponId, session);
+		await loyaltyService.reverseOrderLoyalty(order, userId, session);
+		await refundStoredValuePayments(order, userId, session);
+
+		order.status = 'cancelled';
+		order.expiresAt = undefined;
+		order.cancelledAt = new Date();
+		order.cancelledBy = userId || undefined;
+		order.cancelShiftId = await shiftService.findOpenShiftId(options.register, session);
+		order.cancelReason = typeof options.reason === 'string' && options.reason.trim()
+			? options.reason.trim()
+			: undefined;
+
+		await order.save({ session });
+		await session.commitTransaction();
+		return order.toObject();
+	} catch (error) {
+		await session.abortTransaction();
+		throw error;
+	} finally {
+		session.endSession();
+	}
+};
 
 const getSalesSummary = async (options = {}) => {
 	const fromDate = parseDateInput(options.from, 'from');
@@ -305,7 +1115,11 @@ const getSalesSummary = async (options = {}) => {
 						$group: {
 							_id: null,
 							totalOrders: { $sum: 1 },
-							totalSales: { $sum: '$total' },
+							totalSales: {
+								$sum: { $subtract: ['$total', { $ifNull: ['$refundTotal', 0] }] },
+							},
+							totalRefunds: { $sum: { $ifNull: ['$refundTotal', 0] } },
+							totalDiscounts: { $sum: { $ifNull: ['$discountTotal', 0] } },
 						},
 					},
 				],
@@ -314,7 +1128,11 @@ const getSalesSummary = async (options = {}) => {
 					{
 						$group: {
 							_id: null,
-							totalUnitsSold: { $sum: '$items.quantity' },
+							totalUnitsSold: {
+								$sum: {
+									$subtract: ['$items.quantity', { $ifNull: ['$items.returnedQuantity', 0] }],
+								},
+							},
 						},
 					},
 				],
@@ -325,7 +1143,7 @@ const getSalesSummary = async (options = {}) => {
 				orderStats: {
 					$ifNull: [
 						{ $arrayElemAt: ['$orderStats', 0] },
-						{ totalOrders: 0, totalSales: 0 },
+						{ totalOrders: 0, totalSales: 0, totalRefunds: 0, totalDiscounts: 0 },
 					],
 				},
 				unitStats: {
@@ -340,6 +1158,8 @@ const getSalesSummary = async (options = {}) => {
 			$project: {
 				totalOrders: '$orderStats.totalOrders',
 				totalSales: '$orderStats.totalSales',
+				totalRefunds: '$orderStats.totalRefunds',
+				totalDiscounts: '$orderStats.totalDiscounts',
 				totalUnitsSold: '$unitStats.totalUnitsSold',
 			},
 		},
@@ -347,12 +1167,16 @@ const getSalesSummary = async (options = {}) => {
 
 	const totalOrders = result?.totalOrders || 0;
 	const totalSales = roundCurrency(result?.totalSales || 0);
+	const totalRefunds = roundCurrency(result?.totalRefunds || 0);
+	const totalDiscounts = roundCurrency(result?.totalDiscounts || 0);
 	const totalUnitsSold = result?.totalUnitsSold || 0;
 	const avgOrderValue = totalOrders > 0 ? roundCurrency(totalSales / totalOrders) : 0;
 
 	return {
 		totalOrders,
 		totalSales,
+		totalRefunds,
+		totalDiscounts,
 		totalUnitsSold,
 		avgOrderValue,
 	};
@@ -387,8 +1211,16 @@ const getTopSelling = async (options = {}) => {
 				_id: '$items.skuId',
 				productId: { $first: '$items.productId' },
 				skuCode: { $first: '$items.sku' },
-				totalQty: { $sum: '$items.quantity' },
-				totalSales: { $sum: '$items.lineTotal' },
+				totalQty: {
+					$sum: {
+						$subtract: ['$items.quantity', { $ifNull: ['$items.returnedQuantity', 0] }],
+					},
+				},
+				totalSales: {
+					$sum: {
+						$subtract: ['$items.lineTotal', { $ifNull: ['$items.returnedAmount', 0] }],
+					},
+				},
 			},
 		},
 		{ $sort: { totalQty: -1, totalSales: -1 } },
@@ -472,6 +1304,44 @@ const getTopSelling = async (options = {}) => {
 	}));
 };
 
+/*
+ Net units sold per SKU (sold less returned) across completed orders since
+ options.from. With a locationId only that location's sales count; orders
+ from before locations existed count towards the default location when
+ options.includeUnassigned is set.
+*/
+const getSkuSalesQuantities = async (options = {}) => {
+	const fromDate = parseDateInput(options.from, 'from');
+	const match = { status: 'completed' };
+	if (fromDate) {
+		match.createdAt = { $gte: fromDate };
+	}
+	if (options.locationId) {
+		match.locationId = options.includeUnassigned
+			? { $in: [options.locationId, null] }
+			: options.locationId;
+	}
+
+	const itemMatch = Array.isArray(options.skuIds) ? { 'items.skuId': { $in: options.skuIds } } : {};
+	const rows = await Order.aggregate([
+		{ $match: { ...match, ...itemMatch } },
+		{ $unwind: '$items' },
+		{ $match: itemMatch },
+		{
+			$group: {
+				_id: '$items.skuId',
+				quantity: {
+					$sum: {
+						$subtract: ['$items.quantity', { $ifNull: ['$items.returnedQuantity', 0] }],
+					},
+				},
+			},
+		},
+	]);
+
+	return new Map(rows.map((row) => [row._id.toString(), Math.max(row.quantity, 0)]));
+};
+
 const getDailySalesTrend = async (options = {}) => {
 	const fromDate = parseDateInput(options.from, 'from');
 	const toDate = parseDateInput(options.to, 'to');
@@ -584,12 +1454,324 @@ const getCategoryBreakdown = async (options = {}) => {
 	}));
 };
 
+/*
+ Till reconciliation: amounts applied to completed orders grouped by tender.
+ Cash is reported net of change given. Orders without recorded payments are
+ reported separately so they can be chased up.
+*/
+const getPaymentBreakdown = async (options = {}) => {
+	const fromDate = parseDateInput(options.from, 'from');
+	const toDate = parseDateInput(options.to, 'to');
+	if (fromDate && toDate && fromDate > toDate) {
+		throw createValidationError('from date must be earlier than or equal to to date');
+	}
+
+	const match = { status: 'completed' };
+	if (fromDate || toDate) {
+		match.createdAt = {};
+		if (fromDate) {
+			match.createdAt.$gte = fromDate;
+		}
+		if (toDate) {
+			match.createdAt.$lte = toDate;
+		}
+	}
+
+	const [result] = await Order.aggregate([
+		{ $match: match },
+		{
+			$facet: {
+				methods: [
+					{ $unwind: '$payments' },
+					{
+						$group: {
+							_id: '$payments.method',
+							transactions: { $sum: 1 },
+							orders: { $addToSet: '$_id' },
+							amount: { $sum: '$payments.amount' },
+							tendered: { $sum: { $ifNull: ['$payments.tendered', '$payments.amount'] } },
+						},
+					},
+					{
+						$project: {
+							_id: 0,
+							method: '$_id',
+							transactions: 1,
+							orders: { $size: '$orders' },
+							amount: 1,
+							tendered: 1,
+						},
+					},
+					{ $sort: { amount: -1 } },
+				],
+				unrecorded: [
+					{
+						$match: {
+							$or: [{ payments: { $exists: false } }, { payments: { $size: 0 } }],
+						},
+					},
+					{
+						$group: {
+							_id: null,
+							orders: { $sum: 1 },
+							amount: { $sum: '$total' },
+						},
+					},
+				],
+			},
+		},
+	]).exec();
+
+	const methods = (result?.methods || []).map((item) => ({
+		...item,
+		amount: roundCurrency(item.amount),
+		tendered: roundCurrency(item.tendered),
+	}));
+	const unrecorded = result?.unrecorded?.[0] || { orders: 0, amount: 0 };
+
+	return {
+		methods,
+		totalCollected: roundCurrency(methods.reduce((sum, item) => sum + item.amount, 0)),
+		changeGiven: roundCurrency(methods.reduce((sum, item) => sum + (item.tendered - item.amount), 0)),
+		unrecorded: {
+			orders: unrecorded.orders,
+			amount: roundCurrency(unrecorded.amount),
+		},
+	};
+};
+
+// Margin is taken on costed revenue only; uncosted sales would show as pure profit
+const toProfitRow = (row) => {
+	const revenue = roundCurrency(row.revenue);
+	const uncostedRevenue = roundCurrency(row.uncostedRevenue);
+	const costedRevenue = roundCurrency(revenue - uncostedRevenue);
+	const cogs = roundCurrency(row.cogs);
+	const grossMargin = roundCurrency(costedRevenue - cogs);
+	return {
+		...row,
+		revenue,
+		costedRevenue,
+		uncostedRevenue,
+		cogs,
+		grossMargin,
+		marginPercent: costedRevenue !== 0 ? Math.round((grossMargin / costedRevenue) * 10000) / 100 : null,
+	};
+};
+
+const profitGroup = (id, fields = {}) => ({
+	$group: {
+		_id: id,
+		...fields,
+		quantity: { $sum: '$line.quantity' },
+		revenue: { $sum: '$line.revenue' },
+		cogs: { $sum: '$line.cogs' },
+		uncostedRevenue: { $sum: { $cond: ['$line.costed', 0, '$line.revenue'] } },
+	},
+});
+
+/*
+ Gross profit of completed sales by day, category, product and SKU.
+	 - Revenue is the line total, which is net of line and order discounts and
+	   excludes tax, less the amount refunded for returned units
+	 - COGS is the cogs fixed on the line at sale, scaled to the units that
+	   were not returned
+	 - Lines without cogs (sold before cost tracking, or entirely from
+	   uncosted stock) are reported as uncostedRevenue and left out of margin
+	 - Days follow the store's timeZone setting
+*/
+const getProfitSummary = async (options = {}) => {
+	const fromDate = parseDateInput(options.from, 'from');
+	const toDate = parseDateInput(options.to, 'to');
+	if (fromDate && toDate && fromDate > toDate) {
+		throw createValidationError('from date must be earlier than or equal to to date');
+	}
+
+	const match = { status: 'completed' };
+	if (fromDate || toDate) {
+		match.createdAt = {};
+		if (fromDate) {
+			match.createdAt.$gte = fromDate;
+		}
+		if (toDate) {
+			match.createdAt.$lte = toDate;
+		}
+	}
+
+	const settings = await settingsService.getSettings();
+	const timeZone = settings?.timeZone || 'UTC';
+	const keptQuantity = { $subtract: ['$items.quantity', { $ifNull: ['$items.returnedQuantity', 0] }] };
+
+	const [result] = await Order.aggregate([
+		{ $match: match },
+		{ $unwind: '$items' },
+		{
+			$addFields: {
+				line: {
+					quantity: keptQuantity,
+					revenue: { $subtract: ['$items.lineTotal', { $ifNull: ['$items.returnedAmount', 0] }] },
+					cogs: {
+						$cond: [
+							{ $gt: ['$items.quantity', 0] },
+							{
+								$divide: [
+									{ $multiply: [{ $ifNull: ['$items.cogs', 0] }, keptQuantity] },
+									'$items.quantity',
+								],
+							},
+							0,
+						],
+					},
+					costed: { $ne: [{ $ifNull: ['$items.cogs', null] }, null] },
+				},
+			},
+		},
+		{
+			$lookup: {
+				from: 'products',
+				localField: 'items.productId',
+				foreignField: '_id',
+				as: 'productDoc',
+			},
+		},
+		{ $unwind: { path: '$productDoc', preserveNullAndEmptyArrays: true } },
+		{
+			$facet: {
+				totals: [profitGroup(null)],
+				byDay: [
+					profitGroup({ $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: timeZone } }),
+					{ $sort: { _id: 1 } },
+				],
+				byCategory: [
+					profitGroup({ $ifNull: ['$productDoc.category', 'Uncategorized'] }),
+					{ $sort: { revenue: -1 } },
+				],
+				byProduct: [
+					profitGroup('$items.productId', { name: { $first: '$productDoc.name' } }),
+					{ $sort: { revenue: -1 } },
+				],
+				bySku: [
+					profitGroup('$items.skuId', { sku: { $first: '$items.sku' }, productId: { $first: '$items.productId' } }),
+					{ $sort: { revenue: -1 } },
+				],
+			},
+		},
+	]).exec();
+
+	const empty = { quantity: 0, revenue: 0, cogs: 0, uncostedRevenue: 0 };
+	const { _id, ...totals } = result?.totals?.[0] || empty;
+	const rename = (key) => (row) => {
+		const { _id: value, ...rest } = row;
+		return toProfitRow({ [key]: value, ...rest });
+	};
+
+	return {
+		totals: toProfitRow(totals),
+		byDay: (result?.byDay || []).map(rename('date')),
+		byCategory: (result?.byCategory || []).map(rename('category')),
+		byProduct: (result?.byProduct || []).map(rename('productId')),
+		bySku: (result?.bySku || []).map(rename('skuId')),
+	};
+};
+
+/*
+ Price overrides on completed sales grouped by the staff member who rang them
+ up. reduction is the revenue given up against list price (negative when
+ items were sold above it); approvals come from the approving manager.
+*/
+const getPriceOverrideSummary = async (options = {}) => {
+	const fromDate = parseDateInput(options.from, 'from');
+	const toDate = parseDateInput(options.to, 'to');
+	if (fromDate && toDate && fromDate > toDate) {
+		throw createValidationError('from date must be earlier than or equal to to date');
+	}
+
+	const match = { status: 'completed', 'items.priceOverride': { $exists: true } };
+	if (fromDate || toDate) {
+		match.createdAt = {};
+		if (fromDate) {
+			match.createdAt.$gte = fromDate;
+		}
+		if (toDate) {
+			match.createdAt.$lte = toDate;
+		}
+	}
+
+	const staff = await Order.aggregate([
+		{ $match: match },
+		{ $unwind: '$items' },
+		{ $match: { 'items.priceOverride': { $exists: true } } },
+		{
+			$group: {
+				_id: '$items.priceOverride.overriddenBy',
+				lines: { $sum: 1 },
+				orders: { $addToSet: '$_id' },
+				quantity: { $sum: '$items.quantity' },
+				listValue: { $sum: { $multiply: ['$items.quantity', '$items.priceOverride.listPrice'] } },
+				soldValue: { $sum: { $multiply: ['$items.quantity', '$items.unitPrice'] } },
+				approvedLines: {
+					$sum: { $cond: [{ $ifNull: ['$items.priceOverride.approvedBy', false] }, 1, 0] },
+				},
+				approvers: { $addToSet: '$items.priceOverride.approvedBy' },
+			},
+		},
+		{
+			$lookup: {
+				from: 'users',
+				localField: '_id',
+				foreignField: '_id',
+				as: 'user',
+			},
+		},
+		{
+			$project: {
+				_id: 0,
+				userId: '$_id',
+				name: { $arrayElemAt: ['$user.name', 0] },
+				email: { $arrayElemAt: ['$user.email', 0] },
+				lines: 1,
+				orders: { $size: '$orders' },
+				quantity: 1,
+				listValue: 1,
+				soldValue: 1,
+				approvedLines: 1,
+				approvers: 1,
+			},
+		},
+		{ $sort: { lines: -1 } },
+	]).exec();
+
+	const rows = staff.map((row) => ({
+		...row,
+		listValue: roundCurrency(row.listValue),
+		soldValue: roundCurrency(row.soldValue),
+		reduction: roundCurrency(row.listValue - row.soldValue),
+	}));
+
+	return {
+		staff: rows,
+		totals: {
+			lines: rows.reduce((sum, row) => sum + row.lines, 0),
+			approvedLines: rows.reduce((sum, row) => sum + row.approvedLines, 0),
+			reduction: roundCurrency(rows.reduce((sum, row) => sum + row.reduction, 0)),
+		},
+	};
+};
+
 module.exports = {
 	createOrder,
+	priceItems,
+	syncOrders,
 	listOrders,
 	getOrderById,
+	completeOrder,
+	expirePendingOrders,
+	cancelOrder,
 	getSalesSummary,
 	getTopSelling,
+	getSkuSalesQuantities,
 	getDailySalesTrend,
 	getCategoryBreakdown,
+	getPaymentBreakdown,
+	getPriceOverrideSummary,
+	getProfitSummary,
 };
@@ -0,0 +1,96 @@
+const { createHttpError } = require('../utils/httpError');
+const errorCodes = require('../constants/errorCodes');
+
+const PAYMENT_METHODS = new Set(['cash', 'card', 'upi', 'store_credit', 'gift_card']);
+// Tenders drawn from a stored-value balance; their reference is the card code
+const STORED_VALUE_METHODS = new Set(['store_credit', 'gift_card']);
+const EPSILON = 0.005;
+
+const roundCurrency = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const normalizePayment = (payment) => {
+	const method = typeof payment?.method === 'string' ? payment.method.trim().toLowerCase() : '';
+	if (!PAYMENT_METHODS.has(method)) {
+		throw createHttpError(
+			`Payment method must be one of ${[...PAYMENT_METHODS].join(', ')}`,
+			400,
+			errorCodes.INVALID_PAYMENT
+		);
+	}
+
+	const amount = Number(payment.amount);
+	if (!Number.isFinite(amount) || amount <= 0) {
+		throw createHttpError('Payment amount must be a positive number', 400, errorCodes.INVALID_PAYMENT);
+	}
+
+	if (STORED_VALUE_METHODS.has(method) && !(typeof payment.reference === 'string' && payment.reference.trim())) {
+		throw createHttpError(
+			`A ${method} payment needs the card code as its reference`,
+			400,
+			errorCodes.INVALID_PAYMENT
+		);
+	}
+
+	return {
+		method,
+		amount: roundCurrency(amount),
+		reference: typeof payment.reference === 'string' ? payment.reference.trim() : undefined,
+	};
+};
+
+/*
+ Steps for settling an order total against its tenders:
+	 1. Validate each tender (method, positive amount)
+	 2. Apply non-cash tenders at face value; they may not exceed the total
+	 3. Cash covers the remainder; any cash above it is returned as change
+	 4. Each payment records the amount applied to the order, and cash tenders
+	    also keep what was handed over, so the till can be reconciled by method
+*/
+const settlePayments = (payments, total) => {
+	if (!Array.isArray(payments) || payments.length === 0) {
+		throw createHttpError('At least one payment is required', 400, errorCodes.INVALID_PAYMENT);
+	}
+
+	const normalized = payments.map(normalizePayment);
+	const orderTotal = roundCurrency(total);
+
+	const nonCashTotal = roundCurrency(
+		normalized.filter((p) => p.method !== 'cash').reduce((sum, p) => sum + p.amount, 0)
+	);
+	if (nonCashTotal > orderTotal + EPSILON) {
+		throw createHttpError('Non-cash payments exceed the order total', 400, errorCodes.INVALID_PAYMENT);
+	}
+
+	const cashTendered = roundCurrency(
+		normalized.filter((p) => p.method === 'cash').reduce((sum, p) => sum + p.amount, 0)
+	);
+	let cashDue = roundCurrency(orderTotal - nonCashTotal);
+	if (cashTendered + EPSILON < cashDue) {
+		throw createHttpError(
+			`Payments do not cover the order total of ${orderTotal}`,
+			400,
+			errorCodes.PAYMENT_INSUFFICIENT
+		);
+	}
+
+	const settled = normalized.map((payment) => {
+		if (payment.method !== 'cash') {
+			return payment;
+		}
+		const applied = roundCurrency(Math.min(payment.amount, cashDue));
+		cashDue = roundCurrency(cashDue - applied);
+		return { ...payment, amount: applied, tendered: payment.amount };
+	});
+
+	return {
+		payments: settled,
+		amountPaid: orderTotal,
+		changeDue: roundCurrency(cashTendered - (orderTotal - nonCashTotal)),
+	};
+};
+
+module.exports = {
+	PAYMENT_METHODS,
+	STORED_VALUE_METHODS,
+	settlePayments,
+};
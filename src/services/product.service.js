@@ -1,6 +1,9 @@
+const mongoose = require('mongoose');
 const Product = require('../models/product.model');
 const Sku = require('../models/sku.model');
 const skuService = require('./sku.service');
+const settingsService = require('./settings.service');
+const supplierService = require('./supplier.service');
 const logger = require('../utils/logger');
 const { createHttpError } = require('../utils/httpError');
 const errorCodes = require('../constants/errorCodes');
@@ -34,6 +37,27 @@ const coerceNonNegative = (value, fallback = 0, fieldName = 'value') => {
 	return numeric;
 };
 
+const assertTaxClassExists = async (taxClass) => {
+	if (!taxClass) {
+		return;
+	}
+	const settings = await settingsService.getSettings();
+	const code = String(taxClass).trim().toUpperCase();
+	const exists = (settings?.taxClasses || []).some((entry) => entry.code === code);
+	if (!exists) {
+		throw createHttpError(`Unknown tax class ${code}`, 400, errorCodes.INVALID_INPUT);
+	}
+};
+
+// Empty values unlink the product from its supplier
+const resolveSupplierId = async (supplierId) => {
+	if (supplierId === null || supplierId === '') {
+		return null;
+	}
+	const supplier = await supplierService.getActiveSupplier(supplierId);
+	return supplier._id;
+};
+
 const generateDefaultSkuCode = (name, price) => {
 	const base = typeof name === 'string' && name.trim()
 		? name
@@ -62,6 +86,8 @@ const createProduct = async (data) => {
 	const normalizedCategory = toTitleCase(category);
 
 	const minStockValue = coerceNonNegative(data.minStock, 0, 'minStock');
+	await assertTaxClassExists(data.taxClass);
+	const supplierId = data.supplierId != null ? await resolveSupplierId(data.supplierId) : undefined;
 	const hasInitialStock = Object.prototype.hasOwnProperty.call(data, 'initialStock');
 	const initialStockValue = hasInitialStock
 		? coerceNonNegative(data.initialStock, 0, 'initialStock')
@@ -74,6 +100,8 @@ const createProduct = async (data) => {
 		images: data.images || [],
 		minStock: minStockValue,
 		basePrice,
+		taxClass: data.taxClass || undefined,
+		supplierId: supplierId || undefined,
 		skuCount: 0,
 		isActive: true,
 	});
@@ -86,6 +114,7 @@ const createProduct = async (data) => {
 				sku: generateDefaultSkuCode(name, basePrice),
 				price: basePrice,
 				stock: initialStockValue,
+				unitCost: data.unitCost,
 				reorderThreshold: minStockValue,
 			};
 
@@ -120,6 +149,7 @@ const getProducts = async (options = {}) => {
 		name,
 		category,
 		isActive,
+		supplierId,
 	} = options;
 
 	const filters = {};
@@ -136,6 +166,13 @@ const getProducts = async (options = {}) => {
 		filters.isActive = isActive;
 	}
 
+	if (supplierId) {
+		if (!mongoose.Types.ObjectId.isValid(supplierId)) {
+			throw createHttpError('Invalid supplier id', 400, errorCodes.INVALID_INPUT);
+		}
+		filters.supplierId = supplierId;
+	}
+
 	const skip = (Number(page) - 1) * Number(limit);
 	const query = Product.find(filters).skip(skip).limit(Number(limit)).sort({ createdAt: -1 });
 
@@ -204,12 +241,19 @@ const updateProduct = async (id, data) => {
 		category: data.category ? toTitleCase(data.category) : undefined,
 		basePrice: data.basePrice,
 		images: data.images,
+		taxClass: data.taxClass,
 	};
 
 	if (Object.prototype.hasOwnProperty.call(data, 'minStock')) {
 		fieldsToUpdate.minStock = coerceNonNegative(data.minStock, 0, 'minStock');
 	}
 
+	await assertTaxClassExists(data.taxClass);
+
+	if (data.supplierId !== undefined) {
+		fieldsToUpdate.supplierId = await resolveSupplierId(data.supplierId);
+	}
+
 	Object.keys(fieldsToUpdate).forEach((key) => {
 		if (typeof fieldsToUpdate[key] === 'undefined') {
 			delete fieldsToUpdate[key];
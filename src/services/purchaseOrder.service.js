@@ -0,0 +1,431 @@
+const mongoose = require('mongoose');
+const PurchaseOrder = require('../models/purchaseOrder.model');
+const Sku = require('../models/sku.model');
+const skuService = require('./sku.service');
+const locationService = require('./location.service');
+const supplierService = require('./supplier.service');
+const generateOrderNumber = require('../utils/generateOrderNumber');
+const { createHttpError } = require('../utils/httpError');
+const errorCodes = require('../constants/errorCodes');
+
+const MAX_PAGE_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const VALID_STATUSES = new Set(['draft', 'sent', 'partially_received', 'received', 'closed', 'cancelled']);
+const RECEIVABLE_STATUSES = ['sent', 'partially_received'];
+
+const createValidationError = (message, code = errorCodes.INVALID_INPUT, details) =>
+	createHttpError(message, 400, code, details);
+
+const normalizePositiveInt = (value, fallback) => {
+	const parsed = Number(value);
+	if (!Number.isInteger(parsed) || parsed <= 0) {
+		return fallback;
+	}
+	return parsed;
+};
+
+const roundCurrency = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const assertPurchaseOrderId = (id) => {
+	if (!id) {
+		throw createValidationError('Purchase order id is required');
+	}
+	if (!mongoose.Types.ObjectId.isValid(id)) {
+		throw createValidationError('Invalid purchase order id');
+	}
+};
+
+const parseExpectedAt = (value) => {
+	if (value == null || value === '') {
+		return undefined;
+	}
+	const date = new Date(value);
+	if (Number.isNaN(date.getTime())) {
+		throw createValidationError('Invalid expectedAt date');
+	}
+	return date;
+};
+
+const calculateSubtotal = (lines) =>
+	roundCurrency(lines.reduce((sum, line) => sum + line.quantity * (line.unitCost || 0), 0));
+
+/*
+ Moves a purchase order from one of fromStatuses to the next inside the
+ session. The status is part of the filter so it cannot be sent or
+ cancelled twice.
+*/
+const claimPurchaseOrder = async (id, fromStatuses, update, session) => {
+	assertPurchaseOrderId(id);
+	const purchaseOrder = await PurchaseOrder.findOneAndUpdate(
+		{ _id: id, status: { $in: fromStatuses } },
+		update,
+		{ new: true, session }
+	);
+	if (purchaseOrder) {
+		return purchaseOrder;
+	}
+
+	const existing = await PurchaseOrder.findById(id).select({ status: 1 }).session(session).lean();
+	if (!existing) {
+		throw createHttpError('Purchase order not found', 404, errorCodes.PURCHASE_ORDER_NOT_FOUND);
+	}
+	throw createHttpError(
+		`Purchase order is ${existing.status.replace('_', ' ')}`,
+		409,
+		errorCodes.INVALID_PURCHASE_ORDER_STATE
+	);
+};
+
+const prepareLines = async (lines) => {
+	if (!Array.isArray(lines) || lines.length === 0) {
+		throw createValidationError('Purchase order lines are required');
+	}
+
+	const seen = new Set();
+	const prepared = [];
+	for (const line of lines) {
+		if (!line || !line.skuId || !mongoose.Types.ObjectId.isValid(line.skuId)) {
+			throw createValidationError('Each purchase order line must include a valid skuId');
+		}
+		if (seen.has(String(line.skuId))) {
+			throw createValidationError('Each SKU may appear only once per purchase order');
+		}
+		seen.add(String(line.skuId));
+
+		const quantity = Number(line.quantity);
+		if (!Number.isInteger(quantity) || quantity <= 0) {
+			throw createValidationError('quantity must be a positive integer');
+		}
+
+		let unitCost;
+		if (line.unitCost != null && line.unitCost !== '') {
+			unitCost = Number(line.unitCost);
+			if (!Number.isFinite(unitCost) || unitCost < 0) {
+				throw createValidationError('unitCost must be a non-negative number');
+			}
+			unitCost = roundCurrency(unitCost);
+		}
+
+		const sku = await Sku.findById(line.skuId).select({ sku: 1, productId: 1 }).lean();
+		if (!sku) {
+			throw createHttpError('SKU not found', 404, errorCodes.SKU_NOT_FOUND);
+		}
+
+		prepared.push({ skuId: sku._id, productId: sku.productId, sku: sku.sku, quantity, unitCost });
+	}
+	return prepared;
+};
+
+const createPurchaseOrder = async (data = {}, userId) => {
+	if (!data.supplierId) {
+		throw createValidationError('supplierId is required');
+	}
+
+	const supplier = await supplierService.getActiveSupplier(data.supplierId);
+	const locationId = await locationService.resolveLocationId(data.locationId);
+	const lines = await prepareLines(data.lines);
+
+	const purchaseOrder = await PurchaseOrder.create({
+		poNumber: generateOrderNumber('PO'),
+		supplierId: supplier._id,
+		locationId,
+		lines,
+		subtotal: calculateSubtotal(lines),
+		expectedAt: parseExpectedAt(data.expectedAt),
+		notes: typeof data.notes === 'string' ? data.notes.trim() : undefined,
+		createdBy: userId || undefined,
+	});
+	return purchaseOrder.toObject();
+};
+
+// Only drafts can be edited; sending fixes the lines the supplier was given
+const updatePurchaseOrder = async (id, data = {}) => {
+	assertPurchaseOrderId(id);
+
+	const update = {};
+	if (data.lines !== undefined) {
+		update.lines = await prepareLines(data.lines);
+		update.subtotal = calculateSubtotal(update.lines);
+	}
+	if (data.locationId !== undefined) {
+		update.locationId = await locationService.resolveLocationId(data.locationId);
+	}
+	if (data.expectedAt !== undefined) {
+		update.expectedAt = parseExpectedAt(data.expectedAt);
+	}
+	if (data.notes !== undefined) {
+		update.notes = typeof data.notes === 'string' ? data.notes.trim() : undefined;
+	}
+
+	const purchaseOrder = await claimPurchaseOrder(id, ['draft'], update, null);
+	return purchaseOrder.toObject();
+};
+
+const sendPurchaseOrder = async (id) => {
+	assertPurchaseOrderId(id);
+	const draft = await PurchaseOrder.findById(id).lean();
+	if (!draft) {
+		throw createHttpError('Purchase order not found', 404, errorCodes.PURCHASE_ORDER_NOT_FOUND);
+	}
+
+	const missingCost = draft.lines.filter((line) => line.unitCost == null).map((line) => line.sku);
+	if (missingCost.length) {
+		throw createValidationError(
+			`Set a unitCost for ${missingCost.join(', ')} before sending`,
+			errorCodes.INVALID_INPUT,
+			{ skus: missingCost }
+		);
+	}
+
+	const supplier = await supplierService.getActiveSupplier(draft.supplierId);
+	const sentAt = new Date();
+	const purchaseOrder = await claimPurchaseOrder(
+		id,
+		['draft'],
+		{
+			status: 'sent',
+			sentAt,
+			expectedAt: draft.expectedAt || new Date(sentAt.getTime() + (supplier.leadTimeDays || 0) * DAY_MS),
+		},
+		null
+	);
+	return purchaseOrder.toObject();
+};
+
+/*
+ Steps for receiving goods against a purchase order:
+	 1. Take the delivered quantities from data.lines (default: everything
+		still outstanding) and reject anything beyond what was ordered
+	 2. Inside a transaction, load the sent or partially received order
+	 3. Book each line in at the order's location through
+		skuService.adjustStock with reason po:<number> and the unit cost
+	 4. Record the delivery as a receipt and move the order to
+		partially_received or received
+*/
+const receivePurchaseOrder = async (id, data = {}, userId) => {
+	assertPurchaseOrderId(id);
+
+	let requested = null;
+	if (data.lines != null) {
+		if (!Array.isArray(data.lines) || data.lines.length === 0) {
+			throw createValidationError('lines must be a non-empty array');
+		}
+		requested = new Map();
+		data.lines.forEach((line) => {
+			const quantity = Number(line?.quantity);
+			if (!line?.skuId || !Number.isInteger(quantity) || quantity <= 0) {
+				throw createValidationError('Each received line needs a skuId and a positive integer quantity');
+			}
+			if (requested.has(String(line.skuId))) {
+				throw createValidationError('Each SKU may appear only once per receipt');
+			}
+			requested.set(String(line.skuId), quantity);
+		});
+	}
+
+	const session = await mongoose.startSession();
+	session.startTransaction();
+
+	try {
+		const purchaseOrder = await PurchaseOrder.findById(id).session(session);
+		if (!purchaseOrder) {
+			throw createHttpError('Purchase order not found', 404, errorCodes.PURCHASE_ORDER_NOT_FOUND);
+		}
+		if (!RECEIVABLE_STATUSES.includes(purchaseOrder.status)) {
+			throw createHttpError(
+				`Purchase order is ${purchaseOrder.status.replace('_', ' ')}`,
+				409,
+				errorCodes.INVALID_PURCHASE_ORDER_STATE
+			);
+		}
+
+		const linesBySku = new Map(purchaseOrder.lines.map((line) => [line.skuId.toString(), line]));
+		const unknown = requested && [...requested.keys()].find((skuId) => !linesBySku.has(skuId));
+		if (unknown) {
+			throw createValidationError(`SKU ${unknown} is not on this purchase order`);
+		}
+
+		const receiptLines = [];
+		for (const line of purchaseOrder.lines) {
+			const outstanding = line.quantity - (line.receivedQuantity || 0);
+			const quantity = requested ? requested.get(line.skuId.toString()) || 0 : outstanding;
+			if (quantity <= 0) continue;
+			if (quantity > outstanding) {
+				throw createValidationError(
+					`Cannot receive ${quantity} of ${line.sku}; only ${outstanding} outstanding`,
+					errorCodes.INVALID_INPUT,
+					{ skuId: line.skuId, requested: quantity, outstanding }
+				);
+			}
+
+			await skuService.adjustStock(
+				line.skuId,
+				quantity,
+				`po:${purchaseOrder.poNumber}`,
+				userId,
+				session,
+				{
+					locationId: purchaseOrder.locationId,
+					referencePurchaseOrderId: purchaseOrder._id,
+					unitCost: line.unitCost,
+				}
+			);
+			line.receivedQuantity = (line.receivedQuantity || 0) + quantity;
+			receiptLines.push({ skuId: line.skuId, quantity });
+		}
+
+		if (receiptLines.length === 0) {
+			throw createValidationError('Nothing to receive');
+		}
+
+		const now = new Date();
+		purchaseOrder.receipts.push({
+			lines: receiptLines,
+			receivedAt: now,
+			receivedBy: userId || undefined,
+			reference: typeof data.reference === 'string' ? data.reference.trim() : undefined,
+		});
+		const complete = purchaseOrder.lines.every((line) => line.receivedQuantity >= line.quantity);
+		purchaseOrder.status = complete ? 'received' : 'partially_received';
+		if (complete) {
+			purchaseOrder.receivedAt = now;
+		}
+
+		await purchaseOrder.save({ session });
+		await session.commitTransaction();
+		return purchaseOrder.toObject();
+	} catch (error) {
+		await session.abortTransaction();
+		throw error;
+	} finally {
+		session.endSession();
+	}
+};
+
+// Orders that have received nothing yet can be cancelled
+const cancelPurchaseOrder = async (id, userId) => {
+	const purchaseOrder = await claimPurchaseOrder(
+		id,
+		['draft', 'sent'],
+		{ status: 'cancelled', cancelledAt: new Date(), cancelledBy: userId || undefined },
+		null
+	);
+	return purchaseOrder.toObject();
+};
+
+/*
+ Closes a partially received order short when the supplier will not ship the
+ rest. The outstanding units stay on the lines for the record but no longer
+ count as on order, so reorder suggestions pick the shortfall up again.
+*/
+const closePurchaseOrder = async (id, data = {}, userId) => {
+	const purchaseOrder = await claimPurchaseOrder(
+		id,
+		['partially_received'],
+		{
+			status: 'closed',
+			closedAt: new Date(),
+			closedBy: userId || undefined,
+			closeReason: typeof data.reason === 'string' && data.reason.trim() ? data.reason.trim() : undefined,
+		},
+		null
+	);
+	return purchaseOrder.toObject();
+};
+
+const listPurchaseOrders = async (options = {}) => {
+	const page = normalizePositiveInt(options.page, 1);
+	const rawLimit = normalizePositiveInt(options.limit, 20);
+	const limit = Math.min(rawLimit, MAX_PAGE_SIZE);
+
+	const filters = {};
+	if (options.status) {
+		if (!VALID_STATUSES.has(options.status)) {
+			throw createValidationError('Invalid purchase order status');
+		}
+		filters.status = options.status;
+	}
+	if (options.supplierId) {
+		if (!mongoose.Types.ObjectId.isValid(options.supplierId)) {
+			throw createValidationError('Invalid supplier id');
+		}
+		filters.supplierId = new mongoose.Types.ObjectId(options.supplierId);
+	}
+
+	const skip = (page - 1) * limit;
+	const [purchaseOrders, total] = await Promise.all([
+		PurchaseOrder.find(filters)
+			.select({ receipts: 0 })
+			.populate('supplierId', 'code name')
+			.sort({ createdAt: -1 })
+			.skip(skip)
+			.limit(limit)
+			.lean(),
+		PurchaseOrder.countDocuments(filters),
+	]);
+
+	return {
+		data: purchaseOrders,
+		total,
+		page,
+		limit,
+		totalPages: total > 0 ? Math.ceil(total / limit) : 0,
+	};
+};
+
+const getPurchaseOrderById = async (id) => {
+	assertPurchaseOrderId(id);
+	return PurchaseOrder.findById(id)
+		.populate('supplierId', 'code name contactName email phone')
+		.populate('locationId', 'code name')
+		.lean();
+};
+
+// Units per SKU ordered but not yet received, across drafts and open orders
+const getOnOrderQuantities = async (options = {}) => {
+	const match = { status: { $in: ['draft', ...RECEIVABLE_STATUSES] } };
+	if (options.locationId) {
+		match.locationId = options.locationId;
+	}
+	const itemMatch = Array.isArray(options.skuIds) ? { 'lines.skuId': { $in: options.skuIds } } : {};
+
+	const rows = await PurchaseOrder.aggregate([
+		{ $match: { ...match, ...itemMatch } },
+		{ $unwind: '$lines' },
+		{ $match: itemMatch },
+		{
+			$group: {
+				_id: '$lines.skuId',
+				quantity: { $sum: { $subtract: ['$lines.quantity', { $ifNull: ['$lines.receivedQuantity', 0] }] } },
+			},
+		},
+	]);
+
+	return new Map(rows.map((row) => [row._id.toString(), Math.max(row.quantity, 0)]));
+};
+
+// Most recent unit cost each SKU was ordered at
+const getLastUnitCosts = async (skuIds) => {
+	const rows = await PurchaseOrder.aggregate([
+		{ $match: { 'lines.skuId': { $in: skuIds }, status: { $ne: 'cancelled' } } },
+		{ $sort: { createdAt: -1 } },
+		{ $unwind: '$lines' },
+		{ $match: { 'lines.skuId': { $in: skuIds }, 'lines.unitCost': { $ne: null } } },
+		{ $group: { _id: '$lines.skuId', unitCost: { $first: '$lines.unitCost' } } },
+	]);
+
+	return new Map(rows.map((row) => [row._id.toString(), row.unitCost]));
+};
+
+module.exports = {
+	createPurchaseOrder,
+	updatePurchaseOrder,
+	sendPurchaseOrder,
+	receivePurchaseOrder,
+	closePurchaseOrder,
+	cancelPurchaseOrder,
+	listPurchaseOrders,
+	getPurchaseOrderById,
+	getOnOrderQuantities,
+	getLastUnitCosts,
+};
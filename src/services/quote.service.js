@@ -0,0 +1,266 @@
+const mongoose = require('mongoose');
+const Quote = require('../models/quote.model');
+const Sku = require('../models/sku.model');
+const orderService = require('./order.service');
+const skuService = require('./sku.service');
+const locationService = require('./location.service');
+const customerService = require('./customer.service');
+const generateOrderNumber = require('../utils/generateOrderNumber');
+const { createHttpError } = require('../utils/httpError');
+const errorCodes = require('../constants/errorCodes');
+
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_VALIDITY_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const VALID_STATUSES = new Set(['draft', 'sent', 'accepted', 'expired']);
+const OPEN_STATUSES = ['draft', 'sent'];
+
+const createValidationError = (message, code = errorCodes.INVALID_INPUT, details) =>
+	createHttpError(message, 400, code, details);
+
+const normalizePositiveInt = (value, fallback) => {
+	const parsed = Number(value);
+	if (!Number.isInteger(parsed) || parsed <= 0) {
+		return fallback;
+	}
+	return parsed;
+};
+
+const assertQuoteId = (id) => {
+	if (!id) {
+		throw createValidationError('Quote id is required');
+	}
+	if (!mongoose.Types.ObjectId.isValid(id)) {
+		throw createValidationError('Invalid quote id');
+	}
+};
+
+const resolveValidUntil = (value) => {
+	if (value == null || value === '') {
+		return new Date(Date.now() + DEFAULT_VALIDITY_DAYS * DAY_MS);
+	}
+	const date = new Date(value);
+	if (Number.isNaN(date.getTime()) || date <= new Date()) {
+		throw createValidationError('validUntil must be a future date');
+	}
+	return date;
+};
+
+const sanitizeCustomer = (customer = {}) => ({
+	name: typeof customer.name === 'string' ? customer.name.trim() : undefined,
+	phone: typeof customer.phone === 'string' ? customer.phone.trim() : undefined,
+	email: typeof customer.email === 'string' ? customer.email.trim() : undefined,
+});
+
+// Open quotes past their validity are flipped to expired whenever quotes are read
+const expireStaleQuotes = (now = new Date()) =>
+	Quote.updateMany(
+		{ status: { $in: OPEN_STATUSES }, validUntil: { $lte: now } },
+		{ status: 'expired' }
+	);
+
+const findQuote = async (id) => {
+	assertQuoteId(id);
+	await expireStaleQuotes();
+	const quote = await Quote.findById(id).lean();
+	if (!quote) {
+		throw createHttpError('Quote not found', 404, errorCodes.QUOTE_NOT_FOUND);
+	}
+	return quote;
+};
+
+const assertOpen = (quote) => {
+	if (!OPEN_STATUSES.includes(quote.status)) {
+		throw createHttpError(
+			`Quote ${quote.quoteNumber} is ${quote.status}`,
+			409,
+			errorCodes.QUOTE_NOT_CONVERTIBLE
+		);
+	}
+};
+
+// Turns a priced line back into the createOrder item input, keeping its manual discount
+const toOrderItem = (item) => {
+	const lineDiscount = (item.discounts || []).find((discount) => discount.source === 'line');
+	return {
+		skuId: item.skuId,
+		quantity: item.quantity,
+		discount: lineDiscount
+			? { type: lineDiscount.type, value: lineDiscount.value, reason: lineDiscount.reason }
+			: undefined,
+	};
+};
+
+const buildQuoteFields = async (data, options) => {
+	const pricing = await orderService.priceItems(data.items, { role: options.role });
+	const fields = {
+		...pricing,
+		customer: sanitizeCustomer(data.customer),
+		validUntil: resolveValidUntil(data.validUntil),
+		notes: typeof data.notes === 'string' ? data.notes.trim() : undefined,
+		createdByRole: options.role,
+	};
+
+	if (data.customerId) {
+		const customer = await customerService.getCustomerById(data.customerId);
+		if (!customer) {
+			throw createHttpError('Customer not found', 404, errorCodes.CUSTOMER_NOT_FOUND);
+		}
+		fields.customerId = customer._id;
+		fields.customer = {
+			name: fields.customer.name || customer.name,
+			phone: customer.phone,
+			email: fields.customer.email || customer.email,
+		};
+	}
+
+	return fields;
+};
+
+const createQuote = async (data = {}, userId, options = {}) => {
+	const fields = await buildQuoteFields(data, options);
+	const quote = await Quote.create({
+		...fields,
+		quoteNumber: generateOrderNumber('QUO'),
+		status: 'draft',
+		createdBy: userId || undefined,
+	});
+	return quote.toObject();
+};
+
+const listQuotes = async (options = {}) => {
+	const page = normalizePositiveInt(options.page, 1);
+	const rawLimit = normalizePositiveInt(options.limit, 20);
+	const limit = Math.min(rawLimit, MAX_PAGE_SIZE);
+
+	const filters = {};
+	if (options.status) {
+		if (!VALID_STATUSES.has(options.status)) {
+			throw createValidationError('Invalid quote status');
+		}
+		filters.status = options.status;
+	}
+	if (options.customerId) {
+		if (!mongoose.Types.ObjectId.isValid(options.customerId)) {
+			throw createValidationError('Invalid customer id');
+		}
+		filters.customerId = new mongoose.Types.ObjectId(options.customerId);
+	}
+
+	await expireStaleQuotes();
+
+	const skip = (page - 1) * limit;
+	const [quotes, total] = await Promise.all([
+		Quote.find(filters).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+		Quote.countDocuments(filters),
+	]);
+
+	return {
+		data: quotes,
+		total,
+		page,
+		limit,
+		totalPages: total > 0 ? Math.ceil(total / limit) : 0,
+	};
+};
+
+const getQuoteById = async (id) => findQuote(id);
+
+// Only drafts can be edited; changing items re-prices them at today's SKU prices
+const updateQuote = async (id, data = {}, options = {}) => {
+	const quote = await findQuote(id);
+	if (quote.status !== 'draft') {
+		throw createHttpError(`Only draft quotes can be edited; quote is ${quote.status}`, 409, errorCodes.QUOTE_NOT_CONVERTIBLE);
+	}
+
+	const fields = await buildQuoteFields({
+		items: data.items ?? quote.items.map(toOrderItem),
+		customerId: data.customerId ?? quote.customerId,
+		customer: data.customer ?? quote.customer,
+		validUntil: data.validUntil ?? quote.validUntil,
+		notes: data.notes ?? quote.notes,
+	}, options);
+
+	const updated = await Quote.findOneAndUpdate(
+		{ _id: quote._id, status: 'draft' },
+		fields,
+		{ new: true, runValidators: true }
+	).lean();
+	if (!updated) {
+		throw createHttpError('Quote changed while it was being edited', 409, errorCodes.QUOTE_NOT_CONVERTIBLE);
+	}
+	return updated;
+};
+
+const markQuoteSent = async (id) => {
+	const quote = await findQuote(id);
+	assertOpen(quote);
+	return Quote.findOneAndUpdate(
+		{ _id: quote._id, status: { $in: OPEN_STATUSES } },
+		{ status: 'sent', sentAt: quote.sentAt || new Date() },
+		{ new: true }
+	).lean();
+};
+
+/*
+ Steps for converting a quote into an order:
+	 1. Reject quotes that are expired or already accepted
+	 2. Check every line against available stock at the order's location and
+		report all shortfalls at once
+	 3. Run the regular createOrder transaction with the quoted unit prices
+		locked and the quote author's discount cap
+	 4. createOrder claims the quote in the same transaction, so a quote
+		converts into at most one order
+*/
+const convertQuote = async (id, data = {}, userId) => {
+	const quote = await findQuote(id);
+	assertOpen(quote);
+
+	const locationId = await locationService.resolveLocationId(data.locationId);
+	const skus = await Sku.find({ _id: { $in: quote.items.map((item) => item.skuId) } })
+		.select({ sku: 1, stock: 1, reserved: 1 })
+		.lean();
+	const skuById = new Map(skus.map((sku) => [sku._id.toString(), sku]));
+	const shortfalls = [];
+	for (const item of quote.items) {
+		const sku = skuById.get(item.skuId.toString());
+		const available = sku ? await skuService.getAvailableStock(sku, locationId) : 0;
+		if (available < item.quantity) {
+			shortfalls.push({ skuId: item.skuId, sku: item.sku, requested: item.quantity, available });
+		}
+	}
+	if (shortfalls.length) {
+		throw createHttpError(
+			`Quote ${quote.quoteNumber} cannot be converted: insufficient stock for ${shortfalls.map((line) => line.sku).join(', ')}`,
+			409,
+			errorCodes.INSUFFICIENT_STOCK,
+			{ shortfalls }
+		);
+	}
+
+	const lockedPrices = new Map(quote.items.map((item) => [item.skuId.toString(), item.unitPrice]));
+
+	return orderService.createOrder(
+		{
+			items: quote.items.map(toOrderItem),
+			customerId: quote.customerId,
+			customer: quote.customer,
+			status: data.status,
+			payments: data.payments,
+			register: data.register,
+			locationId,
+			metadata: data.metadata,
+		},
+		userId,
+		{ role: quote.createdByRole, lockedPrices, quoteId: quote._id }
+	);
+};
+
+module.exports = {
+	createQuote,
+	listQuotes,
+	getQuoteById,
+	updateQuote,
+	markQuoteSent,
+	convertQuote,
+};
@@ -0,0 +1,397 @@
+const PDFDocument = require('pdfkit');
+const Product = require('../models/product.model');
+const settingsService = require('./settings.service');
+
+// 80mm paper with the printer's default 12x24 font fits 48 columns
+const RECEIPT_WIDTH = 48;
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const ESC_POS = {
+	init: [ESC, 0x40],
+	alignLeft: [ESC, 0x61, 0x00],
+	alignCenter: [ESC, 0x61, 0x01],
+	boldOn: [ESC, 0x45, 0x01],
+	boldOff: [ESC, 0x45, 0x00],
+	doubleOn: [GS, 0x21, 0x11],
+	doubleOff: [GS, 0x21, 0x00],
+	feedAndCut: [ESC, 0x64, 0x04, GS, 0x56, 0x42, 0x00],
+};
+
+const formatMoney = (value) => Number(value || 0).toFixed(2);
+
+// Prints the date on the store's calendar and clock, whatever the host's time zone
+const formatDate = (value, timeZone = 'UTC') => {
+	const date = value ? new Date(value) : new Date();
+	const parts = new Intl.DateTimeFormat('en-US', {
+		timeZone,
+		year: 'numeric',
+		month: '2-digit',
+		day: '2-digit',
+		hour: '2-digit',
+		minute: '2-digit',
+		hourCycle: 'h23',
+	}).formatToParts(date);
+	const part = (type) => parts.find((item) => item.type === type).value;
+	return `${part('year')}-${part('month')}-${part('day')} ${part('hour')}:${part('minute')}`;
+};
+
+const formatAttributes = (attributes) => {
+	if (!attributes) {
+		return '';
+	}
+	const entries = attributes instanceof Map ? [...attributes.entries()] : Object.entries(attributes);
+	return entries.map(([key, value]) => `${key}: ${value}`).join(', ');
+};
+
+// Thermal printers only carry single-byte code pages, so anything outside ASCII is replaced
+const toPrintable = (text) => String(text ?? '').replace(/[^\x20-\x7e]/g, '?');
+
+const wrapText = (text, width) => {
+	const words = toPrintable(text).split(/\s+/).filter(Boolean);
+	const lines = [];
+	let current = '';
+	words.forEach((word) => {
+		while (word.length > width) {
+			if (current) {
+				lines.push(current);
+				current = '';
+			}
+			lines.push(word.slice(0, width));
+			word = word.slice(width);
+		}
+		if (!current) {
+			current = word;
+		} else if (current.length + 1 + word.length <= width) {
+			current = `${current} ${word}`;
+		} else {
+			lines.push(current);
+			current = word;
+		}
+	});
+	if (current) {
+		lines.push(current);
+	}
+	return lines;
+};
+
+const twoColumn = (left, right, width = RECEIPT_WIDTH) => {
+	const rightText = toPrintable(right);
+	const leftWidth = Math.max(width - rightText.length - 1, 1);
+	const leftText = toPrintable(left).slice(0, leftWidth);
+	return `${leftText}${' '.repeat(width - leftText.length - rightText.length)}${rightText}`;
+};
+
+/*
+ Collects everything a printed document needs from an order:
+ the store header and currency from Settings, product names for
+ each line (orders only snapshot the SKU code) and the totals.
+*/
+const buildOrderDocument = async (order) => {
+	const settings = await settingsService.getSettings();
+	const productIds = [...new Set(order.items.map((item) => item.productId.toString()))];
+	const products = await Product.find({ _id: { $in: productIds } }).select({ name: 1 }).lean();
+	const nameByProduct = new Map(products.map((product) => [product._id.toString(), product.name]));
+
+	const header = settings?.storeHeader || {};
+
+	return {
+		store: {
+			name: header.name || '',
+			address: header.address || '',
+			phone: header.phone || '',
+			taxId: header.taxId || '',
+			footer: header.footer || '',
+		},
+		currency: settings?.currency || 'INR',
+		timeZone: settings?.timeZone || 'UTC',
+		pricesIncludeTax: Boolean(order.pricesIncludeTax),
+		orderNumber: order.orderNumber,
+		invoiceNumber: order.invoiceNumber,
+		status: order.status,
+		date: order.completedAt || order.createdAt,
+		customer: order.customer || {},
+		lines: order.items.map((item) => ({
+			name: nameByProduct.get(item.productId.toString()) || item.sku,
+			sku: item.sku,
+			attributes: formatAttributes(item.attributes),
+			quantity: item.quantity,
+			unitPrice: item.unitPrice,
+			grossTotal: item.grossTotal ?? item.quantity * item.unitPrice,
+			discountTotal: item.discountTotal || 0,
+			lineTotal: item.lineTotal,
+			taxClass: item.taxClass,
+			taxRate: item.taxRate,
+			taxAmount: item.taxAmount,
+		})),
+		grossTotal: order.grossTotal ?? order.items.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0),
+		discountTotal: order.discountTotal || 0,
+		subTotal: order.subTotal,
+		tax: order.tax,
+		taxSummary: order.taxSummary || [],
+		total: order.total,
+		payments: order.payments || [],
+		changeDue: order.changeDue || 0,
+		refundTotal: order.refundTotal || 0,
+	};
+};
+
+/*
+ Lays the receipt out as blocks of { text, align, bold, large } so the
+ plain-text and ESC/POS renderers print exactly the same content.
+*/
+const buildReceiptBlocks = (doc) => {
+	const blocks = [];
+	const push = (text, options = {}) => blocks.push({ text, align: 'left', ...options });
+	const rule = () => push('-'.repeat(RECEIPT_WIDTH));
+
+	if (doc.store.name) {
+		push(doc.store.name, { align: 'center', bold: true, large: true });
+	}
+	if (doc.store.address) {
+		wrapText(doc.store.address, RECEIPT_WIDTH).forEach((line) => push(line, { align: 'center' }));
+	}
+	if (doc.store.phone) {
+		push(`Tel: ${doc.store.phone}`, { align: 'center' });
+	}
+	if (doc.store.taxId) {
+		push(`Tax ID: ${doc.store.taxId}`, { align: 'center' });
+	}
+	if (doc.status !== 'completed') {
+		push(`*** ${doc.status.toUpperCase()} ***`, { align: 'center', bold: true });
+	}
+
+	rule();
+	if (doc.invoiceNumber) {
+		push(twoColumn('Invoice', doc.invoiceNumber));
+	}
+	push(twoColumn('Order', doc.orderNumber));
+	push(twoColumn('Date', formatDate(doc.date, doc.timeZone)));
+	if (doc.customer.name) {
+		push(twoColumn('Customer', doc.customer.name));
+	}
+	rule();
+
+	doc.lines.forEach((line) => {
+		wrapText(line.name, RECEIPT_WIDTH).forEach((text) => push(text, { bold: true }));
+		const detail = line.attributes ? `${line.sku} (${line.attributes})` : line.sku;
+		wrapText(detail, RECEIPT_WIDTH).forEach((text) => push(text));
+		push(twoColumn(`  ${line.quantity} x ${formatMoney(line.unitPrice)}`, formatMoney(line.grossTotal)));
+		if (line.discountTotal > 0) {
+			push(twoColumn('  Discount', `-${formatMoney(line.discountTotal)}`));
+		}
+		if (line.taxClass) {
+			push(`  Tax ${line.taxClass} @ ${line.taxRate}%`);
+		}
+	});
+
+	rule();
+	push(twoColumn('Items total', formatMoney(doc.grossTotal)));
+	if (doc.discountTotal > 0) {
+		push(twoColumn('Discounts', `-${formatMoney(doc.discountTotal)}`));
+	}
+	push(twoColumn(doc.pricesIncludeTax ? 'Taxable amount' : 'Subtotal', formatMoney(doc.subTotal)));
+	if (doc.taxSummary.length) {
+		doc.taxSummary.forEach((entry) => {
+			push(twoColumn(`Tax ${entry.taxClass || ''} @ ${entry.rate}%`, formatMoney(entry.taxAmount)));
+		});
+	} else if (doc.tax > 0) {
+		push(twoColumn('Tax', formatMoney(doc.tax)));
+	}
+	push(twoColumn(`TOTAL ${doc.currency}`, formatMoney(doc.total)), { bold: true });
+
+	if (doc.payments.length) {
+		rule();
+		doc.payments.forEach((payment) => {
+			const tendered = payment.tendered != null ? payment.tendered : payment.amount;
+			push(twoColumn(payment.method.toUpperCase(), formatMoney(tendered)));
+		});
+		if (doc.changeDue > 0) {
+			push(twoColumn('Change', formatMoney(doc.changeDue)));
+		}
+	}
+	if (doc.refundTotal > 0) {
+		push(twoColumn('Refunded', `-${formatMoney(doc.refundTotal)}`));
+	}
+
+	if (doc.store.footer) {
+		rule();
+		wrapText(doc.store.footer, RECEIPT_WIDTH).forEach((line) => push(line, { align: 'center' }));
+	}
+
+	return blocks;
+};
+
+const alignText = (text, align) => {
+	const printable = toPrintable(text);
+	if (align !== 'center' || printable.length >= RECEIPT_WIDTH) {
+		return printable;
+	}
+	const padding = Math.floor((RECEIPT_WIDTH - printable.length) / 2);
+	return `${' '.repeat(padding)}${printable}`;
+};
+
+const renderReceiptText = (doc) =>
+	`${buildReceiptBlocks(doc).map((block) => alignText(block.text, block.align)).join('\n')}\n`;
+
+const renderReceiptEscPos = (doc) => {
+	const bytes = [...ESC_POS.init];
+
+	buildReceiptBlocks(doc).forEach((block) => {
+		bytes.push(...(block.align === 'center' ? ESC_POS.alignCenter : ESC_POS.alignLeft));
+		if (block.bold) bytes.push(...ESC_POS.boldOn);
+		if (block.large) bytes.push(...ESC_POS.doubleOn);
+		bytes.push(...Buffer.from(`${toPrintable(block.text)}\n`, 'ascii'));
+		if (block.large) bytes.push(...ESC_POS.doubleOff);
+		if (block.bold) bytes.push(...ESC_POS.boldOff);
+	});
+
+	bytes.push(...ESC_POS.alignLeft, ...ESC_POS.feedAndCut);
+	return Buffer.from(bytes);
+};
+
+const INVOICE_COLUMNS = [
+	{ key: 'item', label: 'Item', width: 185, align: 'left' },
+	{ key: 'quantity', label: 'Qty', width: 35, align: 'right' },
+	{ key: 'unitPrice', label: 'Unit price', width: 65, align: 'right' },
+	{ key: 'discount', label: 'Discount', width: 60, align: 'right' },
+	{ key: 'tax', label: 'Tax', width: 75, align: 'right' },
+	{ key: 'amount', label: 'Amount', width: 75, align: 'right' },
+];
+
+const drawRow = (pdf, values, y, options = {}) => {
+	let x = pdf.page.margins.left;
+	let rowHeight = 0;
+	pdf.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+	INVOICE_COLUMNS.forEach((column) => {
+		const text = String(values[column.key] ?? '');
+		pdf.text(text, x, y, { width: column.width, align: column.align });
+		rowHeight = Math.max(rowHeight, pdf.heightOfString(text, { width: column.width }));
+		x += column.width;
+	});
+	return y + rowHeight + 6;
+};
+
+const drawTotal = (pdf, label, value, y, bold = false) => {
+	const right = pdf.page.width - pdf.page.margins.right;
+	pdf.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 11 : 9);
+	pdf.text(label, right - 260, y, { width: 180, align: 'right' });
+	pdf.text(value, right - 75, y, { width: 75, align: 'right' });
+	return y + (bold ? 18 : 14);
+};
+
+/*
+ Renders an A4 invoice with pdfkit and resolves with the whole file.
+ Lines carry their SKU attributes and tax class; the tax breakdown
+ repeats the order's taxSummary per class.
+*/
+const renderInvoicePdf = (doc) => new Promise((resolve, reject) => {
+	const pdf = new PDFDocument({ size: 'A4', margin: 50 });
+	const chunks = [];
+	pdf.on('data', (chunk) => chunks.push(chunk));
+	pdf.on('end', () => resolve(Buffer.concat(chunks)));
+	pdf.on('error', reject);
+
+	const left = pdf.page.margins.left;
+	const contentWidth = pdf.page.width - left - pdf.page.margins.right;
+	const bottomLimit = pdf.page.height - pdf.page.margins.bottom - 40;
+	const money = (value) => `${doc.currency} ${formatMoney(value)}`;
+
+	pdf.font('Helvetica-Bold').fontSize(18).text(doc.store.name || 'Invoice', left, 50);
+	pdf.font('Helvetica').fontSize(9);
+	[doc.store.address, doc.store.phone && `Tel: ${doc.store.phone}`, doc.store.taxId && `Tax ID: ${doc.store.taxId}`]
+		.filter(Boolean)
+		.forEach((line) => pdf.text(line, { width: contentWidth / 2 }));
+
+	const title = doc.status === 'completed' ? 'INVOICE' : `INVOICE (${doc.status.toUpperCase()})`;
+	pdf.font('Helvetica-Bold').fontSize(14).text(title, left, 50, { width: contentWidth, align: 'right' });
+	pdf.font('Helvetica').fontSize(9);
+	if (doc.invoiceNumber) {
+		pdf.text(`Invoice No: ${doc.invoiceNumber}`, { width: contentWidth, align: 'right' });
+	}
+	pdf.text(`Order: ${doc.orderNumber}`, { width: contentWidth, align: 'right' });
+	pdf.text(`Date: ${formatDate(doc.date, doc.timeZone)}`, { width: contentWidth, align: 'right' });
+
+	let y = Math.max(pdf.y, 130) + 10;
+	if (doc.customer.name || doc.customer.phone || doc.customer.email) {
+		pdf.font('Helvetica-Bold').text('Bill to', left, y);
+		pdf.font('Helvetica');
+		[doc.customer.name, doc.customer.phone, doc.customer.email].filter(Boolean).forEach((line) => pdf.text(line));
+		y = pdf.y + 10;
+	}
+
+	const header = Object.fromEntries(INVOICE_COLUMNS.map((column) => [column.key, column.label]));
+	y = drawRow(pdf, header, y, { bold: true });
+	pdf.moveTo(left, y - 3).lineTo(left + contentWidth, y - 3).stroke();
+
+	doc.lines.forEach((line) => {
+		if (y > bottomLimit) {
+			pdf.addPage();
+			y = pdf.page.margins.top;
+		}
+		const item = [line.name, line.attributes ? `${line.sku} - ${line.attributes}` : line.sku].join('\n');
+		y = drawRow(pdf, {
+			item,
+			quantity: line.quantity,
+			unitPrice: formatMoney(line.unitPrice),
+			discount: line.discountTotal > 0 ? formatMoney(line.discountTotal) : '-',
+			tax: line.taxClass ? `${line.taxClass} ${line.taxRate}%\n${formatMoney(line.taxAmount)}` : '-',
+			amount: formatMoney(line.lineTotal),
+		}, y);
+	});
+
+	pdf.moveTo(left, y).lineTo(left + contentWidth, y).stroke();
+	y += 8;
+	if (y > bottomLimit - 120) {
+		pdf.addPage();
+		y = pdf.page.margins.top;
+	}
+
+	y = drawTotal(pdf, 'Items total', money(doc.grossTotal), y);
+	if (doc.discountTotal > 0) {
+		y = drawTotal(pdf, 'Discounts', `-${money(doc.discountTotal)}`, y);
+	}
+	y = drawTotal(pdf, 'Taxable amount', money(doc.subTotal), y);
+	if (doc.taxSummary.length) {
+		doc.taxSummary.forEach((entry) => {
+			y = drawTotal(
+				pdf,
+				`${entry.taxClass || 'Tax'} @ ${entry.rate}% on ${formatMoney(entry.taxableAmount)}`,
+				money(entry.taxAmount),
+				y
+			);
+		});
+	} else if (doc.tax > 0) {
+		y = drawTotal(pdf, 'Tax', money(doc.tax), y);
+	}
+	y = drawTotal(pdf, 'Total', money(doc.total), y + 4, true);
+
+	if (doc.payments.length) {
+		y += 6;
+		doc.payments.forEach((payment) => {
+			y = drawTotal(pdf, `Paid by ${payment.method}`, money(payment.amount), y);
+		});
+	}
+	if (doc.refundTotal > 0) {
+		y = drawTotal(pdf, 'Refunded', `-${money(doc.refundTotal)}`, y);
+	}
+	if (doc.pricesIncludeTax) {
+		pdf.font('Helvetica-Oblique').fontSize(8).text('Prices include tax.', left, y + 6);
+	}
+
+	if (doc.store.footer) {
+		pdf.font('Helvetica').fontSize(8).text(doc.store.footer, left, bottomLimit + 15, {
+			width: contentWidth,
+			align: 'center',
+		});
+	}
+
+	pdf.end();
+});
+
+module.exports = {
+	buildOrderDocument,
+	renderReceiptText,
+	renderReceiptEscPos,
+	renderInvoicePdf,
+};
@@ -0,0 +1,212 @@
+const Sku = require('../models/sku.model');
+const Product = require('../models/product.model');
+const Supplier = require('../models/supplier.model');
+const skuService = require('./sku.service');
+const orderService = require('./order.service');
+const purchaseOrderService = require('./purchaseOrder.service');
+const locationService = require('./location.service');
+const { createHttpError } = require('../utils/httpError');
+const errorCodes = require('../constants/errorCodes');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_LOOKBACK_DAYS = 30;
+const DEFAULT_COVER_DAYS = 30;
+const DEFAULT_LEAD_TIME_DAYS = 7;
+const MAX_WINDOW_DAYS = 365;
+
+const roundCurrency = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const normalizeDays = (value, fallback, fieldName) => {
+	if (value == null || value === '') {
+		return fallback;
+	}
+	const days = Number(value);
+	if (!Number.isInteger(days) || days <= 0 || days > MAX_WINDOW_DAYS) {
+		throw createHttpError(`${fieldName} must be a whole number of days between 1 and ${MAX_WINDOW_DAYS}`, 400, errorCodes.INVALID_INPUT);
+	}
+	return days;
+};
+
+/*
+ SKUs to consider: those on a low-stock alert, plus every SKU of a product
+ whose total is below its minStock. A product's minStock is shared evenly
+ across its SKUs as their threshold when they have none of their own.
+*/
+const collectCandidates = async (alerts) => {
+	const thresholds = new Map();
+	alerts
+		.filter((alert) => alert.skuId)
+		.forEach((alert) => thresholds.set(alert.skuId.toString(), alert.reorderThreshold || 0));
+
+	const productAlerts = alerts.filter((alert) => !alert.skuId);
+	const skus = await Sku.find({
+		$or: [
+			{ _id: { $in: [...thresholds.keys()] } },
+			{ productId: { $in: productAlerts.map((alert) => alert.productId) } },
+		],
+	})
+		.select({ sku: 1, productId: 1, stock: 1, reserved: 1, reorderThreshold: 1 })
+		.lean();
+
+	const skuCountByProduct = new Map();
+	skus.forEach((sku) => {
+		const key = sku.productId.toString();
+		skuCountByProduct.set(key, (skuCountByProduct.get(key) || 0) + 1);
+	});
+	productAlerts.forEach((alert) => {
+		const productKey = alert.productId.toString();
+		const share = Math.ceil((alert.minStock || 0) / (skuCountByProduct.get(productKey) || 1));
+		skus
+			.filter((sku) => sku.productId.toString() === productKey)
+			.forEach((sku) => {
+				const key = sku._id.toString();
+				const own = thresholds.get(key) ?? sku.reorderThreshold ?? 0;
+				thresholds.set(key, Math.max(own, share));
+			});
+	});
+
+	return skus.map((sku) => ({ sku, reorderThreshold: thresholds.get(sku._id.toString()) || 0 }));
+};
+
+/*
+ Steps for building reorder suggestions:
+	 1. Start from the low-stock alerts (for a location when one is given)
+	 2. Measure each SKU's daily sales over the last lookbackDays
+	 3. Target stock = daily sales x (supplier lead time + coverDays), plus the
+		reorder threshold as safety stock
+	 4. Suggest target - available - already on order, rounded up, and skip
+		SKUs that need nothing
+	 5. Group the lines by the product's supplier; unassigned lines come last
+*/
+const getReorderSuggestions = async (options = {}) => {
+	const lookbackDays = normalizeDays(options.lookbackDays, DEFAULT_LOOKBACK_DAYS, 'lookbackDays');
+	const coverDays = normalizeDays(options.coverDays, DEFAULT_COVER_DAYS, 'coverDays');
+	const locationId = options.locationId
+		? await locationService.resolveLocationId(options.locationId)
+		: null;
+
+	const alerts = await skuService.findLowStock({ locationId });
+	const candidates = await collectCandidates(alerts);
+	const skuIds = candidates.map(({ sku }) => sku._id);
+	// Sales from before locations existed were made at the default location
+	const includeUnassigned = locationId ? await locationService.isDefaultLocation(locationId) : false;
+
+	const [products, sold, onOrder, lastCosts] = await Promise.all([
+		Product.find({ _id: { $in: candidates.map(({ sku }) => sku.productId) } })
+			.select({ name: 1, supplierId: 1 })
+			.lean(),
+		orderService.getSkuSalesQuantities({
+			skuIds,
+			from: new Date(Date.now() - lookbackDays * DAY_MS),
+			locationId,
+			includeUnassigned,
+		}),
+		purchaseOrderService.getOnOrderQuantities({ skuIds, locationId }),
+		purchaseOrderService.getLastUnitCosts(skuIds),
+	]);
+	const productById = new Map(products.map((product) => [product._id.toString(), product]));
+	const suppliers = await Supplier.find({ _id: { $in: products.map((product) => product.supplierId).filter(Boolean) } })
+		.select({ code: 1, name: 1, leadTimeDays: 1, isActive: 1 })
+		.lean();
+	const supplierById = new Map(suppliers.map((supplier) => [supplier._id.toString(), supplier]));
+
+	const groups = new Map();
+	for (const { sku, reorderThreshold } of candidates) {
+		const key = sku._id.toString();
+		const product = productById.get(sku.productId.toString());
+		const supplier = product?.supplierId ? supplierById.get(product.supplierId.toString()) : null;
+
+		const available = locationId
+			? await skuService.getAvailableStock(sku, locationId)
+			: (sku.stock || 0) - (sku.reserved || 0);
+		const unitsSold = sold.get(key) || 0;
+		const dailyVelocity = unitsSold / lookbackDays;
+		const leadTimeDays = supplier?.leadTimeDays ?? DEFAULT_LEAD_TIME_DAYS;
+		const targetStock = Math.ceil(dailyVelocity * (leadTimeDays + coverDays)) + reorderThreshold;
+		const pending = onOrder.get(key) || 0;
+		const suggestedQuantity = targetStock - available - pending;
+		if (suggestedQuantity <= 0) continue;
+
+		const unitCost = lastCosts.get(key);
+		const groupKey = supplier ? supplier._id.toString() : 'unassigned';
+		if (!groups.has(groupKey)) {
+			groups.set(groupKey, { supplier: supplier || null, lines: [], estimatedTotal: 0 });
+		}
+		const group = groups.get(groupKey);
+		group.lines.push({
+			skuId: sku._id,
+			sku: sku.sku,
+			productId: sku.productId,
+			productName: product?.name,
+			available,
+			onOrder: pending,
+			reorderThreshold,
+			unitsSold,
+			dailyVelocity: Math.round(dailyVelocity * 100) / 100,
+			leadTimeDays,
+			suggestedQuantity,
+			unitCost,
+			estimatedCost: unitCost != null ? roundCurrency(unitCost * suggestedQuantity) : undefined,
+		});
+		group.estimatedTotal = roundCurrency(group.estimatedTotal + (unitCost || 0) * suggestedQuantity);
+	}
+
+	const sortedGroups = [...groups.values()].sort((a, b) => {
+		if (!a.supplier) return 1;
+		if (!b.supplier) return -1;
+		return a.supplier.name.localeCompare(b.supplier.name);
+	});
+	sortedGroups.forEach((group) => group.lines.sort((a, b) => a.sku.localeCompare(b.sku)));
+
+	return {
+		locationId,
+		lookbackDays,
+		coverDays,
+		generatedAt: new Date(),
+		groups: sortedGroups,
+	};
+};
+
+/*
+ Turns the current suggestions into one draft purchase order per supplier,
+ optionally only for options.supplierIds. Lines keep the last cost the SKU
+ was ordered at and can be edited on the draft before it is sent. Lines
+ without an active supplier are returned as skipped.
+*/
+const createReorderPurchaseOrders = async (options = {}, userId) => {
+	const suggestions = await getReorderSuggestions(options);
+	const wanted = Array.isArray(options.supplierIds) && options.supplierIds.length
+		? new Set(options.supplierIds.map(String))
+		: null;
+
+	const purchaseOrders = [];
+	const skipped = [];
+	for (const group of suggestions.groups) {
+		if (wanted && (!group.supplier || !wanted.has(group.supplier._id.toString()))) continue;
+		if (!group.supplier || !group.supplier.isActive) {
+			skipped.push({ supplier: group.supplier, lines: group.lines });
+			continue;
+		}
+
+		purchaseOrders.push(await purchaseOrderService.createPurchaseOrder(
+			{
+				supplierId: group.supplier._id,
+				locationId: suggestions.locationId,
+				lines: group.lines.map((line) => ({
+					skuId: line.skuId,
+					quantity: line.suggestedQuantity,
+					unitCost: line.unitCost,
+				})),
+				notes: `Reorder suggestion (${suggestions.lookbackDays} days of sales, ${suggestions.coverDays} days cover)`,
+			},
+			userId
+		));
+	}
+
+	return { purchaseOrders, skipped };
+};
+
+module.exports = {
+	getReorderSuggestions,
+	createReorderPurchaseOrders,
+};
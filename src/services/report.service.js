@@ -1,10 +1,14 @@
 const orderService = require('./order.service');
+const costingService = require('./costing.service');
 
 const getTopSellingProducts = async ({ from, to, limit }) => {
 	const items = await orderService.getTopSelling({ from, to, limit });
 	return Array.isArray(items) ? items : [];
 };
 
+const getInventoryValuation = async ({ asOf }) => costingService.getInventoryValuation({ asOf });
+
 module.exports = {
 	getTopSellingProducts,
+	getInventoryValuation,
 };
@@ -0,0 +1,326 @@
+const mongoose = require('mongoose');
+const Order = require('../models/order.model');
+const Return = require('../models/return.model');
+const skuService = require('./sku.service');
+const shiftService = require('./shift.service');
+const loyaltyService = require('./loyalty.service');
+const giftCardService = require('./giftCard.service');
+const { PAYMENT_METHODS } = require('./payment.service');
+const generateOrderNumber = require('../utils/generateOrderNumber');
+const { createHttpError } = require('../utils/httpError');
+const errorCodes = require('../constants/errorCodes');
+
+const MAX_PAGE_SIZE = 100;
+const DISPOSITIONS = new Set(['restock', 'write_off']);
+// Refunds cannot go onto an existing gift card; store_credit issues a new credit instead
+const REFUND_METHODS = new Set([...PAYMENT_METHODS].filter((method) => method !== 'gift_card'));
+
+const createValidationError = (message, code = errorCodes.INVALID_INPUT, details) =>
+	createHttpError(message, 400, code, details);
+
+const normalizePositiveInt = (value, fallback) => {
+	const parsed = Number(value);
+	if (!Number.isInteger(parsed) || parsed <= 0) {
+		return fallback;
+	}
+	return parsed;
+};
+
+const toPositiveInteger = (value) => {
+	const num = Number(value);
+	if (!Number.isInteger(num) || num <= 0) {
+		throw createValidationError('Quantity must be a positive integer');
+	}
+	return num;
+};
+
+const roundCurrency = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const normalizeDisposition = (value) => {
+	if (value == null) {
+		return 'restock';
+	}
+	const disposition = String(value).trim().toLowerCase();
+	if (!DISPOSITIONS.has(disposition)) {
+		throw createValidationError('disposition must be either restock or write_off');
+	}
+	return disposition;
+};
+
+const normalizeRefundMethod = (value) => {
+	if (value == null) {
+		return 'cash';
+	}
+	const method = String(value).trim().toLowerCase();
+	if (!REFUND_METHODS.has(method)) {
+		throw createValidationError(`refundMethod must be one of ${[...REFUND_METHODS].join(', ')}`);
+	}
+	return method;
+};
+
+/*
+ Allocates a requested return quantity across the order lines for the SKU.
+ An order can carry the same SKU on more than one line, so the quantity is
+ spread over the lines that still have unreturned units, oldest line first.
+*/
+const allocateReturnQuantity = (order, skuId, quantity) => {
+	let remaining = quantity;
+	const allocations = [];
+
+	for (const line of order.items) {
+		if (remaining <= 0) break;
+		if (line.skuId.toString() !== String(skuId)) continue;
+
+		const returnable = line.quantity - (line.returnedQuantity || 0);
+		if (returnable <= 0) continue;
+
+		const take = Math.min(returnable, remaining);
+		allocations.push({ line, quantity: take });
+		remaining -= take;
+	}
+
+	return { allocations, remaining };
+};
+
+/*
+ Refund for returning quantity units of an order line, net of discounts.
+ Each return takes its share of the line rounded to cents; the return that
+ brings the line to fully returned takes whatever is left instead, so the
+ refunds of a line always add up to what was paid for it.
+*/
+const computeLineRefund = (line, quantity, taxedPerLine) => {
+	const returnedQuantity = line.returnedQuantity || 0;
+	const closesLine = returnedQuantity + quantity >= line.quantity;
+	const share = quantity / line.quantity;
+
+	const refundAmount = closesLine
+		? roundCurrency(line.lineTotal - (line.returnedAmount || 0))
+		: roundCurrency(line.lineTotal * share);
+
+	let taxAmount;
+	if (taxedPerLine) {
+		// Lines partly returned before returned tax was tracked keep the proportional share
+		const taxKnown = returnedQuantity === 0 || line.returnedTaxAmount != null;
+		taxAmount = closesLine && taxKnown
+			? roundCurrency(line.taxAmount - (line.returnedTaxAmount || 0))
+			: roundCurrency(line.taxAmount * share);
+	}
+
+	return { refundAmount, taxAmount };
+};
+
+/*
+ Steps for transactional return creation:
+	 1. Load the completed order inside a transaction
+	 2. Allocate every requested line against the quantities still returnable
+	    (sold minus earlier returns)
+	 3. Restock lines with the restock disposition through skuService.adjustStock,
+	    referencing the original order, at data.locationId or the order's own
+	    location; written-off lines leave stock untouched
+	 4. Compute the refund from the net line amount plus its tax: the line's own
+	    tax when the order was taxed per line, else a share of the order tax
+	    (see computeLineRefund for how rounding is settled)
+	 5. Reverse the refunded share of loyalty points; a store_credit refund
+	    issues a new store credit for the refund total
+	 6. Save the return and the returned counters on the order
+*/
+const createReturn = async (data, userId) => {
+	if (!data || !data.orderId) {
+		throw createValidationError('orderId is required');
+	}
+	if (!mongoose.Types.ObjectId.isValid(data.orderId)) {
+		throw createValidationError('Invalid order id');
+	}
+	if (!Array.isArray(data.items) || data.items.length === 0) {
+		throw createValidationError('Return items are required');
+	}
+
+	const refundMethod = normalizeRefundMethod(data.refundMethod);
+
+	const session = await mongoose.startSession();
+	session.startTransaction();
+
+	try {
+		const order = await Order.findById(data.orderId).session(session);
+		if (!order) {
+			throw createHttpError('Order not found', 404, errorCodes.ORDER_NOT_FOUND);
+		}
+
+		if (order.status !== 'completed') {
+			throw createHttpError(
+				`Cannot return items from an order with status ${order.status}`,
+				409,
+				errorCodes.INVALID_ORDER_STATE
+			);
+		}
+
+		const returnNumber = generateOrderNumber('RET');
+		const shiftId = await shiftService.findOpenShiftId(data.register, session);
+		const returnDoc = new Return({
+			returnNumber,
+			orderId: order._id,
+			orderNumber: order.orderNumber,
+			items: [],
+			refundSubTotal: 0,
+			refundTax: 0,
+			refundTotal: 0,
+			refundMethod,
+			shiftId,
+			reason: typeof data.reason === 'string' ? data.reason.trim() : undefined,
+			createdBy: userId || undefined,
+			metadata: data.metadata,
+		});
+
+		const preparedItems = [];
+		let refundSubTotal = 0;
+		let lineTaxRefund = 0;
+		const taxedPerLine = order.items.every((line) => line.taxAmount != null);
+
+		for (const item of data.items) {
+			if (!item || !item.skuId) {
+				throw createValidationError('Each return item must include skuId');
+			}
+
+			const quantity = toPositiveInteger(item.quantity);
+			const disposition = normalizeDisposition(item.disposition);
+
+			if (!order.items.some((line) => line.skuId.toString() === String(item.skuId))) {
+				throw createValidationError(`SKU ${item.skuId} is not part of order ${order.orderNumber}`);
+			}
+
+			const { allocations, remaining } = allocateReturnQuantity(order, item.skuId, quantity);
+			if (remaining > 0) {
+				throw createHttpError(
+					`Return quantity exceeds the quantity still returnable for SKU ${item.skuId}`,
+					400,
+					errorCodes.RETURN_QUANTITY_EXCEEDED
+				);
+			}
+
+			for (const allocation of allocations) {
+				const { line } = allocation;
+				const { refundAmount, taxAmount } = computeLineRefund(line, allocation.quantity, taxedPerLine);
+				lineTaxRefund += taxAmount || 0;
+
+				if (taxAmount != null && ((line.returnedQuantity || 0) === 0 || line.returnedTaxAmount != null)) {
+					line.returnedTaxAmount = roundCurrency((line.returnedTaxAmount || 0) + taxAmount);
+				}
+				line.returnedQuantity = (line.returnedQuantity || 0) + allocation.quantity;
+				line.returnedAmount = roundCurrency((line.returnedAmount || 0) + refundAmount);
+				refundSubTotal += refundAmount;
+
+				preparedItems.push({
+					skuId: line.skuId,
+					productId: line.productId,
+					sku: line.sku,
+					quantity: allocation.quantity,
+					unitPrice: line.unitPrice,
+					unitCost: line.unitCost,
+					refundAmount,
+					taxAmount,
+					disposition,
+					reason: typeof item.reason === 'string' ? item.reason.trim() : undefined,
+				});
+			}
+		}
+
+		let refundTax = 0;
+		if (taxedPerLine) {
+			refundTax = roundCurrency(lineTaxRefund);
+		} else if (order.subTotal > 0) {
+			refundTax = roundCurrency((refundSubTotal * order.tax) / order.subTotal);
+		}
+
+		returnDoc.items = preparedItems;
+		returnDoc.refundSubTotal = roundCurrency(refundSubTotal);
+		returnDoc.refundTax = refundTax;
+		returnDoc.refundTotal = roundCurrency(refundSubTotal + refundTax);
+
+		for (const item of preparedItems) {
+			if (item.disposition !== 'restock') continue;
+			await skuService.adjustStock(
+				item.skuId,
+				item.quantity,
+				`return:${returnNumber}`,
+				userId,
+				session,
+				{
+					referenceOrderId: order._id,
+					metadata: { returnId: returnDoc._id },
+					locationId: data.locationId || order.locationId,
+					unitCost: item.unitCost ?? null,
+				}
+			);
+		}
+
+		order.refundTotal = roundCurrency((order.refundTotal || 0) + returnDoc.refundTotal);
+		await loyaltyService.reverseReturnLoyalty(order, returnDoc._id, userId, session);
+
+		if (refundMethod === 'store_credit' && returnDoc.refundTotal > 0) {
+			const credit = await giftCardService.issueGiftCard({
+				type: 'store_credit',
+				amount: returnDoc.refundTotal,
+				customerId: order.customerId,
+				sourceReturnId: returnDoc._id,
+			}, userId, session);
+			returnDoc.storeCreditId = credit._id;
+			returnDoc.storeCreditCode = credit.code;
+		}
+
+		await returnDoc.save({ session });
+		await order.save({ session });
+		await session.commitTransaction();
+		return returnDoc.toObject();
+	} catch (error) {
+		await session.abortTransaction();
+		throw error;
+	} finally {
+		session.endSession();
+	}
+};
+
+const listReturns = async (options = {}) => {
+	const page = normalizePositiveInt(options.page, 1);
+	const rawLimit = normalizePositiveInt(options.limit, 20);
+	const limit = Math.min(rawLimit, MAX_PAGE_SIZE);
+
+	const filters = {};
+	if (options.orderId) {
+		if (!mongoose.Types.ObjectId.isValid(options.orderId)) {
+			throw createValidationError('Invalid order id');
+		}
+		filters.orderId = new mongoose.Types.ObjectId(options.orderId);
+	}
+
+	const skip = (page - 1) * limit;
+	const [returns, total] = await Promise.all([
+		Return.find(filters).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+		Return.countDocuments(filters),
+	]);
+
+	return {
+		data: returns,
+		total,
+		page,
+		limit,
+		totalPages: total > 0 ? Math.ceil(total / limit) : 0,
+	};
+};
+
+const getReturnById = async (id) => {
+	if (!id) {
+		throw createValidationError('Return id is required');
+	}
+	if (!mongoose.Types.ObjectId.isValid(id)) {
+		throw createValidationError('Invalid return id');
+	}
+
+	return Return.findById(id).lean();
+};
+
+module.exports = {
+	computeLineRefund,
+	createReturn,
+	listReturns,
+	getReturnById,
+};
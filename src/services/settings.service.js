@@ -1,6 +1,52 @@
 const Settings = require('../models/settings.model');
 
 const DEFAULT_SETTINGS_ID = 'global';
+const DISCOUNT_ROLES = ['staff', 'manager', 'admin'];
+const COSTING_METHODS = ['fifo', 'weighted_average'];
+const STORE_HEADER_FIELDS = ['name', 'address', 'phone', 'taxId', 'footer'];
+const LOYALTY_NUMBER_FIELDS = {
+	earnRate: { integer: false },
+	redeemValue: { integer: false },
+	minRedeemPoints: { integer: true },
+	expiryDays: { integer: true },
+};
+
+const createSettingsError = (message) => {
+	const error = new Error(message);
+	error.statusCode = 400;
+	return error;
+};
+
+const normalizeTaxCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+const sanitizeTaxClasses = (taxClasses) => {
+	if (!Array.isArray(taxClasses)) {
+		throw createSettingsError('taxClasses must be an array');
+	}
+
+	const seen = new Set();
+	return taxClasses.map((taxClass) => {
+		const code = normalizeTaxCode(taxClass?.code);
+		if (!code) {
+			throw createSettingsError('Each tax class requires a code');
+		}
+		if (seen.has(code)) {
+			throw createSettingsError(`Duplicate tax class code ${code}`);
+		}
+		seen.add(code);
+
+		const rate = Number(taxClass.rate);
+		if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+			throw createSettingsError(`Tax class ${code} rate must be between 0 and 100`);
+		}
+
+		return {
+			code,
+			name: typeof taxClass.name === 'string' ? taxClass.name.trim() : undefined,
+			rate,
+		};
+	});
+};
 
 const sanitizePayload = (data = {}) => {
 	const update = {};
@@ -24,9 +70,181 @@ const sanitizePayload = (data = {}) => {
 		update.currency = data.currency.trim().toUpperCase();
 	}
 
+	if (data.pendingOrderTtlMinutes != null) {
+		const value = Number(data.pendingOrderTtlMinutes);
+		if (!Number.isInteger(value) || value < 1) {
+			const error = new Error('pendingOrderTtlMinutes must be a positive integer');
+			error.statusCode = 400;
+			throw error;
+		}
+		update.pendingOrderTtlMinutes = value;
+	}
+
+	if (data.maxLineDiscountPercent != null) {
+		if (typeof data.maxLineDiscountPercent !== 'object') {
+			const error = new Error('maxLineDiscountPercent must be an object keyed by role');
+			error.statusCode = 400;
+			throw error;
+		}
+		DISCOUNT_ROLES.forEach((role) => {
+			if (data.maxLineDiscountPercent[role] == null) return;
+			const value = Number(data.maxLineDiscountPercent[role]);
+			if (!Number.isFinite(value) || value < 0 || value > 100) {
+				const error = new Error(`maxLineDiscountPercent.${role} must be between 0 and 100`);
+				error.statusCode = 400;
+				throw error;
+			}
+			update[`maxLineDiscountPercent.${role}`] = value;
+		});
+	}
+
+	if (data.priceOverrideApprovalPercent != null) {
+		const value = Number(data.priceOverrideApprovalPercent);
+		if (!Number.isFinite(value) || value < 0 || value > 100) {
+			throw createSettingsError('priceOverrideApprovalPercent must be between 0 and 100');
+		}
+		update.priceOverrideApprovalPercent = value;
+	}
+
+	if (data.costingMethod != null) {
+		if (!COSTING_METHODS.includes(data.costingMethod)) {
+			throw createSettingsError(`costingMethod must be one of ${COSTING_METHODS.join(', ')}`);
+		}
+		update.costingMethod = data.costingMethod;
+	}
+
+	if (data.taxClasses != null) {
+		update.taxClasses = sanitizeTaxClasses(data.taxClasses);
+	}
+
+	if (data.defaultTaxClass !== undefined) {
+		update.defaultTaxClass = normalizeTaxCode(data.defaultTaxClass) || null;
+	}
+
+	if (data.categoryTaxClasses != null) {
+		if (typeof data.categoryTaxClasses !== 'object' || Array.isArray(data.categoryTaxClasses)) {
+			throw createSettingsError('categoryTaxClasses must be an object keyed by category');
+		}
+		const mapping = {};
+		Object.entries(data.categoryTaxClasses).forEach(([category, code]) => {
+			const key = category.trim();
+			if (!key || key.includes('.') || key.startsWith('$')) {
+				throw createSettingsError(`Invalid category name ${category}`);
+			}
+			const normalized = normalizeTaxCode(code);
+			if (normalized) {
+				mapping[key] = normalized;
+			}
+		});
+		update.categoryTaxClasses = mapping;
+	}
+
+	if (data.pricesIncludeTax != null) {
+		if (typeof data.pricesIncludeTax !== 'boolean') {
+			throw createSettingsError('pricesIncludeTax must be a boolean');
+		}
+		update.pricesIncludeTax = data.pricesIncludeTax;
+	}
+
+	if (data.invoicePrefix != null) {
+		if (typeof data.invoicePrefix !== 'string' || !data.invoicePrefix.trim()) {
+			throw createSettingsError('invoicePrefix must be a non-empty string');
+		}
+		update.invoicePrefix = data.invoicePrefix.trim();
+	}
+
+	if (data.invoiceNumberPadding != null) {
+		const value = Number(data.invoiceNumberPadding);
+		if (!Number.isInteger(value) || value < 1 || value > 12) {
+			throw createSettingsError('invoiceNumberPadding must be an integer between 1 and 12');
+		}
+		update.invoiceNumberPadding = value;
+	}
+
+	if (data.fiscalYearStartMonth != null) {
+		const value = Number(data.fiscalYearStartMonth);
+		if (!Number.isInteger(value) || value < 1 || value > 12) {
+			throw createSettingsError('fiscalYearStartMonth must be an integer between 1 and 12');
+		}
+		update.fiscalYearStartMonth = value;
+	}
+
+	if (data.timeZone != null) {
+		const timeZone = typeof data.timeZone === 'string' ? data.timeZone.trim() : '';
+		let valid = Boolean(timeZone);
+		try {
+			new Intl.DateTimeFormat('en-US', { timeZone });
+		} catch (error) {
+			valid = false;
+		}
+		if (!valid) {
+			throw createSettingsError('timeZone must be an IANA time zone such as Asia/Kolkata');
+		}
+		update.timeZone = timeZone;
+	}
+
+	if (data.loyalty != null) {
+		if (typeof data.loyalty !== 'object' || Array.isArray(data.loyalty)) {
+			throw createSettingsError('loyalty must be an object');
+		}
+		if (data.loyalty.enabled != null) {
+			if (typeof data.loyalty.enabled !== 'boolean') {
+				throw createSettingsError('loyalty.enabled must be a boolean');
+			}
+			update['loyalty.enabled'] = data.loyalty.enabled;
+		}
+		Object.entries(LOYALTY_NUMBER_FIELDS).forEach(([field, { integer }]) => {
+			if (data.loyalty[field] == null) return;
+			const value = Number(data.loyalty[field]);
+			const valid = integer ? Number.isInteger(value) : Number.isFinite(value);
+			if (!valid || value < 0) {
+				throw createSettingsError(
+					`loyalty.${field} must be a non-negative ${integer ? 'integer' : 'number'}`
+				);
+			}
+			update[`loyalty.${field}`] = value;
+		});
+	}
+
+	if (data.storeHeader != null) {
+		if (typeof data.storeHeader !== 'object' || Array.isArray(data.storeHeader)) {
+			throw createSettingsError('storeHeader must be an object');
+		}
+		STORE_HEADER_FIELDS.forEach((field) => {
+			const value = data.storeHeader[field];
+			if (value === undefined) return;
+			if (value !== null && typeof value !== 'string') {
+				throw createSettingsError(`storeHeader.${field} must be a string`);
+			}
+			update[`storeHeader.${field}`] = value ? value.trim() : '';
+		});
+	}
+
 	return update;
 };
 
+// Tax class references must point at a class that exists after the update
+const assertTaxClassReferences = (update, current = {}) => {
+	const touchesTax = ['taxClasses', 'defaultTaxClass', 'categoryTaxClasses'].some((key) => key in update);
+	if (!touchesTax) {
+		return;
+	}
+
+	const classes = update.taxClasses || current.taxClasses || [];
+	const codes = new Set(classes.map((taxClass) => taxClass.code));
+	const defaultCode = 'defaultTaxClass' in update ? update.defaultTaxClass : current.defaultTaxClass;
+	if (defaultCode && !codes.has(defaultCode)) {
+		throw createSettingsError(`Unknown default tax class ${defaultCode}`);
+	}
+
+	const mapping = update.categoryTaxClasses || current.categoryTaxClasses || {};
+	Object.entries(mapping).forEach(([category, code]) => {
+		if (!codes.has(code)) {
+			throw createSettingsError(`Unknown tax class ${code} for category ${category}`);
+		}
+	});
+};
+
 const initSettingsIfMissing = async () => {
 	const existing = await Settings.findById(DEFAULT_SETTINGS_ID);
 	if (existing) {
@@ -37,6 +255,7 @@ const initSettingsIfMissing = async () => {
 		_id: DEFAULT_SETTINGS_ID,
 		defaultReorderThreshold: 0,
 		currency: 'INR',
+		pendingOrderTtlMinutes: 30,
 	});
 };
 
@@ -57,6 +276,8 @@ const updateSettings = async (data = {}) => {
 		return getSettingsDocument();
 	}
 
+	assertTaxClassReferences(update, await getSettingsDocument());
+
 	update.updatedAt = new Date();
 
 	await Settings.updateOne(
@@ -0,0 +1,423 @@
+const mongoose = require('mongoose');
+const Shift = require('../models/shift.model');
+const Order = require('../models/order.model');
+const Return = require('../models/return.model');
+const generateOrderNumber = require('../utils/generateOrderNumber');
+const { createHttpError } = require('../utils/httpError');
+const errorCodes = require('../constants/errorCodes');
+
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_REGISTER = 'main';
+const MOVEMENT_TYPES = new Set(['pay_in', 'pay_out']);
+
+const createValidationError = (message, code = errorCodes.INVALID_INPUT, details) =>
+	createHttpError(message, 400, code, details);
+
+const normalizePositiveInt = (value, fallback) => {
+	const parsed = Number(value);
+	if (!Number.isInteger(parsed) || parsed <= 0) {
+		return fallback;
+	}
+	return parsed;
+};
+
+const roundCurrency = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const normalizeRegister = (register) =>
+	typeof register === 'string' && register.trim() ? register.trim().toLowerCase() : DEFAULT_REGISTER;
+
+// Cash part of an order's payments, for use inside aggregation stages
+const cashPaid = {
+	$reduce: {
+		input: { $ifNull: ['$payments', []] },
+		initialValue: 0,
+		in: {
+			$add: ['$$value', { $cond: [{ $eq: ['$$this.method', 'cash'] }, '$$this.amount', 0] }],
+		},
+	},
+};
+
+// Adds the user's name to rows grouped by user id
+const userNameStages = [
+	{
+		$lookup: {
+			from: 'users',
+			localField: '_id',
+			foreignField: '_id',
+			as: 'user',
+			pipeline: [{ $project: { name: 1, email: 1 } }],
+		},
+	},
+	{ $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+];
+
+const toNonNegativeAmount = (value, fieldName) => {
+	const amount = Number(value);
+	if (!Number.isFinite(amount) || amount < 0) {
+		throw createValidationError(`${fieldName} must be a non-negative number`);
+	}
+	return roundCurrency(amount);
+};
+
+const assertShiftId = (id) => {
+	if (!id) {
+		throw createValidationError('Shift id is required');
+	}
+	if (!mongoose.Types.ObjectId.isValid(id)) {
+		throw createValidationError('Invalid shift id');
+	}
+};
+
+const loadShift = async (id, session = null) => {
+	assertShiftId(id);
+	const shift = await Shift.findById(id).session(session);
+	if (!shift) {
+		throw createHttpError('Shift not found', 404, errorCodes.SHIFT_NOT_FOUND);
+	}
+	return shift;
+};
+
+const openShift = async (data = {}, userId) => {
+	const register = normalizeRegister(data.register);
+	const openingFloat = toNonNegativeAmount(data.openingFloat ?? 0, 'openingFloat');
+
+	const existing = await Shift.exists({ register, status: 'open' });
+	if (existing) {
+		throw createHttpError(
+			`A shift is already open on register ${register}`,
+			409,
+			errorCodes.SHIFT_ALREADY_OPEN
+		);
+	}
+
+	const shift = await Shift.create({
+		shiftNumber: generateOrderNumber('SHF'),
+		register,
+		openingFloat,
+		openedBy: userId || undefined,
+		openedAt: new Date(),
+		notes: typeof data.notes === 'string' ? data.notes.trim() : undefined,
+	});
+
+	return shift.toObject();
+};
+
+const getOpenShift = async (register, session = null) =>
+	Shift.findOne({ register: normalizeRegister(register), status: 'open' }).session(session).lean();
+
+// Used by order and return flows to tag documents with the drawer they hit
+const findOpenShiftId = async (register, session = null) => {
+	const shift = await Shift.findOne({ register: normalizeRegister(register), status: 'open' })
+		.select({ _id: 1 })
+		.session(session)
+		.lean();
+	return shift?._id;
+};
+
+const recordCashMovement = async (id, data = {}, userId) => {
+	const shift = await loadShift(id);
+	if (shift.status !== 'open') {
+		throw createHttpError('Shift is already closed', 409, errorCodes.SHIFT_CLOSED);
+	}
+
+	const type = typeof data.type === 'string' ? data.type.trim().toLowerCase() : '';
+	if (!MOVEMENT_TYPES.has(type)) {
+		throw createValidationError('type must be either pay_in or pay_out');
+	}
+
+	const amount = toNonNegativeAmount(data.amount, 'amount');
+	if (amount === 0) {
+		throw createValidationError('amount must be greater than zero');
+	}
+
+	const reason = typeof data.reason === 'string' ? data.reason.trim() : '';
+	if (!reason) {
+		throw createValidationError('reason is required');
+	}
+
+	shift.cashMovements.push({
+		type,
+		amount,
+		reason,
+		createdBy: userId || undefined,
+		createdAt: new Date(),
+	});
+	await shift.save();
+	return shift.toObject();
+};
+
+/*
+ Steps for building a Z report:
+	 1. Sales: orders rung up in the shift (including ones voided later), with
+	    totals per tender and per createdBy user
+	 2. Refunds: returns processed in the shift, per refund method and per
+	    user who processed them
+	 3. Cancellations: orders voided in the shift, with the cash handed back,
+	    in total and per user who cancelled them
+	 4. Expected cash = float + cash sales + pay-ins - pay-outs
+	                  - cash refunds - cash returned on cancellations
+*/
+const buildZReport = async (shift) => {
+	// Voided sales stay in the sales figures and are backed out under cancellations;
+	// pending orders that were cancelled before payment never reached the drawer
+	const salesMatch = {
+		shiftId: shift._id,
+		status: { $in: ['completed', 'cancelled'] },
+		completedAt: { $exists: true },
+	};
+
+	const [salesResult] = await Order.aggregate([
+		{ $match: salesMatch },
+		{
+			$facet: {
+				totals: [
+					{
+						$group: {
+							_id: null,
+							orders: { $sum: 1 },
+							total: { $sum: '$total' },
+							tax: { $sum: '$tax' },
+							discounts: { $sum: { $ifNull: ['$discountTotal', 0] } },
+						},
+					},
+				],
+				byTender: [
+					{ $unwind: '$payments' },
+					{
+						$group: {
+							_id: '$payments.method',
+							transactions: { $sum: 1 },
+							amount: { $sum: '$payments.amount' },
+						},
+					},
+					{ $project: { _id: 0, method: '$_id', transactions: 1, amount: 1 } },
+					{ $sort: { amount: -1 } },
+				],
+				byUser: [
+					{
+						$group: {
+							_id: '$createdBy',
+							orders: { $sum: 1 },
+							total: { $sum: '$total' },
+							cash: { $sum: cashPaid },
+						},
+					},
+					...userNameStages,
+					{
+						$project: {
+							_id: 0,
+							userId: '$_id',
+							name: '$user.name',
+							orders: 1,
+							total: 1,
+							cash: 1,
+						},
+					},
+					{ $sort: { total: -1 } },
+				],
+			},
+		},
+	]).exec();
+
+	const [refundsResult] = await Return.aggregate([
+		{ $match: { shiftId: shift._id } },
+		{ $addFields: { method: { $ifNull: ['$refundMethod', 'cash'] } } },
+		{
+			$facet: {
+				byMethod: [
+					{
+						$group: {
+							_id: '$method',
+							returns: { $sum: 1 },
+							amount: { $sum: '$refundTotal' },
+						},
+					},
+					{ $project: { _id: 0, method: '$_id', returns: 1, amount: 1 } },
+				],
+				byUser: [
+					{
+						$group: {
+							_id: '$createdBy',
+							returns: { $sum: 1 },
+							amount: { $sum: '$refundTotal' },
+							cash: { $sum: { $cond: [{ $eq: ['$method', 'cash'] }, '$refundTotal', 0] } },
+						},
+					},
+					...userNameStages,
+					{ $project: { _id: 0, userId: '$_id', name: '$user.name', returns: 1, amount: 1, cash: 1 } },
+					{ $sort: { amount: -1 } },
+				],
+			},
+		},
+	]).exec();
+	const refundsByMethod = refundsResult?.byMethod || [];
+
+	const cancelledOrders = await Order.find({ cancelShiftId: shift._id, completedAt: { $exists: true } })
+		.select({ total: 1, payments: 1 })
+		.lean();
+
+	const cancellationsByUser = await Order.aggregate([
+		{ $match: { cancelShiftId: shift._id, completedAt: { $exists: true } } },
+		{
+			$group: {
+				_id: '$cancelledBy',
+				orders: { $sum: 1 },
+				total: { $sum: '$total' },
+				cashReturned: { $sum: cashPaid },
+			},
+		},
+		...userNameStages,
+		{ $project: { _id: 0, userId: '$_id', name: '$user.name', orders: 1, total: 1, cashReturned: 1 } },
+		{ $sort: { total: -1 } },
+	]).exec();
+
+	const totals = salesResult?.totals?.[0] || { orders: 0, total: 0, tax: 0, discounts: 0 };
+	const byTender = (salesResult?.byTender || []).map((item) => ({ ...item, amount: roundCurrency(item.amount) }));
+	const byUser = (salesResult?.byUser || []).map((item) => ({
+		...item,
+		total: roundCurrency(item.total),
+		cash: roundCurrency(item.cash),
+	}));
+
+	const cashSales = byTender.find((item) => item.method === 'cash')?.amount || 0;
+	const payIns = shift.cashMovements
+		.filter((movement) => movement.type === 'pay_in')
+		.reduce((sum, movement) => sum + movement.amount, 0);
+	const payOuts = shift.cashMovements
+		.filter((movement) => movement.type === 'pay_out')
+		.reduce((sum, movement) => sum + movement.amount, 0);
+	const cashRefunds = refundsByMethod.find((item) => item.method === 'cash')?.amount || 0;
+	const cancellationCash = cancelledOrders.reduce(
+		(sum, order) =>
+			sum + (order.payments || []).filter((p) => p.method === 'cash').reduce((acc, p) => acc + p.amount, 0),
+		0
+	);
+
+	const expectedCash = roundCurrency(
+		shift.openingFloat + cashSales + payIns - payOuts - cashRefunds - cancellationCash
+	);
+
+	return {
+		shiftId: shift._id,
+		shiftNumber: shift.shiftNumber,
+		register: shift.register,
+		status: shift.status,
+		openedAt: shift.openedAt,
+		closedAt: shift.closedAt,
+		sales: {
+			orders: totals.orders,
+			total: roundCurrency(totals.total),
+			tax: roundCurrency(totals.tax),
+			discounts: roundCurrency(totals.discounts),
+			byTender,
+			byUser,
+		},
+		refunds: {
+			returns: refundsByMethod.reduce((sum, item) => sum + item.returns, 0),
+			total: roundCurrency(refundsByMethod.reduce((sum, item) => sum + item.amount, 0)),
+			byMethod: refundsByMethod.map((item) => ({ ...item, amount: roundCurrency(item.amount) })),
+			byUser: (refundsResult?.byUser || []).map((item) => ({
+				...item,
+				amount: roundCurrency(item.amount),
+				cash: roundCurrency(item.cash),
+			})),
+		},
+		cancellations: {
+			orders: cancelledOrders.length,
+			total: roundCurrency(cancelledOrders.reduce((sum, order) => sum + order.total, 0)),
+			cashReturned: roundCurrency(cancellationCash),
+			byUser: cancellationsByUser.map((item) => ({
+				...item,
+				total: roundCurrency(item.total),
+				cashReturned: roundCurrency(item.cashReturned),
+			})),
+		},
+		cash: {
+			openingFloat: shift.openingFloat,
+			cashSales: roundCurrency(cashSales),
+			payIns: roundCurrency(payIns),
+			payOuts: roundCurrency(payOuts),
+			cashRefunds: roundCurrency(cashRefunds),
+			cancellationCash: roundCurrency(cancellationCash),
+			expectedCash,
+			countedCash: shift.countedCash,
+			variance: shift.countedCash != null ? roundCurrency(shift.countedCash - expectedCash) : null,
+		},
+	};
+};
+
+const getZReport = async (id) => {
+	const shift = await loadShift(id);
+	return buildZReport(shift.toObject());
+};
+
+const closeShift = async (id, data = {}, userId) => {
+	const shift = await loadShift(id);
+	if (shift.status !== 'open') {
+		throw createHttpError('Shift is already closed', 409, errorCodes.SHIFT_CLOSED);
+	}
+
+	if (data.countedCash == null) {
+		throw createValidationError('countedCash is required');
+	}
+	const countedCash = toNonNegativeAmount(data.countedCash, 'countedCash');
+
+	const report = await buildZReport(shift.toObject());
+
+	shift.status = 'closed';
+	shift.closedAt = new Date();
+	shift.closedBy = userId || undefined;
+	shift.countedCash = countedCash;
+	shift.expectedCash = report.cash.expectedCash;
+	shift.variance = roundCurrency(countedCash - report.cash.expectedCash);
+	if (typeof data.notes === 'string' && data.notes.trim()) {
+		shift.notes = data.notes.trim();
+	}
+	await shift.save();
+
+	return buildZReport(shift.toObject());
+};
+
+const listShifts = async (options = {}) => {
+	const page = normalizePositiveInt(options.page, 1);
+	const rawLimit = normalizePositiveInt(options.limit, 20);
+	const limit = Math.min(rawLimit, MAX_PAGE_SIZE);
+
+	const filters = {};
+	if (options.status) {
+		filters.status = options.status;
+	}
+	if (options.register) {
+		filters.register = normalizeRegister(options.register);
+	}
+
+	const skip = (page - 1) * limit;
+	const [shifts, total] = await Promise.all([
+		Shift.find(filters).sort({ openedAt: -1 }).skip(skip).limit(limit).lean(),
+		Shift.countDocuments(filters),
+	]);
+
+	return {
+		data: shifts,
+		total,
+		page,
+		limit,
+		totalPages: total > 0 ? Math.ceil(total / limit) : 0,
+	};
+};
+
+const getShiftById = async (id) => {
+	assertShiftId(id);
+	return Shift.findById(id).lean();
+};
+
+module.exports = {
+	openShift,
+	getOpenShift,
+	findOpenShiftId,
+	recordCashMovement,
+	closeShift,
+	getZReport,
+	listShifts,
+	getShiftById,
+};
@@ -2,7 +2,10 @@ const mongoose = require('mongoose');
 const Sku = require('../models/sku.model');
 const Product = require('../models/product.model');
 const StockHistory = require('../models/stockHistory.model');
+const StockLevel = require('../models/stockLevel.model');
 const settingsService = require('./settings.service');
+const locationService = require('./location.service');
+const costingService = require('./costing.service');
 const { generateBarcode } = require('../utils/barcodeGenerator');
 const { createHttpError } = require('../utils/httpError');
 const errorCodes = require('../constants/errorCodes');
@@ -36,9 +39,60 @@ const toSkuResponse = (doc = {}) => ({
 	productName: doc.productName,
 	price: doc.price,
 	stock: doc.stock,
+	reserved: doc.reserved || 0,
+	available: (doc.stock || 0) - (doc.reserved || 0),
+	locationId: doc.locationId?.toString?.() || doc.locationId,
 	attributes: doc.attributes || {},
 });
 
+/*
+ Stock of a SKU at a location without creating a record. SKUs that predate
+ locations have no records, so whatever part of Sku.stock is not held by a
+ record is counted at the default location.
+*/
+const findStockLevel = async (sku, locationId, session = null) => {
+	const level = await StockLevel.findOne({ skuId: sku._id, locationId }).session(session).lean();
+	if (level) {
+		return level;
+	}
+
+	if (!(await locationService.isDefaultLocation(locationId, session))) {
+		return { skuId: sku._id, locationId, stock: 0, reserved: 0 };
+	}
+
+	const [recorded] = await StockLevel.aggregate([
+		{ $match: { skuId: sku._id } },
+		{ $group: { _id: null, stock: { $sum: '$stock' }, reserved: { $sum: '$reserved' } } },
+	]).session(session);
+	return {
+		skuId: sku._id,
+		locationId,
+		stock: Math.max((sku.stock || 0) - (recorded?.stock || 0), 0),
+		reserved: Math.max((sku.reserved || 0) - (recorded?.reserved || 0), 0),
+	};
+};
+
+// Same as findStockLevel but returns a saved document the caller can modify
+const loadStockLevel = async (sku, locationId, session) => {
+	const existing = await StockLevel.findOne({ skuId: sku._id, locationId }).session(session);
+	if (existing) {
+		return existing;
+	}
+
+	const seed = await findStockLevel(sku, locationId, session);
+	const [level] = await StockLevel.create(
+		[{ skuId: sku._id, productId: sku.productId, locationId, stock: seed.stock, reserved: seed.reserved }],
+		{ session }
+	);
+	return level;
+};
+
+// Units that can still be sold from a location: its stock less its reservations
+const getAvailableStock = async (sku, locationId, session = null) => {
+	const level = await findStockLevel(sku, locationId, session);
+	return level.stock - (level.reserved || 0);
+};
+
 const createSku = async (data) => {
 	const { productId, sku, price } = data;
 
@@ -55,6 +109,7 @@ const createSku = async (data) => {
 	if (!Number.isFinite(stockValue) || stockValue < 0) {
 		throw createHttpError('Stock must be a non-negative number', 400, errorCodes.INVALID_INPUT);
 	}
+	const unitCost = costingService.normalizeUnitCost(data.unitCost);
 
 	const reorderThresholdDefault = await getDefaultReorderThreshold();
 	const reorderThresholdValue =
@@ -107,18 +162,38 @@ const createSku = async (data) => {
 		reorderThreshold: reorderThresholdValue,
 	};
 
+	const locationId = await locationService.resolveLocationId(data.locationId);
+
 	const createdSku = await Sku.create(skuPayload);
+	let initialCost = null;
+	if (stockValue > 0) {
+		// Without a unitCost the new SKU has no cost basis, so its initial stock is booked uncosted
+		initialCost = await costingService.receiveCost(
+			createdSku,
+			stockValue,
+			unitCost ?? null,
+			'Initial stock',
+			null
+		);
+		await createdSku.save();
+	}
 
 	await Product.findByIdAndUpdate(productId, { $inc: { skuCount: 1 } }).exec();
 
 	if (stockValue > 0) {
+		await StockLevel.create({ skuId: createdSku._id, productId, locationId, stock: stockValue });
 		await StockHistory.create({
 			skuId: createdSku._id,
 			productId,
+			locationId,
 			change: stockValue,
 			previousStock: 0,
 			newStock: stockValue,
+			previousLocationStock: 0,
+			newLocationStock: stockValue,
 			reason: 'Initial stock',
+			unitCost: initialCost.unitCost,
+			costValue: initialCost.value,
 		});
 	}
 
@@ -186,7 +261,13 @@ const getSkuById = async (id) => {
 	return Sku.findById(id).lean();
 };
 
-const updateSku = async (id, data) => {
+/*
+ Updates SKU fields. Stock is never written directly: a new stock value is
+ the counted quantity at data.locationId (default location), and the
+ difference is posted through the ledger with data.reason so StockHistory
+ stays complete. Both happen in one transaction.
+*/
+const updateSku = async (id, data, userId) => {
 	if (!id) {
 		return null;
 	}
@@ -230,21 +311,55 @@ const updateSku = async (id, data) => {
 		update.reorderThreshold = thresholdValue;
 	}
 
+	let stockValue;
 	if (data.stock != null) {
-		const stockValue = Number(data.stock);
-		if (!Number.isFinite(stockValue) || stockValue < 0) {
-			throw createHttpError('Stock must be a non-negative number', 400, errorCodes.INVALID_INPUT);
+		stockValue = Number(data.stock);
+		if (!Number.isInteger(stockValue) || stockValue < 0) {
+			throw createHttpError('Stock must be a non-negative integer', 400, errorCodes.INVALID_INPUT);
+		}
+		if (typeof data.reason !== 'string' || !data.reason.trim()) {
+			throw createHttpError('reason is required when changing stock', 400, errorCodes.INVALID_INPUT);
 		}
-		update.stock = stockValue;
 	}
+	const unitCost = costingService.normalizeUnitCost(data.unitCost);
 
-	if (!Object.keys(update).length) {
-		return Sku.findById(id).lean();
+	if (stockValue === undefined) {
+		if (!Object.keys(update).length) {
+			return Sku.findById(id).lean();
+		}
+		update.updatedAt = new Date();
+		return Sku.findByIdAndUpdate(id, update, { new: true }).lean();
 	}
 
-	update.updatedAt = new Date();
+	const locationId = await locationService.resolveLocationId(data.locationId);
+	const session = await mongoose.startSession();
+	try {
+		let result;
+		await session.withTransaction(async () => {
+			const sku = await Sku.findById(id).session(session).lean();
+			if (!sku) {
+				result = null;
+				return;
+			}
+
+			const level = await findStockLevel(sku, locationId, session);
+			const delta = stockValue - level.stock;
+			if (delta !== 0) {
+				await adjustStockInternal(sku._id, delta, data.reason.trim(), userId, session, {
+					locationId,
+					unitCost,
+					metadata: { previousLocationStock: level.stock, setTo: stockValue },
+				});
+			}
 
-	return Sku.findByIdAndUpdate(id, update, { new: true }).lean();
+			result = Object.keys(update).length
+				? await Sku.findByIdAndUpdate(id, { ...update, updatedAt: new Date() }, { new: true, session }).lean()
+				: await Sku.findById(id).session(session).lean();
+		});
+		return result;
+	} finally {
+		session.endSession();
+	}
 };
 
 const deleteSku = async (id) => {
@@ -261,8 +376,15 @@ const deleteSku = async (id) => {
 		await Product.findByIdAndUpdate(deletedSku.productId, { $inc: { skuCount: -1 } }).exec().catch(() => {});
 	}
 
+	await StockLevel.deleteMany({ skuId: deletedSku._id }).exec();
+
 	return deletedSku;
 };
+
+/*
+	Moves stock at one location and keeps the SKU totals in step. Checks run
+	against the location: it cannot go negative or below its own reservations.
+*/
 const adjustStockInternal = async (
 	skuId,
 	delta,
@@ -276,17 +398,38 @@ const adjustStockInternal = async (
 		throw createHttpError('SKU not found', 404, errorCodes.SKU_NOT_FOUND);
 	}
 
+	const locationId = await locationService.resolveLocationId(options.locationId, session);
+	const level = await loadStockLevel(sku, locationId, session);
+
 	const previousStock = sku.stock;
 	const newStock = previousStock + Number(delta);
+	const previousLocationStock = level.stock;
+	const newLocationStock = previousLocationStock + Number(delta);
 
 	if (!Number.isFinite(newStock)) {
 		throw createHttpError('Invalid stock delta', 400, errorCodes.INVALID_INPUT);
 	}
 
-	if (newStock < 0) {
+	if (newLocationStock < 0 || newStock < 0) {
 		throw createHttpError('Stock cannot be negative', 400, errorCodes.INSUFFICIENT_STOCK);
 	}
 
+	if (Number(delta) < 0 && newLocationStock < (level.reserved || 0)) {
+		throw createHttpError(
+			'Stock cannot drop below the quantity reserved by pending orders',
+			400,
+			errorCodes.INSUFFICIENT_STOCK
+		);
+	}
+
+	// Inbound units add a cost layer at options.unitCost; outbound units are costed from the layers
+	const cost = Number(delta) > 0
+		? await costingService.receiveCost(sku, Number(delta), options.unitCost, reason, session)
+		: await costingService.consumeCost(sku, -Number(delta), session);
+
+	level.stock = newLocationStock;
+	await level.save({ session });
+
 	sku.stock = newStock;
 	sku.updatedAt = new Date();
 	await sku.save({ session });
@@ -296,11 +439,18 @@ const adjustStockInternal = async (
 			{
 				skuId: sku._id,
 				productId: sku.productId,
+				locationId,
 				change: Number(delta),
 				previousStock,
 				newStock,
+				previousLocationStock,
+				newLocationStock,
 				reason,
 				referenceOrderId: options.referenceOrderId,
+				referenceTransferId: options.referenceTransferId,
+				referencePurchaseOrderId: options.referencePurchaseOrderId,
+				unitCost: cost.unitCost,
+				costValue: Number(delta) > 0 ? cost.value : -cost.value,
 				changedBy: userId,
 				metadata: options.metadata,
 			},
@@ -311,6 +461,7 @@ const adjustStockInternal = async (
 	logger.info(
 		{
 			skuId: sku._id.toString(),
+			locationId: locationId.toString(),
 			delta: Number(delta),
 			reason,
 			userId,
@@ -319,7 +470,7 @@ const adjustStockInternal = async (
 		'Stock adjusted'
 	);
 
-	return { sku: sku.toObject(), history: historyDoc[0] };
+	return { sku: sku.toObject(), stockLevel: level.toObject(), history: historyDoc[0], cost };
 };
 
 const adjustStock = async (skuId, delta, reason, userId, session = null, options = {}) => {
@@ -365,6 +516,52 @@ const adjustStock = async (skuId, delta, reason, userId, session = null, options
 	}
 };
 
+/*
+	Reservations hold stock for pending orders without touching on-hand stock,
+	so they never write StockHistory. They are held at the order's location and
+	mirrored on Sku.reserved. Both helpers must run inside the caller's
+	transaction.
+*/
+const reserveStock = async (skuId, quantity, session, locationId) => {
+	const sku = await Sku.findById(skuId).session(session);
+	if (!sku) {
+		throw createHttpError('SKU not found', 404, errorCodes.SKU_NOT_FOUND);
+	}
+
+	const resolvedLocationId = await locationService.resolveLocationId(locationId, session);
+	const level = await loadStockLevel(sku, resolvedLocationId, session);
+
+	const available = level.stock - (level.reserved || 0);
+	if (available < quantity) {
+		throw createHttpError(`Insufficient stock for SKU ${sku.sku}`, 400, errorCodes.INSUFFICIENT_STOCK);
+	}
+
+	level.reserved = (level.reserved || 0) + quantity;
+	await level.save({ session });
+
+	sku.reserved = (sku.reserved || 0) + quantity;
+	sku.updatedAt = new Date();
+	await sku.save({ session });
+	return sku.toObject();
+};
+
+const releaseReservation = async (skuId, quantity, session, locationId) => {
+	const sku = await Sku.findById(skuId).session(session);
+	if (!sku) {
+		throw createHttpError('SKU not found', 404, errorCodes.SKU_NOT_FOUND);
+	}
+
+	const resolvedLocationId = await locationService.resolveLocationId(locationId, session);
+	const level = await loadStockLevel(sku, resolvedLocationId, session);
+	level.reserved = Math.max((level.reserved || 0) - quantity, 0);
+	await level.save({ session });
+
+	sku.reserved = Math.max((sku.reserved || 0) - quantity, 0);
+	sku.updatedAt = new Date();
+	await sku.save({ session });
+	return sku.toObject();
+};
+
 const bulkUpdateStock = async (adjustments = []) => {
 	if (!Array.isArray(adjustments) || !adjustments.length) {
 		return { results: [] };
@@ -376,7 +573,8 @@ const bulkUpdateStock = async (adjustments = []) => {
 	try {
 		await session.withTransaction(async () => {
 			for (const adjustment of adjustments) {
-				const { skuId, delta, reason, userId, referenceOrderId, metadata } = adjustment;
+				const { skuId, delta, reason, userId, referenceOrderId, metadata, locationId } = adjustment;
+				const unitCost = costingService.normalizeUnitCost(adjustment.unitCost);
 				if (!skuId || delta == null || !reason) {
 					throw createHttpError('Invalid stock adjustment payload', 400, errorCodes.INVALID_INPUT);
 				}
@@ -387,7 +585,7 @@ const bulkUpdateStock = async (adjustments = []) => {
 					reason,
 					userId,
 					session,
-					{ referenceOrderId, metadata }
+					{ referenceOrderId, metadata, locationId, unitCost }
 				);
 				results.push(result);
 			}
@@ -402,7 +600,73 @@ const bulkUpdateStock = async (adjustments = []) => {
 	}
 };
 
-const findLowStock = async () => {
+const findLocationLowStock = (locationId) =>
+	StockLevel.aggregate([
+		{ $match: { locationId } },
+		{
+			$lookup: {
+				from: 'skus',
+				localField: 'skuId',
+				foreignField: '_id',
+				as: 'sku',
+			},
+		},
+		{ $unwind: '$sku' },
+		{
+			$addFields: {
+				reorderThresholdValue: { $ifNull: ['$reorderThreshold', '$sku.reorderThreshold'] },
+			},
+		},
+		{
+			$match: {
+				reorderThresholdValue: { $ne: null, $gt: 0 },
+				$expr: { $lte: ['$stock', '$reorderThresholdValue'] },
+			},
+		},
+		{
+			$lookup: {
+				from: 'products',
+				localField: 'productId',
+				foreignField: '_id',
+				as: 'product',
+			},
+		},
+		{ $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
+		{
+			$match: {
+				$or: [
+					{ 'product.isActive': { $exists: false } },
+					{ 'product.isActive': { $ne: false } },
+				],
+			},
+		},
+		{
+			$project: {
+				_id: 0,
+				productId: '$productId',
+				productName: '$product.name',
+				skuId: '$skuId',
+				sku: '$sku.sku',
+				stock: '$stock',
+				available: { $subtract: ['$stock', { $ifNull: ['$reserved', 0] }] },
+				reorderThreshold: '$reorderThresholdValue',
+				minStock: null,
+				locationId: '$locationId',
+			},
+		},
+		{ $sort: { stock: 1, sku: 1 } },
+	]).exec();
+
+/*
+	Low stock alerts. Without a location SKU and product totals are compared
+	with their thresholds; with one, the stock held at that location is, and a
+	location's own reorderThreshold overrides the SKU's.
+*/
+const findLowStock = async (options = {}) => {
+	const locationId = options.locationId
+		? await locationService.resolveLocationId(options.locationId)
+		: null;
+
 	const productsAtRisk = await Product.aggregate([
 		{
 			$addFields: {
@@ -426,12 +690,14 @@ const findLowStock = async () => {
 		},
 		{
 			$lookup: {
-				from: 'skus',
+				from: locationId ? 'stocklevels' : 'skus',
 				let: { productId: '$_id' },
 				pipeline: [
 					{
 						$match: {
-							$expr: { $eq: ['$productId', '$$productId'] },
+							$expr: locationId
+								? { $and: [{ $eq: ['$productId', '$$productId'] }, { $eq: ['$locationId', locationId] }] }
+								: { $eq: ['$productId', '$$productId'] },
 						},
 					},
 					{
@@ -447,6 +713,9 @@ const findLowStock = async () => {
 									},
 								},
 							},
+							totalReserved: {
+								$sum: { $ifNull: ['$reserved', 0] },
+							},
 						},
 					},
 				],
@@ -458,6 +727,9 @@ const findLowStock = async () => {
 				totalStock: {
 					$ifNull: [{ $first: '$skuStock.totalStock' }, 0],
 				},
+				totalReserved: {
+					$ifNull: [{ $first: '$skuStock.totalReserved' }, 0],
+				},
 			},
 		},
 		{
@@ -473,71 +745,77 @@ const findLowStock = async () => {
 				skuId: null,
 				sku: null,
 				stock: '$totalStock',
+				available: { $subtract: ['$totalStock', '$totalReserved'] },
 				minStock: '$minStockValue',
 				reorderThreshold: null,
+				locationId: { $literal: locationId },
 			},
 		},
 		{ $sort: { stock: 1, productName: 1 } },
 	]).exec();
 
-	const skuSpecificAlerts = await Sku.aggregate([
-		{
-			$addFields: {
-				reorderThresholdValue: {
-					$convert: {
-						input: '$reorderThreshold',
-						to: 'double',
-						onError: null,
-						onNull: null,
+	const skuSpecificAlerts = locationId
+		? await findLocationLowStock(locationId)
+		: await Sku.aggregate([
+			{
+				$addFields: {
+					reorderThresholdValue: {
+						$convert: {
+							input: '$reorderThreshold',
+							to: 'double',
+							onError: null,
+							onNull: null,
+						},
 					},
-				},
-				stockValue: {
-					$convert: {
-						input: '$stock',
-						to: 'double',
-						onError: null,
-						onNull: null,
+					stockValue: {
+						$convert: {
+							input: '$stock',
+							to: 'double',
+							onError: null,
+							onNull: null,
+						},
 					},
 				},
 			},
-		},
-		{
-			$match: {
-				reorderThresholdValue: { $ne: null, $gt: 0 },
-				stockValue: { $ne: null },
-				$expr: { $lte: ['$stockValue', '$reorderThresholdValue'] },
+			{
+				$match: {
+					reorderThresholdValue: { $ne: null, $gt: 0 },
+					stockValue: { $ne: null },
+					$expr: { $lte: ['$stockValue', '$reorderThresholdValue'] },
+				},
 			},
-		},
-		{
-			$lookup: {
-				from: 'products',
-				localField: 'productId',
-				foreignField: '_id',
-				as: 'product',
+			{
+				$lookup: {
+					from: 'products',
+					localField: 'productId',
+					foreignField: '_id',
+					as: 'product',
+				},
 			},
-		},
-		{ $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
-		{
-			$match: {
-				$or: [
-					{ 'product.isActive': { $exists: false } },
-					{ 'product.isActive': { $ne: false } },
-				],
+			{ $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
+			{
+				$match: {
+					$or: [
+						{ 'product.isActive': { $exists: false } },
+						{ 'product.isActive': { $ne: false } },
+					],
+				},
 			},
-		},
-		{
-			$project: {
-				productId: '$productId',
-				productName: '$product.name',
-				skuId: '$_id',
-				sku: '$sku',
-				stock: '$stockValue',
-				reorderThreshold: '$reorderThresholdValue',
-				minStock: null,
+			{
+				$project: {
+					productId: '$productId',
+					productName: '$product.name',
+					skuId: '$_id',
+					sku: '$sku',
+					stock: '$stockValue',
+					available: { $subtract: ['$stockValue', { $ifNull: ['$reserved', 0] }] },
+					reorderThreshold: '$reorderThresholdValue',
+					minStock: null,
+					locationId: null,
+				},
 			},
-		},
-		{ $sort: { stock: 1, sku: 1 } },
-	]).exec();
+			{ $sort: { stock: 1, sku: 1 } },
+		]).exec();
 
 	// Prioritize SKU-specific alerts over product-level alerts
 	// If a product has SKU-specific alerts, skip the product-level alert
@@ -553,9 +831,10 @@ const findLowStock = async () => {
 	Steps for barcode scan lookup:
 	1. Validate barcode input
 	2. Fetch SKU details via aggregation with product join
-	3. Return normalized SKU payload for POS usage
+	3. With a location, report the stock held there instead of the SKU total
+	4. Return normalized SKU payload for POS usage
 */
-const findByBarcode = async (barcode) => {
+const findByBarcode = async (barcode, locationId) => {
 	if (typeof barcode !== 'string') {
 		return null;
 	}
@@ -593,6 +872,7 @@ const findByBarcode = async (barcode) => {
 				barcode: 1,
 				price: 1,
 				stock: 1,
+				reserved: 1,
 				attributes: {
 					$ifNull: ['$attributes', {}],
 				},
@@ -606,6 +886,15 @@ const findByBarcode = async (barcode) => {
 		return null;
 	}
 
+	if (locationId) {
+		const resolvedLocationId = await locationService.resolveLocationId(locationId);
+		const level = await findStockLevel(
+			{ _id: result.skuId, stock: result.stock, reserved: result.reserved },
+			resolvedLocationId
+		);
+		return toSkuResponse({ ...result, stock: level.stock, reserved: level.reserved, locationId: resolvedLocationId });
+	}
+
 	return toSkuResponse(result);
 };
 
@@ -671,6 +960,7 @@ const searchSku = async (query) => {
 				barcode: 1,
 				price: 1,
 				stock: 1,
+				reserved: 1,
 				attributes: {
 					$ifNull: ['$attributes', {}],
 				},
@@ -684,6 +974,82 @@ const searchSku = async (query) => {
 	return results.map((doc) => toSkuResponse(doc));
 };
 
+// Per-location stock of a SKU, including stock not yet recorded against a location
+const getStockLevels = async (id) => {
+	if (!mongoose.Types.ObjectId.isValid(id)) {
+		throw createHttpError('Invalid SKU id', 400, errorCodes.INVALID_INPUT);
+	}
+
+	const sku = await Sku.findById(id).lean();
+	if (!sku) {
+		return null;
+	}
+
+	const defaultLocation = await locationService.getDefaultLocation();
+	const levels = await StockLevel.find({ skuId: sku._id })
+		.populate('locationId', 'code name type')
+		.lean();
+	const hasDefault = levels.some((level) => level.locationId?._id?.toString() === defaultLocation._id.toString());
+	if (!hasDefault) {
+		const unrecorded = await findStockLevel(sku, defaultLocation._id);
+		if (unrecorded.stock > 0 || unrecorded.reserved > 0) {
+			levels.unshift({ ...unrecorded, locationId: defaultLocation });
+		}
+	}
+
+	return {
+		skuId: sku._id,
+		sku: sku.sku,
+		stock: sku.stock,
+		reserved: sku.reserved || 0,
+		locations: levels.map((level) => ({
+			location: level.locationId,
+			stock: level.stock,
+			reserved: level.reserved || 0,
+			available: level.stock - (level.reserved || 0),
+			reorderThreshold: level.reorderThreshold ?? sku.reorderThreshold,
+		})),
+	};
+};
+
+/*
+	Records stock held before locations existed against the default location,
+	so per-location queries see it. Safe to run on every start: only SKUs with
+	stock not covered by their records are touched.
+*/
+const backfillStockLevels = async () => {
+	const defaultLocation = await locationService.getDefaultLocation();
+	const skus = await Sku.aggregate([
+		{ $match: { $or: [{ stock: { $gt: 0 } }, { reserved: { $gt: 0 } }] } },
+		{
+			$lookup: {
+				from: 'stocklevels',
+				localField: '_id',
+				foreignField: 'skuId',
+				as: 'levels',
+			},
+		},
+		{ $match: { levels: { $size: 0 } } },
+		{ $project: { _id: 1, productId: 1, stock: 1, reserved: 1 } },
+	]).exec();
+
+	for (const sku of skus) {
+		await StockLevel.updateOne(
+			{ skuId: sku._id, locationId: defaultLocation._id },
+			{
+				$setOnInsert: {
+					productId: sku.productId,
+					stock: sku.stock || 0,
+					reserved: sku.reserved || 0,
+				},
+			},
+			{ upsert: true }
+		);
+	}
+
+	return { backfilled: skus.length };
+};
+
 module.exports = {
 	createSku,
 	getSkus,
@@ -691,8 +1057,14 @@ module.exports = {
 	updateSku,
 	deleteSku,
 	adjustStock,
+	reserveStock,
+	releaseReservation,
 	bulkUpdateStock,
 	findLowStock,
 	findByBarcode,
 	searchSku,
+	findStockLevel,
+	getAvailableStock,
+	getStockLevels,
+	backfillStockLevels,
 };
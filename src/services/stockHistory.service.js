@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+const StockHistory = require('../models/stockHistory.model');
+const Sku = require('../models/sku.model');
+const { createHttpError } = require('../utils/httpError');
+const errorCodes = require('../constants/errorCodes');
+
+const MAX_PAGE_SIZE = 100;
+const MAX_EXPORT_ROWS = 50000;
+
+const CSV_COLUMNS = [
+	['createdAt', (entry) => entry.createdAt?.toISOString()],
+	['sku', (entry) => entry.skuId?.sku],
+	['barcode', (entry) => entry.skuId?.barcode],
+	['location', (entry) => entry.locationId?.code],
+	['change', (entry) => entry.change],
+	['previousStock', (entry) => entry.previousStock],
+	['newStock', (entry) => entry.newStock],
+	['previousLocationStock', (entry) => entry.previousLocationStock],
+	['newLocationStock', (entry) => entry.newLocationStock],
+	['reason', (entry) => entry.reason],
+	['orderNumber', (entry) => entry.referenceOrderId?.orderNumber],
+	['invoiceNumber', (entry) => entry.referenceOrderId?.invoiceNumber],
+	['changedBy', (entry) => entry.changedBy?.email],
+];
+
+const createValidationError = (message, code = errorCodes.INVALID_INPUT, details) =>
+	createHttpError(message, 400, code, details);
+
+const normalizePositiveInt = (value, fallback) => {
+	const parsed = Number(value);
+	if (!Number.isInteger(parsed) || parsed <= 0) {
+		return fallback;
+	}
+	return parsed;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseDateInput = (value, label) => {
+	if (!value) {
+		return undefined;
+	}
+	const date = new Date(value);
+	if (Number.isNaN(date.getTime())) {
+		throw createValidationError(`Invalid ${label} date`);
+	}
+	return date;
+};
+
+const toObjectIdFilter = (value, label) => {
+	if (!mongoose.Types.ObjectId.isValid(value)) {
+		throw createValidationError(`Invalid ${label}`);
+	}
+	return new mongoose.Types.ObjectId(value);
+};
+
+const buildFilters = (options = {}) => {
+	const filters = {};
+
+	if (options.skuId) {
+		filters.skuId = toObjectIdFilter(options.skuId, 'SKU id');
+	}
+	if (options.productId) {
+		filters.productId = toObjectIdFilter(options.productId, 'product id');
+	}
+	if (options.locationId) {
+		filters.locationId = toObjectIdFilter(options.locationId, 'location id');
+	}
+	if (options.changedBy) {
+		filters.changedBy = toObjectIdFilter(options.changedBy, 'user id');
+	}
+	if (options.orderId) {
+		filters.referenceOrderId = toObjectIdFilter(options.orderId, 'order id');
+	}
+	// Reasons are namespaced ("order:", "transfer-out:", "stocktake:"), so a prefix picks a kind of movement
+	if (options.reason) {
+		filters.reason = new RegExp(`^${escapeRegex(options.reason)}`);
+	}
+
+	const fromDate = parseDateInput(options.from, 'from');
+	const toDate = parseDateInput(options.to, 'to');
+	if (fromDate && toDate && fromDate > toDate) {
+		throw createValidationError('from date must be earlier than or equal to to date');
+	}
+	if (fromDate || toDate) {
+		filters.createdAt = {};
+		if (fromDate) {
+			filters.createdAt.$gte = fromDate;
+		}
+		if (toDate) {
+			filters.createdAt.$lte = toDate;
+		}
+	}
+
+	return filters;
+};
+
+const populateReferences = (query) =>
+	query
+		.populate('skuId', 'sku barcode')
+		.populate('locationId', 'code name')
+		.populate('referenceOrderId', 'orderNumber invoiceNumber status')
+		.populate('changedBy', 'name email role');
+
+const listStockHistory = async (options = {}) => {
+	const page = normalizePositiveInt(options.page, 1);
+	const rawLimit = normalizePositiveInt(options.limit, 20);
+	const limit = Math.min(rawLimit, MAX_PAGE_SIZE);
+	const filters = buildFilters(options);
+
+	const skip = (page - 1) * limit;
+	const [entries, total] = await Promise.all([
+		populateReferences(StockHistory.find(filters).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit)).lean(),
+		StockHistory.countDocuments(filters),
+	]);
+
+	return {
+		data: entries,
+		total,
+		page,
+		limit,
+		totalPages: total > 0 ? Math.ceil(total / limit) : 0,
+	};
+};
+
+// Quotes fields for CSV, and defuses values a spreadsheet would run as a formula
+const toCsvValue = (value) => {
+	if (value == null) {
+		return '';
+	}
+	let text = String(value);
+	if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+		text = `'${text}`;
+	}
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/*
+ Builds a CSV of the matching entries, oldest first so running totals read
+ top to bottom. Exports are capped at MAX_EXPORT_ROWS; narrow the date range
+ for anything larger.
+*/
+const exportStockHistoryCsv = async (options = {}) => {
+	const filters = buildFilters(options);
+	const total = await StockHistory.countDocuments(filters);
+	if (total > MAX_EXPORT_ROWS) {
+		throw createValidationError(
+			`Export is limited to ${MAX_EXPORT_ROWS} rows; narrow the filters or date range`,
+			errorCodes.INVALID_INPUT,
+			{ total, limit: MAX_EXPORT_ROWS }
+		);
+	}
+
+	const rows = [CSV_COLUMNS.map(([header]) => header).join(',')];
+	const cursor = populateReferences(StockHistory.find(filters).sort({ createdAt: 1, _id: 1 })).lean().cursor();
+	for await (const entry of cursor) {
+		rows.push(CSV_COLUMNS.map(([, read]) => toCsvValue(read(entry))).join(','));
+	}
+	return `${rows.join('\r\n')}\r\n`;
+};
+
+/*
+ Reconciles the ledger: every SKU's stock should equal the sum of its
+ history changes. Returns the SKUs where it does not, e.g. stock written
+ before every change went through adjustStock.
+*/
+const findStockDiscrepancies = async () => {
+	const discrepancies = await Sku.aggregate([
+		{
+			$lookup: {
+				from: StockHistory.collection.name,
+				let: { skuId: '$_id' },
+				pipeline: [
+					{ $match: { $expr: { $eq: ['$skuId', '$$skuId'] } } },
+					{ $group: { _id: null, total: { $sum: '$change' }, entries: { $sum: 1 } } },
+				],
+				as: 'history',
+			},
+		},
+		{
+			$project: {
+				skuId: '$_id',
+				_id: 0,
+				productId: 1,
+				sku: 1,
+				stock: { $ifNull: ['$stock', 0] },
+				historyTotal: { $ifNull: [{ $arrayElemAt: ['$history.total', 0] }, 0] },
+				historyEntries: { $ifNull: [{ $arrayElemAt: ['$history.entries', 0] }, 0] },
+			},
+		},
+		{ $addFields: { difference: { $subtract: ['$stock', '$historyTotal'] } } },
+		{ $match: { difference: { $ne: 0 } } },
+		{ $sort: { sku: 1 } },
+	]);
+
+	return {
+		checkedAt: new Date(),
+		total: discrepancies.length,
+		discrepancies,
+	};
+};
+
+module.exports = {
+	listStockHistory,
+	exportStockHistoryCsv,
+	findStockDiscrepancies,
+};
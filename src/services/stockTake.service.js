@@ -0,0 +1,452 @@
+const mongoose = require('mongoose');
+const StockTake = require('../models/stockTake.model');
+const StockLevel = require('../models/stockLevel.model');
+const Sku = require('../models/sku.model');
+const StockHistory = require('../models/stockHistory.model');
+const skuService = require('./sku.service');
+const locationService = require('./location.service');
+const generateOrderNumber = require('../utils/generateOrderNumber');
+const { createHttpError } = require('../utils/httpError');
+const errorCodes = require('../constants/errorCodes');
+
+const MAX_PAGE_SIZE = 100;
+const VALID_STATUSES = new Set(['open', 'posted', 'cancelled']);
+const REVIEWER_ROLES = new Set(['admin', 'manager']);
+
+const createValidationError = (message, code = errorCodes.INVALID_INPUT, details) =>
+	createHttpError(message, 400, code, details);
+
+const normalizePositiveInt = (value, fallback) => {
+	const parsed = Number(value);
+	if (!Number.isInteger(parsed) || parsed <= 0) {
+		return fallback;
+	}
+	return parsed;
+};
+
+const roundCurrency = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const assertStockTakeId = (id) => {
+	if (!id) {
+		throw createValidationError('Stock take id is required');
+	}
+	if (!mongoose.Types.ObjectId.isValid(id)) {
+		throw createValidationError('Invalid stock take id');
+	}
+};
+
+const toCount = (value, fieldName) => {
+	const count = Number(value);
+	if (!Number.isInteger(count) || count < 0) {
+		throw createValidationError(`${fieldName} must be a non-negative integer`);
+	}
+	return count;
+};
+
+const loadStockTake = async (id, session = null) => {
+	assertStockTakeId(id);
+	const stockTake = await StockTake.findById(id).session(session).lean();
+	if (!stockTake) {
+		throw createHttpError('Stock take not found', 404, errorCodes.STOCK_TAKE_NOT_FOUND);
+	}
+	return stockTake;
+};
+
+const assertOpen = (stockTake) => {
+	if (stockTake.status !== 'open') {
+		throw createHttpError(`Stock take is ${stockTake.status}`, 409, errorCodes.INVALID_STOCK_TAKE_STATE);
+	}
+};
+
+// Closes an open count; the status is part of the filter so it is posted or cancelled only once
+const claimStockTake = async (id, update, session) => {
+	assertStockTakeId(id);
+	const stockTake = await StockTake.findOneAndUpdate(
+		{ _id: id, status: 'open' },
+		update,
+		{ new: true, session }
+	);
+	if (stockTake) {
+		return stockTake;
+	}
+
+	const existing = await loadStockTake(id, session);
+	throw createHttpError(`Stock take is ${existing.status}`, 409, errorCodes.INVALID_STOCK_TAKE_STATE);
+};
+
+// Blind counts keep expected quantities from counting staff until the count is posted
+const presentStockTake = (stockTake, role) => {
+	const hideExpected = stockTake.blind && stockTake.status === 'open' && !REVIEWER_ROLES.has(role);
+	return {
+		...stockTake,
+		lines: stockTake.lines.map((line) => {
+			if (hideExpected) {
+				const { expected, expectedAt, movement, variance, ...visible } = line;
+				return visible;
+			}
+			return {
+				...line,
+				variance: line.variance ?? (line.counted != null ? line.counted - line.expected : undefined),
+			};
+		}),
+	};
+};
+
+// Stock held at the location for each SKU, read in bulk with a per-SKU fallback for unrecorded stock
+const snapshotLevels = async (skus, locationId) => {
+	const levels = await StockLevel.find({ locationId, skuId: { $in: skus.map((sku) => sku._id) } })
+		.select({ skuId: 1, stock: 1 })
+		.lean();
+	const stockBySku = new Map(levels.map((level) => [level.skuId.toString(), level.stock]));
+
+	const snapshot = new Map();
+	for (const sku of skus) {
+		const key = sku._id.toString();
+		if (stockBySku.has(key)) {
+			snapshot.set(key, stockBySku.get(key));
+		} else {
+			const level = await skuService.findStockLevel(sku, locationId);
+			snapshot.set(key, level.stock);
+		}
+	}
+	return snapshot;
+};
+
+const toLine = (sku, expected, expectedAt) => ({
+	skuId: sku._id,
+	productId: sku.productId,
+	sku: sku.sku,
+	barcode: sku.barcode,
+	expected,
+	expectedAt,
+});
+
+/*
+ Net stock movement at the count's location for each line between its
+ snapshot and its count (or until, for lines not counted yet). Sales and
+ receipts made while the count is open already changed stock, so they are
+ added to expected rather than posted a second time as variance. A line
+ scanned more than once is taken as counted at its last scan.
+*/
+const findLineMovements = async (stockTake, until, session = null) => {
+	const windows = stockTake.lines.map((line) => ({
+		skuId: line.skuId.toString(),
+		from: line.expectedAt || stockTake.createdAt,
+		to: line.countedAt || until,
+	}));
+	const earliest = windows.reduce((min, window) => (window.from < min ? window.from : min), until);
+
+	const history = await StockHistory.find({
+		locationId: stockTake.locationId,
+		skuId: { $in: stockTake.lines.map((line) => line.skuId) },
+		createdAt: { $gt: earliest, $lte: until },
+	})
+		.select({ skuId: 1, change: 1, createdAt: 1 })
+		.session(session)
+		.lean();
+
+	const movements = new Map();
+	for (const window of windows) {
+		const movement = history
+			.filter(
+				(entry) =>
+					entry.skuId.toString() === window.skuId && entry.createdAt > window.from && entry.createdAt <= window.to
+			)
+			.reduce((sum, entry) => sum + entry.change, 0);
+		movements.set(window.skuId, movement);
+	}
+	return movements;
+};
+
+/*
+ Opens a count at a location and freezes the expected quantity of every SKU
+ in scope (all SKUs, one product's, or a list of skuIds). Stock moved at the
+ location while the count is open is offset against the snapshot when the
+ count is posted.
+*/
+const createStockTake = async (data = {}, userId) => {
+	const locationId = await locationService.resolveLocationId(data.locationId);
+
+	const filter = {};
+	if (data.productId) {
+		if (!mongoose.Types.ObjectId.isValid(data.productId)) {
+			throw createValidationError('Invalid product id');
+		}
+		filter.productId = data.productId;
+	}
+	if (data.skuIds != null) {
+		if (!Array.isArray(data.skuIds) || data.skuIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+			throw createValidationError('skuIds must be an array of SKU ids');
+		}
+		filter._id = { $in: data.skuIds };
+	}
+
+	const skus = await Sku.find(filter)
+		.select({ sku: 1, productId: 1, barcode: 1, stock: 1, reserved: 1 })
+		.sort({ sku: 1 })
+		.lean();
+	if (skus.length === 0) {
+		throw createValidationError('No SKUs match the stock take scope');
+	}
+
+	const snapshot = await snapshotLevels(skus, locationId);
+	const snapshotAt = new Date();
+	const stockTake = await StockTake.create({
+		countNumber: generateOrderNumber('CNT'),
+		locationId,
+		blind: data.blind === true,
+		productId: data.productId || undefined,
+		lines: skus.map((sku) => toLine(sku, snapshot.get(sku._id.toString()), snapshotAt)),
+		notes: typeof data.notes === 'string' ? data.notes.trim() : undefined,
+		createdBy: userId || undefined,
+	});
+	return stockTake.toObject();
+};
+
+/*
+ Records a barcode scan. Each scan adds quantity (default 1) to the line, as
+ an atomic increment so several people can count the same count at once. A
+ SKU missing from the snapshot is added with its current stock as expected.
+*/
+const recordScan = async (id, data = {}, userId, role) => {
+	if (typeof data.barcode !== 'string' || !data.barcode.trim()) {
+		throw createValidationError('barcode is required');
+	}
+
+	const stockTake = await loadStockTake(id);
+	assertOpen(stockTake);
+
+	const quantity = data.quantity == null ? 1 : toCount(data.quantity, 'quantity');
+	const found = await skuService.findByBarcode(data.barcode, stockTake.locationId);
+	if (!found) {
+		throw createHttpError('SKU not found', 404, errorCodes.SKU_NOT_FOUND);
+	}
+	const skuId = new mongoose.Types.ObjectId(found.skuId);
+	const now = new Date();
+
+	let updated = await StockTake.findOneAndUpdate(
+		{ _id: stockTake._id, status: 'open', 'lines.skuId': skuId },
+		{
+			$inc: { 'lines.$.counted': quantity },
+			$set: { 'lines.$.countedBy': userId || undefined, 'lines.$.countedAt': now },
+		},
+		{ new: true }
+	).lean();
+
+	if (!updated) {
+		updated = await StockTake.findOneAndUpdate(
+			{ _id: stockTake._id, status: 'open', 'lines.skuId': { $ne: skuId } },
+			{
+				$push: {
+					lines: {
+						...toLine({ ...found, _id: skuId }, found.stock, now),
+						counted: quantity,
+						countedBy: userId || undefined,
+						countedAt: now,
+					},
+				},
+			},
+			{ new: true }
+		).lean();
+	}
+
+	if (!updated) {
+		throw createHttpError('Stock take changed while scanning, scan again', 409, errorCodes.INVALID_STOCK_TAKE_STATE);
+	}
+
+	const result = presentStockTake(updated, role);
+	return {
+		line: result.lines.find((line) => line.skuId.toString() === skuId.toString()),
+		stockTake: result,
+	};
+};
+
+// Sets counted quantities directly, e.g. after counting a shelf by hand
+const setCounts = async (id, data = {}, userId, role) => {
+	if (!Array.isArray(data.lines) || data.lines.length === 0) {
+		throw createValidationError('lines are required');
+	}
+
+	const stockTake = await loadStockTake(id);
+	assertOpen(stockTake);
+
+	const known = new Set(stockTake.lines.map((line) => line.skuId.toString()));
+	const now = new Date();
+	const operations = data.lines.map((line) => {
+		if (!line?.skuId || !known.has(String(line.skuId))) {
+			throw createValidationError(`SKU ${line?.skuId} is not part of this stock take`);
+		}
+		return {
+			updateOne: {
+				filter: { _id: stockTake._id, status: 'open', 'lines.skuId': new mongoose.Types.ObjectId(line.skuId) },
+				update: {
+					$set: {
+						'lines.$.counted': toCount(line.counted, 'counted'),
+						'lines.$.countedBy': userId || undefined,
+						'lines.$.countedAt': now,
+					},
+				},
+			},
+		};
+	});
+
+	await StockTake.bulkWrite(operations);
+	return presentStockTake(await loadStockTake(id), role);
+};
+
+// Review of the counted lines against the snapshot, valued at the current SKU price
+const getVariances = async (id) => {
+	const stockTake = await loadStockTake(id);
+	const movements = stockTake.status === 'open' ? await findLineMovements(stockTake, new Date()) : new Map();
+
+	const skus = await Sku.find({ _id: { $in: stockTake.lines.map((line) => line.skuId) } })
+		.select({ price: 1 })
+		.lean();
+	const priceBySku = new Map(skus.map((sku) => [sku._id.toString(), sku.price]));
+
+	const counted = stockTake.lines.filter((line) => line.counted != null);
+	const variances = counted
+		.map((line) => {
+			const movement = line.movement ?? movements.get(line.skuId.toString()) ?? 0;
+			const variance = line.variance ?? line.counted - (line.expected + movement);
+			return {
+				skuId: line.skuId,
+				sku: line.sku,
+				expected: line.expected,
+				movement,
+				counted: line.counted,
+				variance,
+				value: roundCurrency(variance * (priceBySku.get(line.skuId.toString()) || 0)),
+			};
+		})
+		.filter((line) => line.variance !== 0);
+
+	return {
+		stockTakeId: stockTake._id,
+		status: stockTake.status,
+		lines: stockTake.lines.length,
+		countedLines: counted.length,
+		uncountedLines: stockTake.lines.length - counted.length,
+		variances,
+		totals: {
+			unitsOver: variances.reduce((sum, line) => sum + Math.max(line.variance, 0), 0),
+			unitsShort: variances.reduce((sum, line) => sum + Math.max(-line.variance, 0), 0),
+			value: roundCurrency(variances.reduce((sum, line) => sum + line.value, 0)),
+		},
+	};
+};
+
+/*
+ Steps for posting a stock take:
+	 1. Claim the open count as posted inside a transaction
+	 2. Uncounted lines are skipped, or counted as zero with zeroUncounted
+	 3. Offset expected by the stock moved at the location between the
+		snapshot and each line's count (see findLineMovements)
+	 4. Post each non-zero variance (counted - (expected + movement)) through
+		skuService.adjustStock at the count's location with reason
+		stocktake:<id>, so StockHistory carries every correction
+	 5. Fix the movements and variances on the lines
+*/
+const postStockTake = async (id, data = {}, userId) => {
+	const session = await mongoose.startSession();
+	session.startTransaction();
+
+	try {
+		const stockTake = await claimStockTake(
+			id,
+			{ status: 'posted', postedAt: new Date(), postedBy: userId || undefined },
+			session
+		);
+
+		const reason = `stocktake:${stockTake._id}`;
+		const movements = await findLineMovements(stockTake, stockTake.postedAt, session);
+		for (const line of stockTake.lines) {
+			if (line.counted == null) {
+				if (data.zeroUncounted !== true) continue;
+				line.counted = 0;
+			}
+
+			line.movement = movements.get(line.skuId.toString()) || 0;
+			line.variance = line.counted - (line.expected + line.movement);
+			if (line.variance === 0) continue;
+
+			await skuService.adjustStock(
+				line.skuId,
+				line.variance,
+				reason,
+				userId,
+				session,
+				{
+					locationId: stockTake.locationId,
+					metadata: {
+						stockTakeId: stockTake._id,
+						expected: line.expected,
+						movement: line.movement,
+						counted: line.counted,
+					},
+				}
+			);
+		}
+
+		await stockTake.save({ session });
+		await session.commitTransaction();
+		return stockTake.toObject();
+	} catch (error) {
+		await session.abortTransaction();
+		throw error;
+	} finally {
+		session.endSession();
+	}
+};
+
+const cancelStockTake = async (id) => {
+	const stockTake = await claimStockTake(id, { status: 'cancelled', cancelledAt: new Date() }, null);
+	return stockTake.toObject();
+};
+
+const listStockTakes = async (options = {}) => {
+	const page = normalizePositiveInt(options.page, 1);
+	const rawLimit = normalizePositiveInt(options.limit, 20);
+	const limit = Math.min(rawLimit, MAX_PAGE_SIZE);
+
+	const filters = {};
+	if (options.status) {
+		if (!VALID_STATUSES.has(options.status)) {
+			throw createValidationError('Invalid stock take status');
+		}
+		filters.status = options.status;
+	}
+	if (options.locationId) {
+		if (!mongoose.Types.ObjectId.isValid(options.locationId)) {
+			throw createValidationError('Invalid location id');
+		}
+		filters.locationId = new mongoose.Types.ObjectId(options.locationId);
+	}
+
+	const skip = (page - 1) * limit;
+	const [stockTakes, total] = await Promise.all([
+		StockTake.find(filters).select({ lines: 0 }).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+		StockTake.countDocuments(filters),
+	]);
+
+	return {
+		data: stockTakes,
+		total,
+		page,
+		limit,
+		totalPages: total > 0 ? Math.ceil(total / limit) : 0,
+	};
+};
+
+const getStockTakeById = async (id, role) => presentStockTake(await loadStockTake(id), role);
+
+module.exports = {
+	createStockTake,
+	recordScan,
+	setCounts,
+	getVariances,
+	postStockTake,
+	cancelStockTake,
+	listStockTakes,
+	getStockTakeById,
+};
@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const Supplier = require('../models/supplier.model');
+const Product = require('../models/product.model');
+const { createHttpError } = require('../utils/httpError');
+const errorCodes = require('../constants/errorCodes');
+
+const MAX_PAGE_SIZE = 100;
+
+const createValidationError = (message, code = errorCodes.INVALID_INPUT, details) =>
+	createHttpError(message, 400, code, details);
+
+const normalizePositiveInt = (value, fallback) => {
+	const parsed = Number(value);
+	if (!Number.isInteger(parsed) || parsed <= 0) {
+		return fallback;
+	}
+	return parsed;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const normalizeCode = (code) => (typeof code === 'string' ? code.trim().toLowerCase() : '');
+
+const trimOrUndefined = (value) => (typeof value === 'string' ? value.trim() : undefined);
+
+const assertSupplierId = (id) => {
+	if (!id) {
+		throw createValidationError('Supplier id is required');
+	}
+	if (!mongoose.Types.ObjectId.isValid(id)) {
+		throw createValidationError('Invalid supplier id');
+	}
+};
+
+const sanitizeSupplierPayload = (data = {}, { partial = false } = {}) => {
+	const payload = {};
+
+	if (!partial || data.code !== undefined) {
+		const code = normalizeCode(data.code);
+		if (!code) {
+			throw createValidationError('code is required');
+		}
+		payload.code = code;
+	}
+
+	if (!partial || data.name !== undefined) {
+		const name = trimOrUndefined(data.name);
+		if (!name) {
+			throw createValidationError('name is required');
+		}
+		payload.name = name;
+	}
+
+	['contactName', 'email', 'phone', 'address', 'notes'].forEach((field) => {
+		if (data[field] !== undefined) {
+			payload[field] = trimOrUndefined(data[field]);
+		}
+	});
+
+	if (data.leadTimeDays !== undefined) {
+		const leadTimeDays = Number(data.leadTimeDays);
+		if (!Number.isInteger(leadTimeDays) || leadTimeDays < 0) {
+			throw createValidationError('leadTimeDays must be a non-negative integer');
+		}
+		payload.leadTimeDays = leadTimeDays;
+	}
+
+	if (data.isActive !== undefined) {
+		payload.isActive = Boolean(data.isActive);
+	}
+
+	return payload;
+};
+
+const assertCodeAvailable = async (code, excludeId) => {
+	if (!code) {
+		return;
+	}
+	const existing = await Supplier.findOne({ code }).select({ _id: 1 }).lean();
+	if (existing && existing._id.toString() !== String(excludeId)) {
+		throw createHttpError('A supplier with this code already exists', 409, errorCodes.INVALID_INPUT);
+	}
+};
+
+// Loads a supplier that new purchase orders and product links may point at
+const getActiveSupplier = async (id, session = null) => {
+	assertSupplierId(id);
+	const supplier = await Supplier.findById(id).session(session).lean();
+	if (!supplier) {
+		throw createHttpError('Supplier not found', 404, errorCodes.SUPPLIER_NOT_FOUND);
+	}
+	if (!supplier.isActive) {
+		throw createValidationError(`Supplier ${supplier.code} is inactive`);
+	}
+	return supplier;
+};
+
+const createSupplier = async (data = {}) => {
+	const payload = sanitizeSupplierPayload(data);
+	await assertCodeAvailable(payload.code);
+	const supplier = await Supplier.create(payload);
+	return supplier.toObject();
+};
+
+const listSuppliers = async (options = {}) => {
+	const page = normalizePositiveInt(options.page, 1);
+	const rawLimit = normalizePositiveInt(options.limit, 20);
+	const limit = Math.min(rawLimit, MAX_PAGE_SIZE);
+
+	const filters = {};
+	if (typeof options.isActive === 'boolean') {
+		filters.isActive = options.isActive;
+	}
+	if (options.q) {
+		const regex = new RegExp(escapeRegex(options.q), 'i');
+		filters.$or = [{ name: regex }, { code: regex }, { contactName: regex }];
+	}
+
+	const skip = (page - 1) * limit;
+	const [suppliers, total] = await Promise.all([
+		Supplier.find(filters).sort({ name: 1 }).skip(skip).limit(limit).lean(),
+		Supplier.countDocuments(filters),
+	]);
+
+	return {
+		data: suppliers,
+		total,
+		page,
+		limit,
+		totalPages: total > 0 ? Math.ceil(total / limit) : 0,
+	};
+};
+
+const getSupplierById = async (id) => {
+	assertSupplierId(id);
+	const supplier = await Supplier.findById(id).lean();
+	if (!supplier) {
+		return null;
+	}
+
+	const products = await Product.find({ supplierId: supplier._id, isActive: true })
+		.select({ name: 1, category: 1, minStock: 1 })
+		.sort({ name: 1 })
+		.lean();
+	return { ...supplier, products };
+};
+
+const updateSupplier = async (id, data = {}) => {
+	assertSupplierId(id);
+
+	const update = sanitizeSupplierPayload(data, { partial: true });
+	await assertCodeAvailable(update.code, id);
+
+	return Supplier.findByIdAndUpdate(id, update, { new: true, runValidators: true }).lean();
+};
+
+module.exports = {
+	getActiveSupplier,
+	createSupplier,
+	listSuppliers,
+	getSupplierById,
+	updateSupplier,
+};
@@ -0,0 +1,97 @@
+const settingsService = require('./settings.service');
+
+const roundCurrency = (value) => Math.round(Number(value || 0) * 100) / 100;
+
+const normalizeCategory = (category) => (typeof category === 'string' ? category.trim().toLowerCase() : '');
+
+const toPlainMap = (value) => {
+	if (!value) {
+		return {};
+	}
+	if (value instanceof Map) {
+		return Object.fromEntries(value.entries());
+	}
+	return { ...value };
+};
+
+/*
+	Loads the tax configuration from Settings once per order so every line is
+	taxed against the same snapshot.
+*/
+const loadTaxContext = async () => {
+	const settings = await settingsService.getSettings();
+	const classesByCode = new Map(
+		(settings?.taxClasses || []).map((taxClass) => [taxClass.code, taxClass])
+	);
+	const classByCategory = new Map(
+		Object.entries(toPlainMap(settings?.categoryTaxClasses)).map(([category, code]) => [
+			normalizeCategory(category),
+			code,
+		])
+	);
+
+	return {
+		classesByCode,
+		classByCategory,
+		defaultTaxClass: settings?.defaultTaxClass || null,
+		pricesIncludeTax: Boolean(settings?.pricesIncludeTax),
+	};
+};
+
+// Product.taxClass wins over the category mapping, which wins over the default
+const resolveTaxClass = (context, product = {}) => {
+	const candidates = [
+		product.taxClass,
+		context.classByCategory.get(normalizeCategory(product.category)),
+		context.defaultTaxClass,
+	];
+
+	for (const code of candidates) {
+		if (code && context.classesByCode.has(code)) {
+			return context.classesByCode.get(code);
+		}
+	}
+	return null;
+};
+
+/*
+	Splits a line amount into taxable amount and tax. With inclusive pricing the
+	amount already contains the tax, so it is backed out; otherwise tax is added
+	on top.
+*/
+const computeLineTax = (amount, rate, inclusive) => {
+	const numericRate = Number(rate) || 0;
+	if (inclusive) {
+		const taxableAmount = roundCurrency(amount / (1 + numericRate / 100));
+		return { taxableAmount, taxAmount: roundCurrency(amount - taxableAmount) };
+	}
+	return {
+		taxableAmount: roundCurrency(amount),
+		taxAmount: roundCurrency((amount * numericRate) / 100),
+	};
+};
+
+// Groups taxed lines by class and rate for the invoice tax summary
+const summarizeTax = (lines = []) => {
+	const summary = new Map();
+	lines.forEach((line) => {
+		const key = `${line.taxClass || ''}|${line.taxRate || 0}`;
+		const entry = summary.get(key) || {
+			taxClass: line.taxClass,
+			rate: line.taxRate || 0,
+			taxableAmount: 0,
+			taxAmount: 0,
+		};
+		entry.taxableAmount = roundCurrency(entry.taxableAmount + (line.lineTotal || 0));
+		entry.taxAmount = roundCurrency(entry.taxAmount + (line.taxAmount || 0));
+		summary.set(key, entry);
+	});
+	return [...summary.values()];
+};
+
+module.exports = {
+	loadTaxContext,
+	resolveTaxClass,
+	computeLineTax,
+	summarizeTax,
+};
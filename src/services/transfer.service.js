@@ -0,0 +1,316 @@
+const mongoose = require('mongoose');
+const Transfer = require('../models/transfer.model');
+const Sku = require('../models/sku.model');
+const skuService = require('./sku.service');
+const locationService = require('./location.service');
+const generateOrderNumber = require('../utils/generateOrderNumber');
+const { createHttpError } = require('../utils/httpError');
+const errorCodes = require('../constants/errorCodes');
+
+const MAX_PAGE_SIZE = 100;
+const VALID_STATUSES = new Set(['draft', 'in_transit', 'received', 'cancelled']);
+
+const createValidationError = (message, code = errorCodes.INVALID_INPUT, details) =>
+	createHttpError(message, 400, code, details);
+
+const normalizePositiveInt = (value, fallback) => {
+	const parsed = Number(value);
+	if (!Number.isInteger(parsed) || parsed <= 0) {
+		return fallback;
+	}
+	return parsed;
+};
+
+const assertTransferId = (id) => {
+	if (!id) {
+		throw createValidationError('Transfer id is required');
+	}
+	if (!mongoose.Types.ObjectId.isValid(id)) {
+		throw createValidationError('Invalid transfer id');
+	}
+};
+
+/*
+ Moves a transfer from one status to the next inside the session. The status
+ is part of the filter so two tills cannot dispatch or receive it twice.
+*/
+const claimTransfer = async (id, fromStatus, update, session) => {
+	assertTransferId(id);
+	const transfer = await Transfer.findOneAndUpdate(
+		{ _id: id, status: fromStatus },
+		update,
+		{ new: true, session }
+	);
+	if (transfer) {
+		return transfer;
+	}
+
+	const existing = await Transfer.findById(id).select({ status: 1 }).session(session).lean();
+	if (!existing) {
+		throw createHttpError('Transfer not found', 404, errorCodes.TRANSFER_NOT_FOUND);
+	}
+	throw createHttpError(
+		`Transfer is ${existing.status.replace('_', ' ')}`,
+		409,
+		errorCodes.INVALID_TRANSFER_STATE
+	);
+};
+
+const prepareLines = async (lines) => {
+	if (!Array.isArray(lines) || lines.length === 0) {
+		throw createValidationError('Transfer lines are required');
+	}
+
+	const seen = new Set();
+	const prepared = [];
+	for (const line of lines) {
+		if (!line || !line.skuId || !mongoose.Types.ObjectId.isValid(line.skuId)) {
+			throw createValidationError('Each transfer line must include a valid skuId');
+		}
+		if (seen.has(String(line.skuId))) {
+			throw createValidationError('Each SKU may appear only once per transfer');
+		}
+		seen.add(String(line.skuId));
+
+		const quantity = Number(line.quantity);
+		if (!Number.isInteger(quantity) || quantity <= 0) {
+			throw createValidationError('quantity must be a positive integer');
+		}
+
+		const sku = await Sku.findById(line.skuId).select({ sku: 1, productId: 1 }).lean();
+		if (!sku) {
+			throw createHttpError('SKU not found', 404, errorCodes.SKU_NOT_FOUND);
+		}
+
+		prepared.push({ skuId: sku._id, productId: sku.productId, sku: sku.sku, quantity });
+	}
+	return prepared;
+};
+
+const createTransfer = async (data = {}, userId) => {
+	if (!data.fromLocationId || !data.toLocationId) {
+		throw createValidationError('fromLocationId and toLocationId are required');
+	}
+
+	const fromLocationId = await locationService.resolveLocationId(data.fromLocationId);
+	const toLocationId = await locationService.resolveLocationId(data.toLocationId);
+	if (fromLocationId.toString() === toLocationId.toString()) {
+		throw createValidationError('Source and destination must be different locations');
+	}
+
+	const transfer = await Transfer.create({
+		transferNumber: generateOrderNumber('TRF'),
+		fromLocationId,
+		toLocationId,
+		lines: await prepareLines(data.lines),
+		notes: typeof data.notes === 'string' ? data.notes.trim() : undefined,
+		createdBy: userId || undefined,
+	});
+	return transfer.toObject();
+};
+
+/*
+ Steps for dispatching a transfer:
+	 1. Claim the draft as in_transit inside a transaction
+	 2. Check each line against the stock available at the source
+	 3. Deduct every line at the source through skuService.adjustStock,
+		referencing the transfer; the goods are now in transit
+	 4. Keep each line's unit cost so the destination books them in at it
+*/
+const dispatchTransfer = async (id, userId) => {
+	const session = await mongoose.startSession();
+	session.startTransaction();
+
+	try {
+		const transfer = await claimTransfer(
+			id,
+			'draft',
+			{ status: 'in_transit', dispatchedAt: new Date(), dispatchedBy: userId || undefined },
+			session
+		);
+
+		for (const line of transfer.lines) {
+			const sku = await Sku.findById(line.skuId).session(session).lean();
+			if (!sku) {
+				throw createHttpError(`SKU ${line.sku} no longer exists`, 404, errorCodes.SKU_NOT_FOUND);
+			}
+			const available = await skuService.getAvailableStock(sku, transfer.fromLocationId, session);
+			if (available < line.quantity) {
+				throw createHttpError(
+					`Insufficient stock for SKU ${line.sku} at the source location`,
+					400,
+					errorCodes.INSUFFICIENT_STOCK,
+					{ skuId: line.skuId, requested: line.quantity, available }
+				);
+			}
+
+			const { cost } = await skuService.adjustStock(
+				line.skuId,
+				-line.quantity,
+				`transfer-out:${transfer.transferNumber}`,
+				userId,
+				session,
+				{ locationId: transfer.fromLocationId, referenceTransferId: transfer._id }
+			);
+			line.unitCost = cost.unitCost;
+		}
+
+		await transfer.save({ session });
+		await session.commitTransaction();
+		return transfer.toObject();
+	} catch (error) {
+		await session.abortTransaction();
+		throw error;
+	} finally {
+		session.endSession();
+	}
+};
+
+/*
+ Steps for receiving a transfer:
+	 1. Claim the in-transit transfer as received inside a transaction
+	 2. Take each line's received quantity from data.lines (default: all of it)
+	 3. Add what arrived at the destination through skuService.adjustStock,
+		referencing the transfer
+	 4. Record received - dispatched as the line variance; a shortfall never
+		reaches either location's stock, so it stays visible on the transfer
+*/
+const receiveTransfer = async (id, data = {}, userId) => {
+	const receivedLines = new Map();
+	if (data.lines != null) {
+		if (!Array.isArray(data.lines)) {
+			throw createValidationError('lines must be an array');
+		}
+		data.lines.forEach((line) => {
+			const quantity = Number(line?.receivedQuantity);
+			if (!line?.skuId || !Number.isInteger(quantity) || quantity < 0) {
+				throw createValidationError('Each received line needs a skuId and a non-negative integer receivedQuantity');
+			}
+			receivedLines.set(String(line.skuId), {
+				quantity,
+				reason: typeof line.reason === 'string' ? line.reason.trim() : undefined,
+			});
+		});
+	}
+
+	const session = await mongoose.startSession();
+	session.startTransaction();
+
+	try {
+		const transfer = await claimTransfer(
+			id,
+			'in_transit',
+			{ status: 'received', receivedAt: new Date(), receivedBy: userId || undefined },
+			session
+		);
+
+		const knownSkus = new Set(transfer.lines.map((line) => line.skuId.toString()));
+		const unknown = [...receivedLines.keys()].find((skuId) => !knownSkus.has(skuId));
+		if (unknown) {
+			throw createValidationError(`SKU ${unknown} is not on this transfer`);
+		}
+
+		for (const line of transfer.lines) {
+			const received = receivedLines.get(line.skuId.toString());
+			line.receivedQuantity = received ? received.quantity : line.quantity;
+			line.variance = line.receivedQuantity - line.quantity;
+			line.varianceReason = line.variance !== 0 ? received?.reason : undefined;
+			if (line.variance !== 0) {
+				transfer.hasVariance = true;
+			}
+
+			if (line.receivedQuantity > 0) {
+				await skuService.adjustStock(
+					line.skuId,
+					line.receivedQuantity,
+					`transfer-in:${transfer.transferNumber}`,
+					userId,
+					session,
+					{
+						locationId: transfer.toLocationId,
+						referenceTransferId: transfer._id,
+						unitCost: line.unitCost ?? null,
+						metadata: line.variance !== 0
+							? { dispatched: line.quantity, variance: line.variance }
+							: undefined,
+					}
+				);
+			}
+		}
+
+		await transfer.save({ session });
+		await session.commitTransaction();
+		return transfer.toObject();
+	} catch (error) {
+		await session.abortTransaction();
+		throw error;
+	} finally {
+		session.endSession();
+	}
+};
+
+// Only drafts can be cancelled; dispatched goods have to be received
+const cancelTransfer = async (id, userId) => {
+	const transfer = await claimTransfer(
+		id,
+		'draft',
+		{ status: 'cancelled', cancelledAt: new Date(), cancelledBy: userId || undefined },
+		null
+	);
+	return transfer.toObject();
+};
+
+const listTransfers = async (options = {}) => {
+	const page = normalizePositiveInt(options.page, 1);
+	const rawLimit = normalizePositiveInt(options.limit, 20);
+	const limit = Math.min(rawLimit, MAX_PAGE_SIZE);
+
+	const filters = {};
+	if (options.status) {
+		if (!VALID_STATUSES.has(options.status)) {
+			throw createValidationError('Invalid transfer status');
+		}
+		filters.status = options.status;
+	}
+	if (options.locationId) {
+		if (!mongoose.Types.ObjectId.isValid(options.locationId)) {
+			throw createValidationError('Invalid location id');
+		}
+		const locationId = new mongoose.Types.ObjectId(options.locationId);
+		filters.$or = [{ fromLocationId: locationId }, { toLocationId: locationId }];
+	}
+	if (typeof options.hasVariance === 'boolean') {
+		filters.hasVariance = options.hasVariance;
+	}
+
+	const skip = (page - 1) * limit;
+	const [transfers, total] = await Promise.all([
+		Transfer.find(filters).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+		Transfer.countDocuments(filters),
+	]);
+
+	return {
+		data: transfers,
+		total,
+		page,
+		limit,
+		totalPages: total > 0 ? Math.ceil(total / limit) : 0,
+	};
+};
+
+const getTransferById = async (id) => {
+	assertTransferId(id);
+	return Transfer.findById(id)
+		.populate('fromLocationId', 'code name')
+		.populate('toLocationId', 'code name')
+		.lean();
+};
+
+module.exports = {
+	createTransfer,
+	dispatchTransfer,
+	receiveTransfer,
+	cancelTransfer,
+	listTransfers,
+	getTransferById,
+};
@@ -162,6 +162,48 @@ const updateUserPassword = async (userId, newPassword, requestingUserId) => {
 
 	return toSafeUser(user);
 };
+
+// PINs are 4-8 digits and only managers and admins can approve with one
+const updateUserApprovalPin = async (userId, pin) => {
+	if (!userId) {
+		const error = new Error('userId is required');
+		error.statusCode = 400;
+		throw error;
+	}
+
+	if (!mongoose.Types.ObjectId.isValid(userId)) {
+		const error = new Error('Invalid user id');
+		error.statusCode = 400;
+		throw error;
+	}
+
+	if (typeof pin !== 'string' || !/^\d{4,8}$/.test(pin)) {
+		const error = new Error('PIN must be 4 to 8 digits');
+		error.statusCode = 400;
+		throw error;
+	}
+
+	const user = await User.findById(userId);
+	if (!user) {
+		const error = new Error('User not found');
+		error.statusCode = 404;
+		throw error;
+	}
+
+	if (!['admin', 'manager'].includes(user.role)) {
+		const error = new Error('Only managers and admins can have an approval PIN');
+		error.statusCode = 400;
+		throw error;
+	}
+
+	// Hashed by the pre-save hook
+	user.approvalPin = pin;
+	user.updatedAt = new Date();
+	await user.save();
+
+	return toSafeUser(user);
+};
+
 const deleteUser = async (userId, requestingUserId) => {
 	if (!userId) {
 		const error = new Error('userId is required');
@@ -199,5 +241,6 @@ module.exports = {
 	createUser,
 	updateUserRole,
 	updateUserPassword,
+	updateUserApprovalPin,
 	deleteUser,
 };
@@ -0,0 +1,182 @@
+jest.mock('../models/costLayer.model', () => ({
+	find: jest.fn(),
+	findOne: jest.fn(),
+	create: jest.fn(),
+}));
+jest.mock('../services/settings.service', () => ({
+	getSettings: jest.fn(),
+}));
+
+const CostLayer = require('../models/costLayer.model');
+const settingsService = require('../services/settings.service');
+const costingService = require('../services/costing.service');
+const { mockQuery } = require('./helpers/mockQuery');
+
+const layer = (remaining, unitCost) => ({ remaining, unitCost, save: jest.fn() });
+
+beforeEach(() => {
+	jest.clearAllMocks();
+});
+
+describe('planConsumption', () => {
+	it('values FIFO sales at the oldest layers first', () => {
+		const plan = costingService.planConsumption({
+			method: 'fifo',
+			stock: 10,
+			inventoryValue: 30,
+			layers: [layer(5, 2), layer(5, 4)],
+			quantity: 7,
+		});
+
+		expect(plan.takes.map((take) => take.taken)).toEqual([5, 2]);
+		expect(plan.value).toBe(18);
+		expect(plan.unitCost).toBeCloseTo(2.5714, 4);
+		expect(plan.uncosted).toBe(0);
+	});
+
+	it('values weighted average sales at the average of the costed units', () => {
+		const plan = costingService.planConsumption({
+			method: 'weighted_average',
+			stock: 10,
+			inventoryValue: 30,
+			layers: [layer(5, 2), layer(5, 4)],
+			quantity: 7,
+		});
+
+		expect(plan.takes.map((take) => take.taken)).toEqual([5, 2]);
+		expect(plan.value).toBe(21);
+		expect(plan.unitCost).toBe(3);
+	});
+
+	it('sells stock without a layer first and leaves the sale uncosted', () => {
+		const layers = [layer(5, 2), layer(5, 4)];
+		const plan = costingService.planConsumption({
+			method: 'fifo',
+			stock: 13,
+			inventoryValue: 30,
+			layers,
+			quantity: 5,
+		});
+
+		expect(plan.uncosted).toBe(3);
+		expect(plan.takes.map((take) => take.taken)).toEqual([2]);
+		expect(plan.value).toBe(4);
+		expect(plan.unitCost).toBeNull();
+	});
+
+	it('takes no value when only uncosted stock is sold', () => {
+		const plan = costingService.planConsumption({
+			method: 'weighted_average',
+			stock: 8,
+			inventoryValue: 10,
+			layers: [layer(5, 2)],
+			quantity: 3,
+		});
+
+		expect(plan.takes).toEqual([]);
+		expect(plan.value).toBe(0);
+		expect(plan.unitCost).toBeNull();
+	});
+
+	it('takes all remaining value with the last costed units', () => {
+		const plan = costingService.planConsumption({
+			method: 'weighted_average',
+			stock: 3,
+			inventoryValue: 1,
+			layers: [layer(3, 0.3333)],
+			quantity: 3,
+		});
+
+		expect(plan.value).toBe(1);
+	});
+});
+
+describe('consumeCost', () => {
+	it('depletes the layers and lowers the inventory value by the costing setting', async () => {
+		const layers = [layer(5, 2), layer(5, 4)];
+		CostLayer.find.mockReturnValue(mockQuery(layers));
+		settingsService.getSettings.mockResolvedValue({ costingMethod: 'fifo' });
+		const sku = { _id: 'sku-1', stock: 10, inventoryValue: 30 };
+
+		const cost = await costingService.consumeCost(sku, 6, null);
+
+		expect(cost).toEqual({ unitCost: 2.3333, value: 14 });
+		expect(layers.map((item) => item.remaining)).toEqual([0, 4]);
+		expect(layers[0].save).toHaveBeenCalled();
+		expect(layers[1].save).toHaveBeenCalled();
+		expect(sku.inventoryValue).toBe(16);
+	});
+});
+
+describe('receiveCost', () => {
+	it('books units uncosted when null is given as the cost', async () => {
+		const sku = { _id: 'sku-1', productId: 'product-1', stock: 0, inventoryValue: 0 };
+
+		const cost = await costingService.receiveCost(sku, 4, null, 'Initial stock', null);
+
+		expect(cost).toEqual({ unitCost: null, value: 0 });
+		expect(CostLayer.create).not.toHaveBeenCalled();
+		expect(sku.inventoryValue).toBe(0);
+	});
+
+	it('books units uncosted when the SKU has never had a cost', async () => {
+		CostLayer.find.mockReturnValue(mockQuery([]));
+		CostLayer.findOne.mockReturnValue(mockQuery(null));
+		const sku = { _id: 'sku-1', productId: 'product-1', stock: 2, inventoryValue: 0 };
+
+		const cost = await costingService.receiveCost(sku, 4, undefined, 'adjustment', null);
+
+		expect(cost.unitCost).toBeNull();
+		expect(CostLayer.create).not.toHaveBeenCalled();
+	});
+
+	it('adds a layer at the given cost', async () => {
+		const sku = { _id: 'sku-1', productId: 'product-1', stock: 2, inventoryValue: 5 };
+
+		const cost = await costingService.receiveCost(sku, 4, 2.5, 'po:PO-1', null);
+
+		expect(cost).toEqual({ unitCost: 2.5, value: 10 });
+		expect(CostLayer.create).toHaveBeenCalledWith(
+			[expect.objectContaining({ quantity: 4, remaining: 4, unitCost: 2.5, source: 'po:PO-1' })],
+			{ session: null }
+		);
+		expect(sku.inventoryValue).toBe(15);
+	});
+});
+
+describe('summarizeValuation', () => {
+	const products = [
+		{ _id: 'product-1', name: 'Tee', category: 'Apparel' },
+		{ _id: 'product-2', name: 'Mug' },
+	];
+
+	it('walks stock and value back by the movements after the valuation date', () => {
+		const skus = [
+			{ _id: 'sku-1', sku: 'TEE-S', productId: 'product-1', stock: 8, inventoryValue: 40 },
+			{ _id: 'sku-2', sku: 'MUG', productId: 'product-2', stock: 2, inventoryValue: 6 },
+		];
+		const later = [{ _id: 'sku-1', change: -2, value: -10 }];
+
+		const valuation = costingService.summarizeValuation(skus, later, products);
+
+		expect(valuation.skus).toEqual([
+			expect.objectContaining({ sku: 'TEE-S', quantity: 10, value: 50, averageCost: 5, category: 'Apparel' }),
+			expect.objectContaining({ sku: 'MUG', quantity: 2, value: 6, averageCost: 3, productName: 'Mug' }),
+		]);
+		expect(valuation.totals).toEqual({ quantity: 12, value: 56 });
+		expect(valuation.categories).toEqual([
+			{ category: 'Apparel', quantity: 10, value: 50 },
+			{ category: 'Uncategorized', quantity: 2, value: 6 },
+		]);
+	});
+
+	it('drops SKUs that had nothing on hand at the valuation date', () => {
+		const skus = [{ _id: 'sku-1', sku: 'TEE-S', productId: 'product-1', stock: 4, inventoryValue: 20 }];
+		const later = [{ _id: 'sku-1', change: 4, value: 20 }];
+
+		const valuation = costingService.summarizeValuation(skus, later, products);
+
+		expect(valuation.skus).toEqual([]);
+		expect(valuation.totals).toEqual({ quantity: 0, value: 0 });
+	});
+});
@@ -0,0 +1,117 @@
+jest.mock('../models/coupon.model', () => ({
+	findOne: jest.fn(),
+	findById: jest.fn(),
+	findOneAndUpdate: jest.fn(),
+	findByIdAndUpdate: jest.fn(),
+}));
+jest.mock('../models/product.model', () => ({
+	find: jest.fn(),
+}));
+
+const Coupon = require('../models/coupon.model');
+const Product = require('../models/product.model');
+const couponService = require('../services/coupon.service');
+const { mockQuery } = require('./helpers/mockQuery');
+
+const productA = '64a000000000000000000001';
+const productB = '64a000000000000000000002';
+
+const mockCoupon = (fields) => {
+	const coupon = { _id: 'coupon-1', code: 'SAVE', isActive: true, minBasket: 0, ...fields };
+	Coupon.findOne.mockReturnValue(mockQuery({ ...coupon, toObject: () => coupon }));
+	Coupon.findOneAndUpdate.mockResolvedValue({ ...coupon, usageCount: 1 });
+	return coupon;
+};
+
+beforeEach(() => {
+	jest.clearAllMocks();
+});
+
+describe('applyCoupon', () => {
+	it('spreads a percent discount across the lines by their net amount', async () => {
+		mockCoupon({ type: 'percent', value: 10 });
+		const lines = [
+			{ productId: productA, netTotal: 30 },
+			{ productId: productB, netTotal: 70 },
+		];
+
+		const result = await couponService.applyCoupon('save', lines, null);
+
+		expect(result.amount).toBe(10);
+		expect(result.allocations).toEqual([3, 7]);
+	});
+
+	it('lets the last eligible line absorb the rounding', async () => {
+		mockCoupon({ type: 'fixed', value: 10 });
+		const lines = [
+			{ productId: productA, netTotal: 10 },
+			{ productId: productA, netTotal: 10 },
+			{ productId: productA, netTotal: 10 },
+		];
+
+		const result = await couponService.applyCoupon('SAVE', lines, null);
+
+		expect(result.allocations).toEqual([3.33, 3.33, 3.34]);
+		expect(result.allocations.reduce((sum, share) => sum + share, 0)).toBeCloseTo(10, 10);
+	});
+
+	it('only discounts lines in the coupon scope and caps at maxDiscount', async () => {
+		mockCoupon({ type: 'percent', value: 50, maxDiscount: 15, categories: ['Apparel'] });
+		Product.find.mockReturnValue(mockQuery([
+			{ _id: productA, category: 'apparel' },
+			{ _id: productB, category: 'Kitchen' },
+		]));
+		const lines = [
+			{ productId: productB, netTotal: 40 },
+			{ productId: productA, netTotal: 20 },
+			{ productId: productA, netTotal: 20 },
+		];
+
+		const result = await couponService.applyCoupon('SAVE', lines, null);
+
+		expect(result.amount).toBe(15);
+		expect(result.allocations).toEqual([0, 7.5, 7.5]);
+	});
+
+	it('never discounts more than the eligible lines are worth', async () => {
+		mockCoupon({ type: 'fixed', value: 50, productIds: [productA] });
+		const lines = [
+			{ productId: productA, netTotal: 12 },
+			{ productId: productB, netTotal: 40 },
+		];
+
+		const result = await couponService.applyCoupon('SAVE', lines, null);
+
+		expect(result.amount).toBe(12);
+		expect(result.allocations).toEqual([12, 0]);
+	});
+
+	it('rejects a basket below the minimum', async () => {
+		mockCoupon({ type: 'fixed', value: 5, minBasket: 100 });
+
+		await expect(
+			couponService.applyCoupon('SAVE', [{ productId: productA, netTotal: 50 }], null)
+		).rejects.toMatchObject({ statusCode: 400 });
+		expect(Coupon.findOneAndUpdate).not.toHaveBeenCalled();
+	});
+
+	it('rejects a coupon that has reached its usage limit', async () => {
+		mockCoupon({ type: 'fixed', value: 5, usageLimit: 1 });
+		Coupon.findOneAndUpdate.mockResolvedValue(null);
+
+		await expect(
+			couponService.applyCoupon('SAVE', [{ productId: productA, netTotal: 50 }], null)
+		).rejects.toMatchObject({ statusCode: 400 });
+	});
+});
+
+describe('updateCoupon', () => {
+	const couponId = '64b000000000000000000001';
+
+	it('rejects a value over 100 for a stored percent coupon', async () => {
+		Coupon.findById.mockReturnValue(mockQuery({ _id: couponId, type: 'percent', value: 10 }));
+
+		await expect(couponService.updateCoupon(couponId, { value: 150 })).rejects.toMatchObject({ statusCode: 400 });
+		expect(Coupon.findByIdAndUpdate).not.toHaveBeenCalled();
+	});
+});
@@ -0,0 +1,41 @@
+const Customer = require('../models/customer.model');
+const customerService = require('../services/customer.service');
+const { mockQuery } = require('./helpers/mockQuery');
+
+beforeEach(() => {
+	jest.restoreAllMocks();
+});
+
+describe('resolveOrderCustomer', () => {
+	it('links the order to the customer with that phone, creating one on first purchase', async () => {
+		const upsert = jest.spyOn(Customer, 'findOneAndUpdate').mockReturnValue(mockQuery({ _id: 'customer-1' }));
+
+		const customer = await customerService.resolveOrderCustomer(
+			{ customer: { phone: '+91 98450-12345', name: ' Asha ' } },
+			'user-1',
+			null
+		);
+
+		expect(customer).toEqual({ _id: 'customer-1' });
+		const [filter, update, options] = upsert.mock.calls[0];
+		expect(filter).toEqual({ phone: '+919845012345' });
+		expect(update.$setOnInsert).toMatchObject({ phone: '+919845012345', name: 'Asha', createdBy: 'user-1' });
+		expect(options).toMatchObject({ upsert: true });
+	});
+
+	it('rejects a phone too short to identify a customer', async () => {
+		const upsert = jest.spyOn(Customer, 'findOneAndUpdate');
+
+		await expect(
+			customerService.resolveOrderCustomer({ customer: { phone: '12' } }, 'user-1', null)
+		).rejects.toMatchObject({ statusCode: 400 });
+		expect(upsert).not.toHaveBeenCalled();
+	});
+
+	it('leaves walk-ins without a phone unlinked', async () => {
+		const upsert = jest.spyOn(Customer, 'findOneAndUpdate');
+
+		await expect(customerService.resolveOrderCustomer({ customer: { name: 'Guest' } }, 'user-1', null)).resolves.toBeNull();
+		expect(upsert).not.toHaveBeenCalled();
+	});
+});
@@ -0,0 +1,99 @@
+jest.mock('../utils/barcodeGenerator', () => ({
+	generateBarcode: jest.fn(),
+}));
+
+const GiftCard = require('../models/giftCard.model');
+const GiftCardTransaction = require('../models/giftCardTransaction.model');
+const Counter = require('../models/counter.model');
+const { generateBarcode } = require('../utils/barcodeGenerator');
+const giftCardService = require('../services/giftCard.service');
+const { mockQuery } = require('./helpers/mockQuery');
+
+const session = { id: 'session-1' };
+const customerId = '64d000000000000000000001';
+
+// GiftCard.create stand-in that echoes the card back like the model would
+const mockCardCreate = () =>
+	jest.spyOn(GiftCard, 'create').mockImplementation(async ([fields]) => [
+		{ _id: 'card-new', ...fields, toObject: () => ({ _id: 'card-new', ...fields }) },
+	]);
+
+beforeEach(() => {
+	jest.restoreAllMocks();
+	generateBarcode.mockResolvedValue('10000010');
+	jest.spyOn(GiftCardTransaction, 'create').mockResolvedValue([{}]);
+});
+
+describe('issueGiftCard', () => {
+	it('reserves the code from the counter outside the caller transaction', async () => {
+		const reserve = jest.spyOn(Counter, 'findOneAndUpdate').mockReturnValue(mockQuery({ seq: 10000042 }));
+		const create = mockCardCreate();
+
+		const card = await giftCardService.issueGiftCard({ type: 'store_credit', amount: 25 }, 'user-1', session);
+
+		expect(card).toMatchObject({ code: '10000042', type: 'store_credit', balance: 25 });
+		const [filter, , options] = reserve.mock.calls[0];
+		expect(filter).toEqual({ _id: 'giftCardCode' });
+		expect(options.session).toBeUndefined();
+		expect(create.mock.calls[0][1]).toEqual({ session });
+	});
+
+	it('rejects a non-positive amount', async () => {
+		await expect(giftCardService.issueGiftCard({ amount: 0 }, 'user-1', session)).rejects.toMatchObject({
+			statusCode: 400,
+		});
+	});
+});
+
+describe('redeemGiftCard', () => {
+	it('refuses to spend more than the balance', async () => {
+		jest.spyOn(GiftCard, 'findOne').mockReturnValue(
+			mockQuery({ _id: 'card-1', code: '10000001', type: 'gift_card', status: 'active', balance: 10 })
+		);
+		jest.spyOn(GiftCard, 'findOneAndUpdate').mockReturnValue(mockQuery(null));
+
+		await expect(
+			giftCardService.redeemGiftCard({ code: '10000001', amount: 15, method: 'gift_card' }, session)
+		).rejects.toMatchObject({ statusCode: 400 });
+	});
+
+	it('refuses a voided card', async () => {
+		jest.spyOn(GiftCard, 'findOne').mockReturnValue(
+			mockQuery({ _id: 'card-1', code: '10000001', type: 'gift_card', status: 'void', balance: 0 })
+		);
+
+		await expect(
+			giftCardService.redeemGiftCard({ code: '10000001', amount: 5, method: 'gift_card' }, session)
+		).rejects.toMatchObject({ statusCode: 400 });
+	});
+});
+
+describe('refundToGiftCard', () => {
+	it('credits an active card', async () => {
+		const credit = jest.spyOn(GiftCard, 'findOneAndUpdate').mockReturnValue(
+			mockQuery({ _id: 'card-1', code: '10000001', balance: 30 })
+		);
+
+		const card = await giftCardService.refundToGiftCard({ code: '10000001', amount: 20 }, session);
+
+		expect(card.code).toBe('10000001');
+		expect(credit.mock.calls[0][0]).toMatchObject({ code: '10000001', status: 'active' });
+		expect(GiftCardTransaction.create).toHaveBeenCalledWith(
+			[expect.objectContaining({ type: 'refund', amount: 20, balanceAfter: 30 })],
+			{ session }
+		);
+	});
+
+	it('puts the refund on a new card when the original was voided', async () => {
+		jest.spyOn(GiftCard, 'findOneAndUpdate').mockReturnValue(mockQuery(null));
+		jest.spyOn(GiftCard, 'findOne').mockReturnValue(
+			mockQuery({ _id: 'card-1', code: '10000001', type: 'store_credit', status: 'void', customerId })
+		);
+		jest.spyOn(Counter, 'findOneAndUpdate').mockReturnValue(mockQuery({ seq: 10000043 }));
+		mockCardCreate();
+
+		const card = await giftCardService.refundToGiftCard({ code: '10000001', amount: 20, note: 'cancel:ORD-1' }, session);
+
+		expect(card).toMatchObject({ code: '10000043', type: 'store_credit', balance: 20, customerId });
+	});
+});
@@ -0,0 +1,20 @@
+/*
+ Stands in for a mongoose query chain: every chained call returns the chain,
+ and awaiting it resolves to the given result.
+*/
+const mockQuery = (result) => {
+	const chain = {
+		sort: () => chain,
+		select: () => chain,
+		populate: () => chain,
+		skip: () => chain,
+		limit: () => chain,
+		session: () => chain,
+		lean: () => chain,
+		exec: () => Promise.resolve(result),
+		then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+	};
+	return chain;
+};
+
+module.exports = { mockQuery };
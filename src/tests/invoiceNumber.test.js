@@ -0,0 +1,25 @@
+const { resolveFiscalYear } = require('../services/invoiceNumber.service');
+
+describe('resolveFiscalYear', () => {
+	it('labels April-March years by both calendar years', () => {
+		expect(resolveFiscalYear(new Date('2026-04-01T00:00:00Z'), 4)).toBe('2026-27');
+		expect(resolveFiscalYear(new Date('2027-03-31T23:59:59Z'), 4)).toBe('2026-27');
+		expect(resolveFiscalYear(new Date('2099-12-15T12:00:00Z'), 4)).toBe('2099-00');
+	});
+
+	it('labels January years by the calendar year', () => {
+		expect(resolveFiscalYear(new Date('2026-01-01T00:00:00Z'), 1)).toBe('2026');
+		expect(resolveFiscalYear(new Date('2026-12-31T23:59:59Z'), 1)).toBe('2026');
+	});
+
+	it('uses UTC when no time zone is given', () => {
+		expect(resolveFiscalYear(new Date('2026-03-31T23:30:00Z'), 4)).toBe('2025-26');
+	});
+
+	it('follows the store time zone across the year boundary', () => {
+		// 19:00 UTC on 31 March is already 1 April in India
+		const date = new Date('2026-03-31T19:00:00Z');
+		expect(resolveFiscalYear(date, 4, 'Asia/Kolkata')).toBe('2026-27');
+		expect(resolveFiscalYear(date, 4, 'America/New_York')).toBe('2025-26');
+	});
+});
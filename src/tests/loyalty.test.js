@@ -0,0 +1,135 @@
+jest.mock('../models/customer.model', () => ({
+	findOneAndUpdate: jest.fn(),
+	findById: jest.fn(),
+}));
+jest.mock('../models/loyaltyTransaction.model', () => ({
+	find: jest.fn(),
+	create: jest.fn(),
+}));
+jest.mock('../services/settings.service', () => ({
+	getSettings: jest.fn(),
+}));
+
+const Customer = require('../models/customer.model');
+const LoyaltyTransaction = require('../models/loyaltyTransaction.model');
+const settingsService = require('../services/settings.service');
+const loyaltyService = require('../services/loyalty.service');
+const { mockQuery } = require('./helpers/mockQuery');
+
+const customerId = '64e000000000000000000001';
+const orderId = '64e000000000000000000002';
+
+const credit = (remaining, fields) => ({ type: 'earn', remaining, save: jest.fn(), ...fields });
+
+const mockBalance = (loyaltyPoints) => {
+	Customer.findOneAndUpdate.mockReturnValue(mockQuery({ _id: customerId, loyaltyPoints }));
+	Customer.findById.mockReturnValue(mockQuery({ _id: customerId, loyaltyPoints }));
+};
+
+beforeEach(() => {
+	jest.clearAllMocks();
+	settingsService.getSettings.mockResolvedValue({
+		loyalty: { enabled: true, earnRate: 0.1, redeemValue: 0.5, minRedeemPoints: 10, expiryDays: 30 },
+	});
+	LoyaltyTransaction.create.mockImplementation(async ([entry]) => [entry]);
+	LoyaltyTransaction.find.mockReturnValue(mockQuery([]));
+});
+
+describe('earnPoints', () => {
+	it('credits whole points for the amount with an expiry', async () => {
+		mockBalance(19);
+
+		const points = await loyaltyService.earnPoints({ customerId, amount: 199.99, orderId }, null);
+
+		expect(points).toBe(19);
+		expect(Customer.findOneAndUpdate).toHaveBeenCalledWith(
+			{ _id: customerId },
+			{ $inc: { loyaltyPoints: 19 } },
+			{ new: true, session: null }
+		);
+		const [[entry]] = LoyaltyTransaction.create.mock.calls[0];
+		expect(entry).toMatchObject({ type: 'earn', points: 19, remaining: 19, balanceAfter: 19 });
+		expect(entry.expiresAt).toBeInstanceOf(Date);
+	});
+
+	it('earns nothing while the program is off', async () => {
+		settingsService.getSettings.mockResolvedValue({ loyalty: { enabled: false } });
+
+		const points = await loyaltyService.earnPoints({ customerId, amount: 500, orderId }, null);
+
+		expect(points).toBe(0);
+		expect(Customer.findOneAndUpdate).not.toHaveBeenCalled();
+	});
+});
+
+describe('redeemPoints', () => {
+	it('debits the points and spends the oldest credits first', async () => {
+		mockBalance(5);
+		const credits = [credit(8), credit(10)];
+		LoyaltyTransaction.find.mockReturnValue(mockQuery(credits));
+
+		const result = await loyaltyService.redeemPoints({ customerId, points: 12, basketTotal: 50, orderId }, null);
+
+		expect(result).toEqual({ points: 12, value: 6 });
+		expect(Customer.findOneAndUpdate.mock.calls[0][0]).toEqual({
+			_id: customerId,
+			loyaltyPoints: { $gte: 12 },
+		});
+		expect(credits.map((item) => item.remaining)).toEqual([0, 6]);
+	});
+
+	it('rejects a redemption the balance cannot cover', async () => {
+		Customer.findOneAndUpdate.mockReturnValue(mockQuery(null));
+
+		await expect(
+			loyaltyService.redeemPoints({ customerId, points: 12, basketTotal: 50, orderId }, null)
+		).rejects.toMatchObject({ statusCode: 400 });
+		expect(LoyaltyTransaction.create).not.toHaveBeenCalled();
+	});
+
+	it('rejects points worth more than the basket or fewer than the minimum', async () => {
+		await expect(
+			loyaltyService.redeemPoints({ customerId, points: 40, basketTotal: 10, orderId }, null)
+		).rejects.toMatchObject({ statusCode: 400 });
+		await expect(
+			loyaltyService.redeemPoints({ customerId, points: 5, basketTotal: 10, orderId }, null)
+		).rejects.toMatchObject({ statusCode: 400 });
+		expect(Customer.findOneAndUpdate).not.toHaveBeenCalled();
+	});
+});
+
+describe('reverseReturnLoyalty', () => {
+	it('takes back the refunded share of the points not yet reversed', async () => {
+		mockBalance(100);
+		const order = {
+			_id: orderId,
+			orderNumber: 'ORD-1',
+			customerId,
+			total: 200,
+			refundTotal: 100,
+			loyalty: { pointsEarned: 20, pointsReversed: 4 },
+		};
+
+		await loyaltyService.reverseReturnLoyalty(order, 'return-1', 'user-1', null);
+
+		expect(Customer.findOneAndUpdate.mock.calls[0][1]).toEqual({ $inc: { loyaltyPoints: -6 } });
+		expect(order.loyalty.pointsReversed).toBe(10);
+	});
+
+	it('never takes back more than the customer still has', async () => {
+		mockBalance(3);
+		const order = {
+			_id: orderId,
+			orderNumber: 'ORD-1',
+			customerId,
+			total: 200,
+			refundTotal: 200,
+			loyalty: { pointsEarned: 20 },
+		};
+
+		await loyaltyService.reverseReturnLoyalty(order, 'return-1', 'user-1', null);
+
+		expect(Customer.findOneAndUpdate.mock.calls[0][1]).toEqual({ $inc: { loyaltyPoints: -3 } });
+		expect(order.loyalty.pointsReversed).toBe(20);
+	});
+});
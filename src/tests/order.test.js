@@ -1 +1,147 @@
 // Order tests
+// uuid ships as ES modules only, which jest cannot load
+jest.mock('../utils/generateOrderNumber', () => jest.fn((prefix = 'ORD') => `${prefix}-TEST`));
+
+const mongoose = require('mongoose');
+const Order = require('../models/order.model');
+const settingsService = require('../services/settings.service');
+const skuService = require('../services/sku.service');
+const couponService = require('../services/coupon.service');
+const orderService = require('../services/order.service');
+const { mockQuery } = require('./helpers/mockQuery');
+
+const aggregateResult = (result) => ({ exec: () => Promise.resolve([result]) });
+
+beforeEach(() => {
+	jest.restoreAllMocks();
+	jest.spyOn(Order, 'aggregate');
+	jest.spyOn(settingsService, 'getSettings').mockResolvedValue({ timeZone: 'Asia/Kolkata' });
+});
+
+describe('getProfitSummary', () => {
+	it('takes margin on costed revenue and reports uncosted revenue apart', async () => {
+		Order.aggregate.mockReturnValue(aggregateResult({
+			totals: [{ _id: null, quantity: 10, revenue: 300, cogs: 120, uncostedRevenue: 100 }],
+			byDay: [{ _id: '2026-04-01', quantity: 10, revenue: 300, cogs: 120, uncostedRevenue: 100 }],
+			byCategory: [],
+			byProduct: [],
+			bySku: [],
+		}));
+
+		const summary = await orderService.getProfitSummary({ from: '2026-04-01', to: '2026-04-30' });
+
+		expect(summary.totals).toEqual({
+			quantity: 10,
+			revenue: 300,
+			costedRevenue: 200,
+			uncostedRevenue: 100,
+			cogs: 120,
+			grossMargin: 80,
+			marginPercent: 40,
+		});
+		expect(summary.byDay[0]).toMatchObject({ date: '2026-04-01', grossMargin: 80 });
+	});
+
+	it('has no margin percent when nothing sold was costed', async () => {
+		Order.aggregate.mockReturnValue(aggregateResult({
+			totals: [{ _id: null, quantity: 2, revenue: 50, cogs: 0, uncostedRevenue: 50 }],
+			byDay: [],
+			byCategory: [],
+			byProduct: [],
+			bySku: [],
+		}));
+
+		const summary = await orderService.getProfitSummary({});
+
+		expect(summary.totals).toMatchObject({ costedRevenue: 0, grossMargin: 0, marginPercent: null });
+	});
+
+	it('groups days in the store time zone and costs lines from their cogs', async () => {
+		Order.aggregate.mockReturnValue(aggregateResult({}));
+
+		const summary = await orderService.getProfitSummary({});
+
+		const pipeline = JSON.stringify(Order.aggregate.mock.calls[0][0]);
+		expect(pipeline).toContain('"timezone":"Asia/Kolkata"');
+		expect(pipeline).toContain('$items.cogs');
+		expect(pipeline).not.toContain('$items.unitCost');
+		expect(summary.totals).toMatchObject({ revenue: 0, marginPercent: null });
+		expect(summary.byDay).toEqual([]);
+	});
+
+	it('rejects a range that ends before it starts', async () => {
+		await expect(
+			orderService.getProfitSummary({ from: '2026-05-01', to: '2026-04-01' })
+		).rejects.toMatchObject({ statusCode: 400 });
+	});
+});
+
+describe('pending order expiry', () => {
+	const orderId = '64d000000000000000000001';
+	let session;
+
+	const pendingOrder = (fields) => ({
+		_id: orderId,
+		status: 'pending',
+		locationId: 'location-1',
+		couponId: 'coupon-1',
+		items: [
+			{ skuId: 'sku-1', quantity: 2 },
+			{ skuId: 'sku-2', quantity: 1 },
+		],
+		save: jest.fn(),
+		...fields,
+	});
+
+	beforeEach(() => {
+		session = {
+			startTransaction: jest.fn(),
+			commitTransaction: jest.fn(),
+			abortTransaction: jest.fn(),
+			endSession: jest.fn(),
+		};
+		jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+		jest.spyOn(skuService, 'releaseReservation').mockResolvedValue({});
+		jest.spyOn(couponService, 'releaseCouponUse').mockResolvedValue();
+	});
+
+	it('releases the reservations and coupon use of orders past their TTL', async () => {
+		const order = pendingOrder();
+		jest.spyOn(Order, 'find').mockReturnValue(mockQuery([{ _id: orderId }]));
+		jest.spyOn(Order, 'findById').mockReturnValue(mockQuery(order));
+
+		const result = await orderService.expirePendingOrders(new Date('2026-04-01T10:00:00Z'));
+
+		expect(result).toEqual({ expired: 1 });
+		expect(Order.find.mock.calls[0][0]).toEqual({
+			status: 'pending',
+			expiresAt: { $lte: new Date('2026-04-01T10:00:00Z') },
+		});
+		expect(skuService.releaseReservation).toHaveBeenCalledWith('sku-1', 2, session, 'location-1');
+		expect(skuService.releaseReservation).toHaveBeenCalledWith('sku-2', 1, session, 'location-1');
+		expect(couponService.releaseCouponUse).toHaveBeenCalledWith('coupon-1', session);
+		expect(order.status).toBe('expired');
+		expect(session.commitTransaction).toHaveBeenCalled();
+	});
+
+	it('leaves orders alone that were completed before they could expire', async () => {
+		jest.spyOn(Order, 'find').mockReturnValue(mockQuery([{ _id: orderId }]));
+		jest.spyOn(Order, 'findById').mockReturnValue(mockQuery(pendingOrder({ status: 'completed' })));
+
+		const result = await orderService.expirePendingOrders();
+
+		expect(result).toEqual({ expired: 0 });
+		expect(skuService.releaseReservation).not.toHaveBeenCalled();
+		expect(session.abortTransaction).toHaveBeenCalled();
+	});
+
+	it('refuses to complete an order past its expiry and keeps its reservations', async () => {
+		jest.spyOn(Order, 'findById').mockReturnValue(
+			mockQuery(pendingOrder({ expiresAt: new Date(Date.now() - 1000) }))
+		);
+
+		await expect(orderService.completeOrder(orderId, 'user-1')).rejects.toMatchObject({ statusCode: 409 });
+		expect(skuService.releaseReservation).not.toHaveBeenCalled();
+		expect(session.abortTransaction).toHaveBeenCalled();
+	});
+});
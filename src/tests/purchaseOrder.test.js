@@ -0,0 +1,50 @@
+// uuid ships as ES modules only, which jest cannot load
+jest.mock('../utils/generateOrderNumber', () => jest.fn((prefix = 'ORD') => `${prefix}-TEST`));
+
+const PurchaseOrder = require('../models/purchaseOrder.model');
+const purchaseOrderService = require('../services/purchaseOrder.service');
+const { mockQuery } = require('./helpers/mockQuery');
+
+const purchaseOrderId = '64c000000000000000000001';
+
+beforeEach(() => {
+	jest.restoreAllMocks();
+});
+
+describe('closePurchaseOrder', () => {
+	it('closes a partially received order short with the reason', async () => {
+		const closed = { _id: purchaseOrderId, status: 'closed', toObject: () => ({ status: 'closed' }) };
+		const claim = jest.spyOn(PurchaseOrder, 'findOneAndUpdate').mockResolvedValue(closed);
+
+		const result = await purchaseOrderService.closePurchaseOrder(purchaseOrderId, { reason: ' Discontinued ' }, 'user-1');
+
+		expect(result.status).toBe('closed');
+		const [filter, update] = claim.mock.calls[0];
+		expect(filter).toEqual({ _id: purchaseOrderId, status: { $in: ['partially_received'] } });
+		expect(update).toMatchObject({ status: 'closed', closedBy: 'user-1', closeReason: 'Discontinued' });
+	});
+
+	it('refuses to close an order in any other state', async () => {
+		jest.spyOn(PurchaseOrder, 'findOneAndUpdate').mockResolvedValue(null);
+		jest.spyOn(PurchaseOrder, 'findById').mockReturnValue(mockQuery({ status: 'sent' }));
+
+		await expect(purchaseOrderService.closePurchaseOrder(purchaseOrderId, {}, 'user-1')).rejects.toMatchObject({
+			statusCode: 409,
+		});
+	});
+});
+
+describe('getOnOrderQuantities', () => {
+	it('counts outstanding units on open orders only', async () => {
+		const aggregate = jest.spyOn(PurchaseOrder, 'aggregate').mockResolvedValue([
+			{ _id: 'sku-1', quantity: 6 },
+			{ _id: 'sku-2', quantity: -2 },
+		]);
+
+		const onOrder = await purchaseOrderService.getOnOrderQuantities();
+
+		expect(aggregate.mock.calls[0][0][0].$match.status).toEqual({ $in: ['draft', 'sent', 'partially_received'] });
+		expect(onOrder.get('sku-1')).toBe(6);
+		expect(onOrder.get('sku-2')).toBe(0);
+	});
+});
@@ -0,0 +1,48 @@
+jest.mock('../models/product.model', () => ({
+	find: jest.fn(),
+}));
+jest.mock('../services/settings.service', () => ({
+	getSettings: jest.fn(),
+}));
+
+const Product = require('../models/product.model');
+const settingsService = require('../services/settings.service');
+const receiptService = require('../services/receipt.service');
+const { mockQuery } = require('./helpers/mockQuery');
+
+const productId = '64a000000000000000000001';
+
+const order = {
+	orderNumber: 'ORD-1',
+	status: 'completed',
+	createdAt: new Date('2026-03-31T20:15:00Z'),
+	items: [{ productId, sku: 'TEE-S', quantity: 1, unitPrice: 10, lineTotal: 10 }],
+	subTotal: 10,
+	tax: 0,
+	total: 10,
+};
+
+beforeEach(() => {
+	jest.clearAllMocks();
+	Product.find.mockReturnValue(mockQuery([{ _id: productId, name: 'Tee' }]));
+});
+
+describe('renderReceiptText', () => {
+	it('prints the date on the store clock', async () => {
+		settingsService.getSettings.mockResolvedValue({ timeZone: 'Asia/Kolkata' });
+
+		const doc = await receiptService.buildOrderDocument(order);
+		const text = receiptService.renderReceiptText(doc);
+
+		expect(doc.timeZone).toBe('Asia/Kolkata');
+		expect(text).toMatch(/Date\s+2026-04-01 01:45/);
+	});
+
+	it('falls back to UTC when the store has no time zone', async () => {
+		settingsService.getSettings.mockResolvedValue({});
+
+		const doc = await receiptService.buildOrderDocument(order);
+
+		expect(receiptService.renderReceiptText(doc)).toMatch(/Date\s+2026-03-31 20:15/);
+	});
+});
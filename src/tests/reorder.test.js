@@ -0,0 +1,98 @@
+// uuid ships as ES modules only, which jest cannot load
+jest.mock('../utils/generateOrderNumber', () => jest.fn((prefix = 'ORD') => `${prefix}-TEST`));
+
+const Sku = require('../models/sku.model');
+const Product = require('../models/product.model');
+const Supplier = require('../models/supplier.model');
+const skuService = require('../services/sku.service');
+const orderService = require('../services/order.service');
+const purchaseOrderService = require('../services/purchaseOrder.service');
+const reorderService = require('../services/reorder.service');
+const { mockQuery } = require('./helpers/mockQuery');
+
+const productA = { _id: 'product-a', name: 'Tee', supplierId: 'supplier-1' };
+const productB = { _id: 'product-b', name: 'Mug' };
+const supplier = { _id: 'supplier-1', code: 'acme', name: 'Acme', leadTimeDays: 7, isActive: true };
+
+const mockCatalogue = ({ alerts, skus, sold = [], onOrder = [], lastCosts = [] }) => {
+	jest.spyOn(skuService, 'findLowStock').mockResolvedValue(alerts);
+	jest.spyOn(Sku, 'find').mockReturnValue(mockQuery(skus));
+	jest.spyOn(Product, 'find').mockReturnValue(mockQuery([productA, productB]));
+	jest.spyOn(Supplier, 'find').mockReturnValue(mockQuery([supplier]));
+	jest.spyOn(orderService, 'getSkuSalesQuantities').mockResolvedValue(new Map(sold));
+	jest.spyOn(purchaseOrderService, 'getOnOrderQuantities').mockResolvedValue(new Map(onOrder));
+	jest.spyOn(purchaseOrderService, 'getLastUnitCosts').mockResolvedValue(new Map(lastCosts));
+};
+
+beforeEach(() => {
+	jest.restoreAllMocks();
+});
+
+describe('getReorderSuggestions', () => {
+	it('covers lead time and cover days of sales plus safety stock, less stock and open orders', async () => {
+		mockCatalogue({
+			alerts: [{ skuId: 'sku-1', productId: 'product-a', reorderThreshold: 5 }],
+			skus: [{ _id: 'sku-1', sku: 'TEE-S', productId: 'product-a', stock: 10, reserved: 2 }],
+			sold: [['sku-1', 60]],
+			onOrder: [['sku-1', 20]],
+			lastCosts: [['sku-1', 2.5]],
+		});
+
+		const result = await reorderService.getReorderSuggestions({ lookbackDays: 30, coverDays: 30 });
+
+		// 2 a day over 7 + 30 days is 74, plus 5 safety stock, less 8 available and 20 on order
+		expect(result.groups).toHaveLength(1);
+		expect(result.groups[0].supplier.code).toBe('acme');
+		expect(result.groups[0].lines[0]).toMatchObject({
+			available: 8,
+			onOrder: 20,
+			dailyVelocity: 2,
+			leadTimeDays: 7,
+			suggestedQuantity: 51,
+			estimatedCost: 127.5,
+		});
+		expect(result.groups[0].estimatedTotal).toBe(127.5);
+	});
+
+	it('skips SKUs already covered by stock on hand and on order', async () => {
+		mockCatalogue({
+			alerts: [{ skuId: 'sku-1', productId: 'product-a', reorderThreshold: 5 }],
+			skus: [{ _id: 'sku-1', sku: 'TEE-S', productId: 'product-a', stock: 4, reserved: 0 }],
+			sold: [['sku-1', 3]],
+			onOrder: [['sku-1', 10]],
+		});
+
+		const result = await reorderService.getReorderSuggestions({});
+
+		expect(result.groups).toEqual([]);
+	});
+
+	it('shares a product minStock across its SKUs and lists unassigned products last', async () => {
+		mockCatalogue({
+			alerts: [
+				{ productId: 'product-b', minStock: 9 },
+				{ skuId: 'sku-1', productId: 'product-a', reorderThreshold: 1 },
+			],
+			skus: [
+				{ _id: 'sku-1', sku: 'TEE-S', productId: 'product-a', stock: 0, reserved: 0 },
+				{ _id: 'sku-2', sku: 'MUG-R', productId: 'product-b', stock: 1, reserved: 0 },
+				{ _id: 'sku-3', sku: 'MUG-B', productId: 'product-b', stock: 0, reserved: 0 },
+			],
+		});
+
+		const result = await reorderService.getReorderSuggestions({});
+
+		expect(result.groups.map((group) => group.supplier?.code ?? null)).toEqual(['acme', null]);
+		const mugs = result.groups[1].lines;
+		expect(mugs.map((line) => [line.sku, line.reorderThreshold, line.suggestedQuantity])).toEqual([
+			['MUG-B', 5, 5],
+			['MUG-R', 5, 4],
+		]);
+	});
+
+	it('rejects a lookback window outside a year', async () => {
+		await expect(reorderService.getReorderSuggestions({ lookbackDays: 400 })).rejects.toMatchObject({
+			statusCode: 400,
+		});
+	});
+});
@@ -0,0 +1,59 @@
+// uuid ships as ES modules only, which jest cannot load
+jest.mock('../utils/generateOrderNumber', () => jest.fn((prefix = 'ORD') => `${prefix}-TEST`));
+
+const { computeLineRefund } = require('../services/return.service');
+
+// Returns the line one batch at a time the way createReturn records it
+const returnInBatches = (line, batches, taxedPerLine = true) => {
+	const refunds = batches.map((quantity) => {
+		const refund = computeLineRefund(line, quantity, taxedPerLine);
+		line.returnedQuantity = (line.returnedQuantity || 0) + quantity;
+		line.returnedAmount = Math.round(((line.returnedAmount || 0) + refund.refundAmount) * 100) / 100;
+		if (refund.taxAmount != null) {
+			line.returnedTaxAmount = Math.round(((line.returnedTaxAmount || 0) + refund.taxAmount) * 100) / 100;
+		}
+		return refund;
+	});
+	const sum = (key) => Math.round(refunds.reduce((total, refund) => total + (refund[key] || 0), 0) * 100) / 100;
+	return { refunds, refundAmount: sum('refundAmount'), taxAmount: sum('taxAmount') };
+};
+
+describe('computeLineRefund', () => {
+	it('does not over-refund a line returned one unit at a time', () => {
+		const line = { quantity: 3, lineTotal: 20, taxAmount: 3.6 };
+
+		const result = returnInBatches(line, [1, 1, 1]);
+
+		expect(result.refunds.map((refund) => refund.refundAmount)).toEqual([6.67, 6.67, 6.66]);
+		expect(result.refundAmount).toBe(20);
+		expect(result.taxAmount).toBe(3.6);
+	});
+
+	it('does not under-refund a line returned one unit at a time', () => {
+		const line = { quantity: 3, lineTotal: 10, taxAmount: 1 };
+
+		const result = returnInBatches(line, [1, 1, 1]);
+
+		expect(result.refunds.map((refund) => refund.refundAmount)).toEqual([3.33, 3.33, 3.34]);
+		expect(result.refundAmount).toBe(10);
+		expect(result.taxAmount).toBe(1);
+	});
+
+	it('refunds the whole line in one return', () => {
+		const line = { quantity: 4, lineTotal: 19.99, taxAmount: 2.4 };
+
+		expect(computeLineRefund(line, 4, true)).toEqual({ refundAmount: 19.99, taxAmount: 2.4 });
+	});
+
+	it('leaves tax to the order share when the order was not taxed per line', () => {
+		const line = { quantity: 2, lineTotal: 10 };
+
+		expect(computeLineRefund(line, 1, false)).toEqual({ refundAmount: 5, taxAmount: undefined });
+	});
+
+	it('keeps the proportional tax share on lines returned before returned tax was tracked', () => {
+		const line = { quantity: 3, lineTotal: 30, taxAmount: 3, returnedQuantity: 2, returnedAmount: 20 };
+
+		expect(computeLineRefund(line, 1, true)).toEqual({ refundAmount: 10, taxAmount: 1 });
+	});
+});
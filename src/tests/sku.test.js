@@ -1 +1,74 @@
 // SKU tests
+jest.mock('../models/sku.model', () => ({
+	findById: jest.fn(),
+}));
+jest.mock('../models/stockLevel.model', () => ({
+	findOne: jest.fn(),
+	create: jest.fn(),
+}));
+jest.mock('../services/location.service', () => ({
+	resolveLocationId: jest.fn(),
+}));
+
+const Sku = require('../models/sku.model');
+const StockLevel = require('../models/stockLevel.model');
+const locationService = require('../services/location.service');
+const skuService = require('../services/sku.service');
+const { mockQuery } = require('./helpers/mockQuery');
+
+const locationId = '64c000000000000000000001';
+
+const mockStock = ({ stock, reserved }) => {
+	const sku = { _id: 'sku-1', sku: 'TEE-S', stock, reserved, save: jest.fn() };
+	sku.toObject = () => ({ ...sku });
+	const level = { stock, reserved, save: jest.fn() };
+	Sku.findById.mockReturnValue(mockQuery(sku));
+	StockLevel.findOne.mockReturnValue(mockQuery(level));
+	return { sku, level };
+};
+
+beforeEach(() => {
+	jest.clearAllMocks();
+	locationService.resolveLocationId.mockResolvedValue(locationId);
+});
+
+describe('reserveStock', () => {
+	it('holds the units at the location and on the SKU', async () => {
+		const { sku, level } = mockStock({ stock: 10, reserved: 3 });
+
+		await skuService.reserveStock('sku-1', 4, null, locationId);
+
+		expect(level.reserved).toBe(7);
+		expect(sku.reserved).toBe(7);
+		expect(level.save).toHaveBeenCalledWith({ session: null });
+		expect(sku.save).toHaveBeenCalledWith({ session: null });
+	});
+
+	it('refuses units that are already held for other orders', async () => {
+		const { sku, level } = mockStock({ stock: 10, reserved: 8 });
+
+		await expect(skuService.reserveStock('sku-1', 3, null, locationId)).rejects.toMatchObject({ statusCode: 400 });
+		expect(level.save).not.toHaveBeenCalled();
+		expect(sku.save).not.toHaveBeenCalled();
+	});
+});
+
+describe('releaseReservation', () => {
+	it('gives the held units back', async () => {
+		const { sku, level } = mockStock({ stock: 10, reserved: 7 });
+
+		await skuService.releaseReservation('sku-1', 4, null, locationId);
+
+		expect(level.reserved).toBe(3);
+		expect(sku.reserved).toBe(3);
+	});
+
+	it('never leaves a negative reservation', async () => {
+		const { sku, level } = mockStock({ stock: 10, reserved: 2 });
+
+		await skuService.releaseReservation('sku-1', 5, null, locationId);
+
+		expect(level.reserved).toBe(0);
+		expect(sku.reserved).toBe(0);
+	});
+});
@@ -1,4 +1,5 @@
 const Sku = require('../models/sku.model');
+const GiftCard = require('../models/giftCard.model');
 
 const START_BARCODE = 10000001;
 
@@ -9,17 +10,22 @@ const parseBarcodeNumber = (barcode) => {
 	return Number.isFinite(numeric) ? numeric : null;
 };
 
+// SKUs and gift cards share one numbering so a scanned code is never ambiguous
 const findLastBarcodeValue = async () => {
-	const lastSku = await Sku.findOne({ barcode: { $exists: true, $ne: null } })
-		.sort({ barcode: -1 })
-		.select({ barcode: 1 })
-		.lean();
-
-	if (!lastSku?.barcode) {
-		return null;
-	}
-
-	return parseBarcodeNumber(lastSku.barcode);
+	const [lastSku, lastGiftCard] = await Promise.all([
+		Sku.findOne({ barcode: { $exists: true, $ne: null } })
+			.sort({ barcode: -1 })
+			.select({ barcode: 1 })
+			.lean(),
+		GiftCard.findOne({}).sort({ code: -1 }).select({ code: 1 }).lean(),
+	]);
+
+	const values = [lastSku?.barcode, lastGiftCard?.code]
+		.filter(Boolean)
+		.map(parseBarcodeNumber)
+		.filter((value) => value != null);
+
+	return values.length ? Math.max(...values) : null;
 };
 
 const generateBarcode = async () => {
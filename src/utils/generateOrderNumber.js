@@ -1,9 +1,9 @@
 const { v4: uuidv4 } = require('uuid');
 
-const generateOrderNumber = () => {
+const generateOrderNumber = (prefix = 'ORD') => {
 	const timestamp = new Date().toISOString().replace(/[-:TZ.]/g, '').slice(0, 14);
 	const uniqueSuffix = uuidv4().split('-')[0].toUpperCase();
-	return `ORD-${timestamp}-${uniqueSuffix}`;
+	return `${prefix}-${timestamp}-${uniqueSuffix}`;
 };
 
 module.exports = generateOrderNumber;